@@ -0,0 +1,89 @@
+// Built-in GS-paper taxonomy used to classify current affairs. An AffairCategory document
+// with the same key overrides these fields; documents with new keys add categories.
+// Keywords are matched as whole words/phrases (case-insensitive); `exclude` categories
+// mark stories that are not exam relevant (gossip, match reports) and lower the relevance score.
+export const DEFAULT_AFFAIR_CATEGORIES = [
+  {
+    key: 'polity',
+    name: 'Polity & Governance',
+    enabled: true,
+    keywords: [
+      'constitution', 'constitutional', 'supreme court', 'high court', 'parliament', 'lok sabha',
+      'rajya sabha', 'election commission', 'governor', 'president of india', 'bill', 'ordinance',
+      'amendment', 'fundamental rights', 'judiciary', 'panchayat', 'cabinet', 'federalism',
+      'chief justice', 'legislature', 'assembly elections', 'article 370', 'law commission',
+    ],
+  },
+  {
+    key: 'economy',
+    name: 'Economy',
+    enabled: true,
+    keywords: [
+      'rbi', 'reserve bank', 'repo rate', 'inflation', 'gdp', 'fiscal deficit', 'budget', 'gst',
+      'monetary policy', 'sebi', 'niti aayog', 'exports', 'imports', 'trade deficit', 'fdi',
+      'banking', 'npa', 'disinvestment', 'msme', 'stock market', 'sensex', 'nifty', 'rupee',
+      'forex reserves', 'cpi', 'wpi', 'economic survey', 'finance commission',
+    ],
+  },
+  {
+    key: 'international-relations',
+    name: 'International Relations',
+    enabled: true,
+    keywords: [
+      'bilateral', 'summit', 'united nations', 'un security council', 'g20', 'brics', 'quad',
+      'sco', 'asean', 'saarc', 'foreign minister', 'external affairs', 'mea', 'diplomatic',
+      'treaty', 'mou', 'ambassador', 'visit to', 'wto', 'imf', 'world bank', 'bimstec',
+    ],
+  },
+  {
+    key: 'environment',
+    name: 'Environment & Ecology',
+    enabled: true,
+    keywords: [
+      'climate change', 'emissions', 'carbon', 'renewable', 'solar', 'wildlife', 'tiger reserve',
+      'biodiversity', 'forest', 'pollution', 'air quality', 'aqi', 'cop28', 'cop29', 'net zero',
+      'wetland', 'ramsar', 'endangered', 'national park', 'heatwave', 'cyclone', 'monsoon',
+    ],
+  },
+  {
+    key: 'science-technology',
+    name: 'Science & Technology',
+    enabled: true,
+    keywords: [
+      'isro', 'satellite', 'launch vehicle', 'chandrayaan', 'gaganyaan', 'space', 'nasa', 'ai',
+      'artificial intelligence', 'semiconductor', 'quantum', 'vaccine', 'genome', 'biotechnology',
+      'drdo', '5g', 'cyber', 'nuclear', 'research', 'scientists', 'supercomputer',
+    ],
+  },
+  {
+    key: 'defence',
+    name: 'Defence & Security',
+    enabled: true,
+    keywords: [
+      'army', 'navy', 'air force', 'iaf', 'defence', 'military', 'missile', 'exercise', 'border',
+      'lac', 'loc', 'terror', 'insurgency', 'coast guard', 'warship', 'fighter jet', 'bsf', 'crpf',
+      'drdo', 'chief of defence staff',
+    ],
+  },
+  {
+    key: 'schemes',
+    name: 'Government Schemes',
+    enabled: true,
+    keywords: [
+      'scheme', 'yojana', 'mission', 'abhiyan', 'pm-kisan', 'pm kisan', 'ayushman bharat',
+      'beneficiaries', 'welfare', 'subsidy', 'flagship programme', 'launched a portal',
+      'pradhan mantri', 'swachh bharat', 'jal jeevan', 'digital india', 'make in india',
+    ],
+  },
+  {
+    key: 'not-relevant',
+    name: 'Not exam relevant',
+    enabled: true,
+    exclude: true,
+    keywords: [
+      'bollywood', 'box office', 'celebrity', 'actor', 'actress', 'trailer', 'web series',
+      'ipl', 'match report', 'dating', 'wedding', 'horoscope', 'viral video', 'gossip',
+      'reality show', 'fashion', 'recipe', 'stock tips', 'gold price today',
+    ],
+  },
+];
@@ -0,0 +1,82 @@
+// Built-in current affairs sources. A NewsSource document with the same key overrides
+// these fields; documents with new keys add sources (e.g. more RSS feeds) without code changes.
+// Sources are fetched in ascending priority; onlyIfNeeded sources run only while the
+// day's article target has not been reached.
+export const DEFAULT_NEWS_SOURCES = [
+  {
+    key: 'newsapi',
+    type: 'newsapi',
+    name: 'NewsAPI',
+    enabled: true,
+    priority: 10,
+    queries: ['india'],
+  },
+  {
+    key: 'gnews-top',
+    type: 'gnews-top',
+    name: 'GNews Top Headlines',
+    enabled: true,
+    priority: 20,
+    options: { category: 'general' },
+  },
+  {
+    key: 'gnews',
+    type: 'gnews-search',
+    name: 'GNews Search',
+    enabled: true,
+    priority: 30,
+    onlyIfNeeded: true,
+    // Government exam priority topics, most important first (~10 articles per query)
+    queries: [
+      'india government policy scheme',
+      'india economy RBI budget',
+      'india international relations',
+      'india environment climate change',
+      'india science technology ISRO',
+      'india defence security',
+      'india constitution supreme court',
+      'india social welfare scheme',
+      'india agriculture rural',
+      'india infrastructure development',
+    ],
+  },
+  {
+    key: 'pib',
+    type: 'rss',
+    name: 'PIB',
+    enabled: true,
+    priority: 40,
+    url: 'https://pib.gov.in/rss/leng.xml',
+    maxArticles: 10,
+  },
+  {
+    key: 'thehindu',
+    type: 'rss',
+    name: 'The Hindu',
+    enabled: true,
+    priority: 50,
+    onlyIfNeeded: true,
+    url: 'https://www.thehindu.com/news/national/feeder/default.rss',
+    maxArticles: 20,
+  },
+  {
+    key: 'indianexpress',
+    type: 'rss',
+    name: 'Indian Express',
+    enabled: true,
+    priority: 60,
+    onlyIfNeeded: true,
+    url: 'https://indianexpress.com/section/india/feed/',
+    maxArticles: 20,
+  },
+  {
+    key: 'livemint',
+    type: 'rss',
+    name: 'Livemint',
+    enabled: false,
+    priority: 70,
+    onlyIfNeeded: true,
+    url: 'https://www.livemint.com/rss/news',
+    maxArticles: 20,
+  },
+];
@@ -2,6 +2,18 @@ import bcrypt from 'bcryptjs';
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
 import { generateToken } from '../utils/jwt.js';
+import attemptClaimService from '../services/attemptClaimService.js';
+
+// Link anonymous tests the client took before signing up / logging in - never fails the auth request
+const claimAnonymousAttempts = async (userId, body) => {
+  try {
+    const { claimed } = await attemptClaimService.claimSessions(userId, attemptClaimService.resolveSessionIds(body));
+    return claimed;
+  } catch (error) {
+    console.error('Error linking anonymous attempts:', error);
+    return 0;
+  }
+};
 
 export const register = async (req, res) => {
   try {
@@ -30,10 +42,12 @@ export const register = async (req, res) => {
     const token = generateToken(user._id, user.role);
     const userObj = user.toObject();
     delete userObj.passwordHash;
+    const claimedAttempts = await claimAnonymousAttempts(user._id, req.body);
 
     res.status(201).json({
       token,
       user: userObj,
+      claimedAttempts,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -62,10 +76,12 @@ export const login = async (req, res) => {
     const token = generateToken(user._id, user.role);
     const userObj = user.toObject();
     delete userObj.passwordHash;
+    const claimedAttempts = await claimAnonymousAttempts(user._id, req.body);
 
     res.json({
       token,
       user: userObj,
+      claimedAttempts,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
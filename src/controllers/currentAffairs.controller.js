@@ -1,9 +1,61 @@
+import { validationResult } from 'express-validator';
 import currentAffairsService from '../services/currentAffairsService.js';
+import currentAffairsQuizService from '../services/currentAffairsQuizService.js';
+import newsSourceService from '../services/newsSourceService.js';
+import affairClassifierService from '../services/affairClassifierService.js';
+import affairCompilationService from '../services/affairCompilationService.js';
+import scrapeRunService from '../services/scrapeRunService.js';
+import backfillService from '../services/backfillService.js';
+import providerUsageService from '../services/providerUsageService.js';
 import cacheService from '../services/cacheService.js';
+import { getPaginationParams, getPaginationResponse } from '../utils/pagination.js';
+import { renderCompilationHtml, renderCompilationMarkdown } from '../utils/compilations.js';
 
 // Cache TTL: 30 minutes for current affairs (data doesn't change frequently)
 const CACHE_TTL = 30 * 60 * 1000;
 
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest date range a search or date listing may cover
+const MAX_RANGE_DAYS = 366;
+
+// Optional filters shared by listing and search: GS category and minimum exam relevance (0-100)
+const parseAffairFilters = async ({ category, minRelevance }) => {
+  const filters = {};
+  if (category) {
+    const categoryKeys = await affairClassifierService.getCategoryKeys();
+    if (!categoryKeys.includes(category)) {
+      return { error: `Invalid category. Use one of: ${categoryKeys.join(', ')}` };
+    }
+    filters.category = category;
+  }
+  if (minRelevance !== undefined) {
+    const relevance = Number(minRelevance);
+    if (!Number.isFinite(relevance) || relevance < 0 || relevance > 100) {
+      return { error: 'minRelevance must be a number between 0 and 100' };
+    }
+    filters.minRelevance = relevance;
+  }
+  return { filters };
+};
+
+// Validate an optional YYYY-MM-DD from/to range
+const parseDateRange = ({ from, to }) => {
+  if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+    return { error: 'Invalid date format for from/to. Use YYYY-MM-DD' };
+  }
+  if (from && to) {
+    if (from > to) {
+      return { error: 'from must be on or before to' };
+    }
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1;
+    if (days > MAX_RANGE_DAYS) {
+      return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+  }
+  return { from: from || null, to: to || null };
+};
+
 export const getCurrentAffairs = async (req, res) => {
   try {
     const { date, autoFetch } = req.query;
@@ -14,9 +66,14 @@ export const getCurrentAffairs = async (req, res) => {
     if (date && !dateRegex.test(date)) {
       return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
     }
+
+    const { filters, error: filterError } = await parseAffairFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
     
     // Try cache first
-    const cacheKey = `current-affairs:${targetDate}`;
+    const cacheKey = `current-affairs:${targetDate}:${filters.category || 'all'}:${filters.minRelevance ?? 0}`;
     const cached = cacheService.get(cacheKey);
     if (cached && cached.affairs.length > 0) {
       return res.json({
@@ -25,29 +82,46 @@ export const getCurrentAffairs = async (req, res) => {
       });
     }
     
-    let affairs = await currentAffairsService.getCurrentAffairsByDate(targetDate);
+    let affairs = await currentAffairsService.getCurrentAffairsByDate(targetDate, filters);
     
-    // Auto-fetch fallback: if no data and autoFetch=true, try to fetch
+    // Auto-fetch fallback: if the date has no data and autoFetch=true, try to fetch
+    // Public scrapes come out of a global daily budget; provider quotas apply per source
+    let autoFetchSkipped = null;
     if (affairs.length === 0 && autoFetch === 'true') {
-      console.log(`🔄 Auto-fetch triggered for ${targetDate} (no data found)`);
-      try {
-        const result = await currentAffairsService.scrapeAffairsForDate(targetDate);
-        if (result.success) {
-          affairs = await currentAffairsService.getCurrentAffairsByDate(targetDate);
-          console.log(`✅ Auto-fetch successful: ${affairs.length} affairs`);
+      const { total: storedCount } = await currentAffairsService.getAvailableDates({ from: targetDate, to: targetDate, limit: 1 });
+      const reservation = storedCount > 0
+        ? { allowed: false, reason: 'Affairs for this date are already stored' }
+        : targetDate > new Date().toISOString().split('T')[0]
+          ? { allowed: false, reason: 'Date is in the future' }
+          : await providerUsageService.reserveAutoFetch(targetDate);
+
+      if (!reservation.allowed) {
+        autoFetchSkipped = reservation.reason;
+      } else {
+        console.log(`🔄 Auto-fetch triggered for ${targetDate} (no data found)`);
+        try {
+          const result = await currentAffairsService.scrapeAffairsForDate(targetDate, false, { trigger: 'autoFetch' });
+          if (result.success) {
+            affairs = await currentAffairsService.getCurrentAffairsByDate(targetDate, filters);
+            console.log(`✅ Auto-fetch successful: ${affairs.length} affairs`);
+          }
+        } catch (fetchError) {
+          console.error(`⚠️ Auto-fetch failed:`, fetchError.message);
+          // Continue with empty affairs - don't fail the request
+        } finally {
+          providerUsageService.releaseAutoFetch(targetDate);
         }
-      } catch (fetchError) {
-        console.error(`⚠️ Auto-fetch failed:`, fetchError.message);
-        // Continue with empty affairs - don't fail the request
       }
     }
     
     const response = {
       success: true,
       date: targetDate,
+      ...filters,
       count: affairs.length,
       affairs,
-      autoFetched: affairs.length > 0 && autoFetch === 'true'
+      autoFetched: affairs.length > 0 && autoFetch === 'true' && !autoFetchSkipped,
+      ...(autoFetchSkipped && { autoFetchSkipped })
     };
     
     // Cache only if we have data
@@ -61,20 +135,35 @@ export const getCurrentAffairs = async (req, res) => {
   }
 };
 
+// Dates with stored affairs, latest first (paginated, optionally within a from/to range)
 export const getAvailableDates = async (req, res) => {
   try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 60, 1), MAX_RANGE_DAYS);
+
     // Try cache first (shorter TTL for dates)
-    const cacheKey = 'current-affairs:dates';
+    const cacheKey = `current-affairs:dates:${range.from || ''}:${range.to || ''}:${page}:${limit}`;
     const cached = cacheService.get(cacheKey);
     if (cached) {
       return res.json({ ...cached, cached: true });
     }
     
-    const dates = await currentAffairsService.getAvailableDates();
+    const { dates, total } = await currentAffairsService.getAvailableDates({
+      from: range.from,
+      to: range.to,
+      skip: (page - 1) * limit,
+      limit,
+    });
     
     const response = {
       success: true,
-      dates
+      dates: dates.map(({ date }) => date),
+      counts: Object.fromEntries(dates.map(({ date, count }) => [date, count])),
+      pagination: getPaginationResponse(page, limit, total),
     };
     
     // Cache for 10 minutes
@@ -87,9 +176,52 @@ export const getAvailableDates = async (req, res) => {
   }
 };
 
+// Full-text search over title/description/content with date range, source, category and relevance filters
+// Without q it browses the range, newest first
+export const searchCurrentAffairs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { q, source, sort } = req.query;
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { filters, error: filterError } = await parseAffairFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { page, limit, skip } = getPaginationParams(req);
+    const { affairs, total } = await currentAffairsService.searchAffairs({
+      q: q?.trim() || null,
+      from: range.from,
+      to: range.to,
+      source: source?.trim() || null,
+      ...filters,
+      sort: sort || (q ? 'relevance' : 'date'),
+    }, { skip, limit });
+
+    res.json({
+      success: true,
+      q: q?.trim() || null,
+      from: range.from,
+      to: range.to,
+      affairs,
+      pagination: getPaginationResponse(page, limit, total),
+    });
+  } catch (error) {
+    console.error('Error searching current affairs:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 export const scrapeToday = async (req, res) => {
   try {
-    const result = await currentAffairsService.scrapeTodaysAffairs();
+    const result = await currentAffairsService.scrapeTodaysAffairs({ trigger: 'admin', triggeredBy: req.user._id });
     
     // Verify data was actually saved
     const today = new Date().toISOString().split('T')[0];
@@ -113,7 +245,10 @@ export const scrapeForDate = async (req, res) => {
       return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
     }
     
-    const result = await currentAffairsService.scrapeAffairsForDate(date, force === 'true');
+    const result = await currentAffairsService.scrapeAffairsForDate(date, force === 'true', {
+      trigger: 'admin',
+      triggeredBy: req.user._id,
+    });
     
     // Verify data was actually saved
     const verification = await currentAffairsService.verifyDatabaseContents(date);
@@ -135,3 +270,489 @@ export const verifyDatabase = async (req, res) => {
   }
 };
 
+// Scrape run history - why a date is missing, which sources failed, when quotas ran out
+export const getScrapeRuns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { date, trigger, status } = req.query;
+    const { page, limit, skip } = getPaginationParams(req);
+    const { runs, total } = await scrapeRunService.getRuns({ date, trigger, status, skip, limit });
+
+    res.json({
+      runs,
+      pagination: getPaginationResponse(page, limit, total),
+    });
+  } catch (error) {
+    console.error('Error getting scrape runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Per-source success rate over the last ?days (default 30)
+export const getSourceHealth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const health = await scrapeRunService.getSourceHealth({ days: parseInt(req.query.days) || 30 });
+    res.json(health);
+  } catch (error) {
+    console.error('Error getting source health:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Requests per news provider today (against its daily quota) and over the last ?days, plus the auto-fetch budget
+export const getProviderUsage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const usage = await providerUsageService.getUsageReport({ days: parseInt(req.query.days) || 7 });
+    res.json(usage);
+  } catch (error) {
+    console.error('Error getting provider usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Scrape missing or under-filled dates of a range in the background
+export const createBackfill = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { from, to, minArticles } = req.body;
+    const job = await backfillService.createJob({ from, to, minArticles, createdBy: req.user._id });
+    res.status(202).json({ job });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating backfill job:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getBackfillJobs = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req);
+    const { jobs, total } = await backfillService.listJobs({ skip, limit });
+    res.json({
+      jobs,
+      pagination: getPaginationResponse(page, limit, total),
+    });
+  } catch (error) {
+    console.error('Error listing backfill jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Progress of one job, with the status of every date
+export const getBackfillJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const job = await backfillService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Backfill job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Error getting backfill job:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const resumeBackfillJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const job = await backfillService.resumeJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Only paused backfill jobs can be resumed' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Error resuming backfill job:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const cancelBackfillJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const cancelled = await backfillService.cancelJob(req.params.id);
+    if (!cancelled) {
+      return res.status(409).json({ error: 'Backfill job is not active' });
+    }
+    res.json({ message: 'Backfill job cancelled' });
+  } catch (error) {
+    console.error('Error cancelling backfill job:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+
+// Generate draft quiz questions from a date's articles (they wait in the review queue)
+export const generateQuiz = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { date } = req.params;
+    const { generator, force } = req.body;
+
+    const result = await currentAffairsQuizService.generateForDate(date, {
+      createdBy: req.user._id,
+      generator,
+      force: force === true,
+    });
+
+    res.status(result.success ? 201 : 404).json(result);
+  } catch (error) {
+    console.error('Error generating current affairs quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getQuizReviewQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPaginationParams(req);
+    const { questions, total } = await currentAffairsQuizService.getReviewQueue({
+      date: req.query.date,
+      skip,
+      limit,
+    });
+
+    res.json({
+      questions,
+      generators: currentAffairsQuizService.getGeneratorNames(),
+      pagination: getPaginationResponse(page, limit, total),
+    });
+  } catch (error) {
+    console.error('Error fetching quiz review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Approve (publish) or reject (delete) generated questions
+export const reviewQuizQuestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { questionIds, action } = req.body;
+    const { updated } = await currentAffairsQuizService.reviewQuestions(questionIds, action);
+
+    res.json({
+      action,
+      updated,
+      message: `${updated} question(s) ${action === 'approve' ? 'published' : 'rejected'}`,
+    });
+  } catch (error) {
+    console.error('Error reviewing quiz questions:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// List all sources (built-in and admin-added) with their provider quotas
+export const getNewsSources = async (req, res) => {
+  try {
+    const sources = await newsSourceService.getSources({ includeDisabled: true });
+    res.json({
+      sources: sources.map(source => ({
+        ...source,
+        quota: newsSourceService.getQuota(source),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching news sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Enable/disable, reprioritise or reconfigure a source - unknown keys add a new source
+export const updateNewsSource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const source = await newsSourceService.updateSource(req.params.key, req.body, req.user._id);
+    res.json({ source });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating news source:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Drop the admin override of a source (built-in sources return to their defaults)
+export const resetNewsSource = async (req, res) => {
+  try {
+    const removed = await newsSourceService.resetSource(req.params.key);
+    if (!removed) {
+      return res.status(404).json({ error: 'No override found for this source' });
+    }
+    res.json({ message: 'News source reset successfully' });
+  } catch (error) {
+    console.error('Error resetting news source:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Taxonomy used to classify affairs (built-in categories merged with admin overrides)
+export const getAffairCategories = async (req, res) => {
+  try {
+    const categories = await affairClassifierService.getCategories({ includeDisabled: true });
+    res.json({ categories });
+  } catch (error) {
+    console.error('Error fetching affair categories:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Edit a category's keywords/name, disable it, or add a new one
+export const updateAffairCategory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const category = await affairClassifierService.updateCategory(req.params.key, req.body, req.user._id);
+    res.json({ category });
+  } catch (error) {
+    console.error('Error updating affair category:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const resetAffairCategory = async (req, res) => {
+  try {
+    const removed = await affairClassifierService.resetCategory(req.params.key);
+    if (!removed) {
+      return res.status(404).json({ error: 'No override found for this category' });
+    }
+    res.json({ message: 'Category reset successfully' });
+  } catch (error) {
+    console.error('Error resetting affair category:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Re-run classification for a date after the taxonomy changed
+export const reclassifyAffairs = async (req, res) => {
+  try {
+    const { date } = req.params;
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const result = await affairClassifierService.reclassifyDate(date);
+    res.json(result);
+  } catch (error) {
+    console.error('Error reclassifying current affairs:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const isAdmin = (req) => req.user?.role === 'admin';
+
+const compilationCacheKey = (slug) => `current-affairs:compilation:${slug}`;
+
+// Published compilations; admins may also list drafts with ?status=draft
+export const listCompilations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { period, status } = req.query;
+    const { page, limit, skip } = getPaginationParams(req);
+    const { compilations, total } = await affairCompilationService.listCompilations({
+      period,
+      status: isAdmin(req) ? status : 'published',
+      skip,
+      limit,
+    });
+
+    res.json({
+      compilations,
+      pagination: getPaginationResponse(page, limit, total),
+    });
+  } catch (error) {
+    console.error('Error listing compilations:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Load a compilation for the public endpoints - published ones are cached, admins also see drafts
+const loadCompilation = async (req) => {
+  const { slug } = req.params;
+  const cached = cacheService.get(compilationCacheKey(slug));
+  if (cached) return cached;
+
+  const compilation = await affairCompilationService.getCompilation(slug, { includeDraft: isAdmin(req) });
+  if (compilation?.status === 'published') {
+    cacheService.set(compilationCacheKey(slug), compilation, CACHE_TTL);
+  }
+  return compilation;
+};
+
+export const getCompilation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const compilation = await loadCompilation(req);
+    if (!compilation) {
+      return res.status(404).json({ error: 'Compilation not found' });
+    }
+    res.json({ compilation });
+  } catch (error) {
+    console.error('Error getting compilation:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Printable HTML (default) or Markdown download of a compilation
+export const exportCompilation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const compilation = await loadCompilation(req);
+    if (!compilation) {
+      return res.status(404).json({ error: 'Compilation not found' });
+    }
+
+    if (req.query.format === 'markdown') {
+      res.set('Content-Type', 'text/markdown; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${compilation.slug}.md"`);
+      return res.send(renderCompilationMarkdown(compilation));
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderCompilationHtml(compilation));
+  } catch (error) {
+    console.error('Error exporting compilation:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Build the draft compilation of a week or month from stored affairs
+export const buildCompilation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { period, key, itemsPerCategory, force } = req.body;
+    const compilation = await affairCompilationService.buildCompilation(period, key, {
+      createdBy: req.user._id,
+      itemsPerCategory,
+      force: force === true,
+    });
+
+    res.status(201).json({ compilation });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error building compilation:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Curate a compilation: title, intro, and the order/content of its sections and items
+export const updateCompilation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { title, intro, sections } = req.body;
+    const compilation = await affairCompilationService.updateCompilation(
+      req.params.slug,
+      { title, intro, sections },
+      req.user._id
+    );
+    if (!compilation) {
+      return res.status(404).json({ error: 'Compilation not found' });
+    }
+
+    cacheService.delete(compilationCacheKey(req.params.slug));
+    res.json({ compilation });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating compilation:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const setCompilationPublished = (published) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const compilation = await affairCompilationService.setPublished(req.params.slug, published, req.user._id);
+    if (!compilation) {
+      return res.status(404).json({ error: 'Compilation not found' });
+    }
+
+    cacheService.delete(compilationCacheKey(req.params.slug));
+    res.json({ compilation });
+  } catch (error) {
+    console.error(`Error ${published ? 'publishing' : 'unpublishing'} compilation:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const publishCompilation = setCompilationPublished(true);
+export const unpublishCompilation = setCompilationPublished(false);
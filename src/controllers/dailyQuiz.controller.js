@@ -0,0 +1,161 @@
+import { validationResult } from 'express-validator';
+import Exam from '../models/Exam.js';
+import Question from '../models/Question.js';
+import TestAttempt from '../models/TestAttempt.js';
+import dailyQuizService from '../services/dailyQuizService.js';
+import testBuilderService, { TEST_QUESTION_FIELDS } from '../services/testBuilderService.js';
+import { anonymousSessionPayload } from '../utils/jwt.js';
+
+// Today's quiz of an exam, with the user's attempt and streak when logged in
+export const getDailyQuiz = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { examId, date } = req.query;
+    const exam = await Exam.findById(examId).select('_id title name').lean();
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    const quiz = await dailyQuizService.findQuiz(exam._id, date);
+    if (!quiz) {
+      return res.status(404).json({ error: 'No daily quiz available for this exam and date' });
+    }
+
+    let attempt = null;
+    if (req.user) {
+      attempt = await TestAttempt.findOne({ dailyQuiz: quiz._id, userId: req.user._id })
+        .select('testId submitted score correct total submittedAt')
+        .lean();
+    }
+
+    res.json({
+      date: quiz.date,
+      exam: { _id: exam._id, title: exam.title || exam.name },
+      questionCount: quiz.questions.length,
+      durationMinutes: dailyQuizService.durationMinutes,
+      attempt,
+      streak: req.user ? dailyQuizService.getStreak(req.user) : null,
+    });
+  } catch (error) {
+    console.error('Error fetching daily quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Start today's quiz - logged-in users get their existing attempt back instead of a second one
+export const startDailyQuiz = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const exam = await Exam.findById(req.body.examId)
+      .select('_id title name board markingScheme')
+      .populate('board', 'name')
+      .lean();
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    const quiz = await dailyQuizService.getOrCreateQuiz(exam._id);
+    if (!quiz) {
+      return res.status(404).json({ error: 'No daily quiz available for this exam' });
+    }
+
+    // Resolves to true when the user's existing attempt was sent back
+    const sendExistingAttempt = async () => {
+      const existing = await TestAttempt.findOne({ dailyQuiz: quiz._id, userId: req.user._id })
+        .select('testId submitted')
+        .lean();
+      if (!existing) return false;
+      res.json({
+        testId: existing.testId,
+        date: quiz.date,
+        resumed: true,
+        submitted: existing.submitted,
+      });
+      return true;
+    };
+
+    if (req.user && await sendExistingAttempt()) return;
+
+    const questions = await Question.find({ _id: { $in: quiz.questions }, status: 'published' })
+      .select(`${TEST_QUESTION_FIELDS} subject`)
+      .populate('subject', '_id name icon')
+      .lean();
+    if (questions.length === 0) {
+      return res.status(400).json({ error: 'No questions available for this test' });
+    }
+
+    // Same order for everyone
+    const position = new Map(quiz.questions.map((id, idx) => [id.toString(), idx]));
+    questions.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+
+    let created;
+    try {
+      created = await testBuilderService.createAttempt({
+        userId: req.user?._id || null,
+        questions,
+        exam,
+        testType: 'daily',
+        durationMinutes: dailyQuizService.durationMinutes,
+        extra: {
+          dailyQuiz: quiz._id,
+          dailyQuizDate: quiz.date,
+        },
+      });
+    } catch (error) {
+      // A concurrent start created the attempt first (unique dailyQuiz + userId index)
+      if (error.code === 11000 && req.user && await sendExistingAttempt()) return;
+      throw error;
+    }
+    const { testAttempt, questions: testQuestions, passages } = created;
+
+    res.status(201).json({
+      testId: testAttempt.testId,
+      ...(testAttempt.sessionId ? anonymousSessionPayload(testAttempt.sessionId) : {}),
+      testType: testAttempt.testType,
+      date: quiz.date,
+      exam: testAttempt.exam,
+      markingScheme: testAttempt.markingScheme,
+      startedAt: testAttempt.startedAt,
+      durationMinutes: testAttempt.durationMinutes,
+      expiresAt: testAttempt.expiresAt,
+      passages,
+      questions: testQuestions,
+    });
+  } catch (error) {
+    console.error('Error starting daily quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getDailyLeaderboard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { examId, date, limit } = req.query;
+    const quiz = await dailyQuizService.findQuiz(examId, date);
+    if (!quiz) {
+      return res.status(404).json({ error: 'No daily quiz available for this exam and date' });
+    }
+
+    const leaderboard = await dailyQuizService.getLeaderboard(quiz, {
+      limit,
+      userId: req.user?._id || null,
+    });
+
+    res.json(leaderboard);
+  } catch (error) {
+    console.error('Error fetching daily leaderboard:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -16,7 +16,7 @@ export const createExam = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, board, duration, priority, meta } = req.body;
+    const { title, board, duration, priority, meta, markingScheme } = req.body;
     const slug = title.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
 
     const boardDoc = await Board.findById(board);
@@ -34,6 +34,7 @@ export const createExam = async (req, res) => {
       duration,
       priority: priority || 0,
       totalQuestions: 0,
+      markingScheme: markingScheme || {},
       meta: meta || {},
     });
 
@@ -100,7 +101,7 @@ export const getExam = async (req, res) => {
   try {
     // Optimize: Use lean(), select only needed fields, limit subjects
     const exam = await Exam.findById(req.params.id)
-      .select('_id title slug board parentExam subjects duration totalQuestions priority meta createdAt')
+      .select('_id title slug board parentExam subjects duration totalQuestions markingScheme priority meta createdAt')
       .populate('board', 'name slug')
       .populate('parentExam', 'title slug')
       .populate({
@@ -130,7 +131,7 @@ export const updateExam = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, parentExam, duration, priority, meta } = req.body;
+    const { title, parentExam, duration, priority, meta, markingScheme } = req.body;
     const updateData = {};
 
     if (title) {
@@ -140,6 +141,7 @@ export const updateExam = async (req, res) => {
     if (duration !== undefined) updateData.duration = duration;
     if (priority !== undefined) updateData.priority = priority;
     if (meta !== undefined) updateData.meta = meta;
+    if (markingScheme !== undefined) updateData.markingScheme = markingScheme || {};
     if (parentExam !== undefined) {
       updateData.parentExam = parentExam || null;
     }
@@ -0,0 +1,158 @@
+import { validationResult } from 'express-validator';
+import Passage from '../models/Passage.js';
+import Question from '../models/Question.js';
+import QuestionPaper from '../models/QuestionPaper.js';
+
+// Clean up media array - drop empty entries
+const cleanMedia = (media) => (Array.isArray(media)
+  ? media.filter(img => img && typeof img === 'string' && img.trim() !== '')
+  : []);
+
+// Get passages (optionally for one question paper) with their question counts
+export const getPassages = async (req, res) => {
+  try {
+    const { questionPaper } = req.query;
+
+    const query = {};
+    if (questionPaper) query.questionPaper = questionPaper;
+
+    const passages = await Passage.find(query)
+      .select('_id title text media questionPaper subject exam createdAt')
+      .sort({ createdAt: 1 })
+      .limit(200)
+      .lean();
+
+    const counts = await Question.aggregate([
+      { $match: { passage: { $in: passages.map(p => p._id) } } },
+      { $group: { _id: '$passage', count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      passages: passages.map(p => ({
+        ...p,
+        questionCount: countMap.get(p._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching passages:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a single passage with the IDs of the questions that use it
+export const getPassage = async (req, res) => {
+  try {
+    const passage = await Passage.findById(req.params.id).lean();
+    if (!passage) {
+      return res.status(404).json({ error: 'Passage not found' });
+    }
+
+    const questions = await Question.find({ passage: passage._id })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      passage: {
+        ...passage,
+        questions: questions.map(q => q._id),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching passage:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const createPassage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { questionPaper, title, text, media } = req.body;
+
+    const questionPaperDoc = await QuestionPaper.findById(questionPaper)
+      .select('_id subject exam')
+      .lean();
+    if (!questionPaperDoc) {
+      return res.status(404).json({ error: 'Question Paper not found' });
+    }
+
+    const cleanedMedia = cleanMedia(media);
+    if (!text?.trim() && cleanedMedia.length === 0) {
+      return res.status(400).json({ error: 'Passage text or media is required' });
+    }
+
+    const passage = await Passage.create({
+      questionPaper: questionPaperDoc._id,
+      subject: questionPaperDoc.subject,
+      exam: questionPaperDoc.exam,
+      title: title || '',
+      text: text || '',
+      media: cleanedMedia,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({ passage });
+  } catch (error) {
+    console.error('Error creating passage:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const updatePassage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const passage = await Passage.findById(req.params.id);
+    if (!passage) {
+      return res.status(404).json({ error: 'Passage not found' });
+    }
+
+    const { title, text, media } = req.body;
+    if (title !== undefined) passage.title = title;
+    if (text !== undefined) passage.text = text;
+    if (media !== undefined) passage.media = cleanMedia(media);
+
+    if (!passage.text?.trim() && passage.media.length === 0) {
+      return res.status(400).json({ error: 'Passage text or media is required' });
+    }
+
+    await passage.save();
+
+    res.json({ passage });
+  } catch (error) {
+    console.error('Error updating passage:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Delete a passage - its questions stay but are unlinked
+export const deletePassage = async (req, res) => {
+  try {
+    const passage = await Passage.findById(req.params.id);
+    if (!passage) {
+      return res.status(404).json({ error: 'Passage not found' });
+    }
+
+    const unlinkResult = await Question.updateMany(
+      { passage: passage._id },
+      { $set: { passage: null } }
+    );
+    await passage.deleteOne();
+
+    res.json({
+      message: 'Passage deleted successfully',
+      unlinkedQuestions: unlinkResult.modifiedCount,
+    });
+  } catch (error) {
+    console.error('Error deleting passage:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -3,7 +3,29 @@ import Question from '../models/Question.js';
 import Exam from '../models/Exam.js';
 import Subject from '../models/Subject.js';
 import QuestionPaper from '../models/QuestionPaper.js';
+import Passage from '../models/Passage.js';
 import { getPaginationParams, getPaginationResponse } from '../utils/pagination.js';
+import {
+  ANSWER_KEY_FIELDS,
+  isChoiceType,
+  normalizeAnswerKey,
+  validateAnswerKey,
+} from '../utils/questionTypes.js';
+
+// Check that a passage exists and belongs to the question's paper
+const validatePassage = async (passageId, questionPaperId) => {
+  const passage = await Passage.findById(passageId).select('questionPaper').lean();
+  if (!passage) {
+    return 'Passage not found';
+  }
+  if (passage.questionPaper.toString() !== questionPaperId.toString()) {
+    return 'Passage belongs to a different question paper';
+  }
+  return null;
+};
+
+// Fields hidden from non-admin users
+const PROTECTED_FIELDS = [...ANSWER_KEY_FIELDS, 'createdBy'].map(field => `-${field}`).join(' ');
 
 // Helper function to update exam and parent exam question counts
 const updateExamQuestionCounts = async (examId) => {
@@ -69,9 +91,10 @@ export const createQuestion = async (req, res) => {
     const {
       text,
       options,
-      correctIndex,
       explanation,
+      marks,
       questionPaper,
+      passage,
       subject,
       exam,
       difficulty,
@@ -93,19 +116,28 @@ export const createQuestion = async (req, res) => {
       return res.status(400).json({ error: 'Exam is required' });
     }
 
-    if (!options || options.length < 2) {
-      return res.status(400).json({ error: 'At least 2 options required' });
+    if (passage) {
+      const passageError = await validatePassage(passage, questionPaper);
+      if (passageError) {
+        return res.status(400).json({ error: passageError });
+      }
     }
 
-    if (correctIndex < 0 || correctIndex >= options.length) {
-      return res.status(400).json({ error: 'Invalid correctIndex' });
-    }
+    // Type-specific answer key (correctIndex, correctIndices, numericAnswer, correctMatches)
+    const answerKey = normalizeAnswerKey(req.body);
 
-    // Clean up options - ensure media is null if empty
-    const cleanedOptions = options.map(opt => ({
-      text: opt.text,
-      media: (opt.media && opt.media.trim && opt.media.trim() !== '') ? opt.media : null,
-    }));
+    // Clean up options - ensure media is null if empty (numeric and match questions have none)
+    const cleanedOptions = isChoiceType(answerKey.type) && Array.isArray(options)
+      ? options.map(opt => ({
+        text: opt.text,
+        media: (opt.media && opt.media.trim && opt.media.trim() !== '') ? opt.media : null,
+      }))
+      : [];
+
+    const answerKeyError = validateAnswerKey({ ...answerKey, options: cleanedOptions });
+    if (answerKeyError) {
+      return res.status(400).json({ error: answerKeyError });
+    }
 
     // Clean up media array
     const cleanedMedia = Array.isArray(media) 
@@ -115,9 +147,11 @@ export const createQuestion = async (req, res) => {
     const question = new Question({
       text,
       options: cleanedOptions,
-      correctIndex,
+      ...answerKey,
       explanation: explanation || '',
+      marks: marks ?? null,
       questionPaper,
+      passage: passage || null,
       subject,
       exam,
       difficulty: difficulty || 'medium',
@@ -186,13 +220,13 @@ export const getQuestions = async (req, res) => {
     });
     
     // Build the query - for admin users, don't exclude any fields
-    // For non-admin, exclude correctIndex and createdBy
+    // For non-admin, exclude answer keys and createdBy
     let questionsQuery = Question.find(query);
     
     // For non-admin users, exclude sensitive fields
     // For admin, we don't call select() so all fields are included
     if (!isAdmin) {
-      questionsQuery = questionsQuery.select('-correctIndex -createdBy');
+      questionsQuery = questionsQuery.select(PROTECTED_FIELDS);
     }
     // Note: For admin, no select() means ALL fields including correctIndex are returned
     
@@ -252,13 +286,13 @@ export const getQuestion = async (req, res) => {
     const { id } = req.params;
     const isAdmin = req.user?.role === 'admin';
     
-    // Build the query - for admin users, include all fields (including correctIndex)
-    // For non-admin, exclude correctIndex and createdBy
+    // Build the query - for admin users, include all fields (including answer keys)
+    // For non-admin, exclude answer keys and createdBy
     let questionQuery = Question.findById(id);
     
     // Only exclude fields for non-admin users
     if (!isAdmin) {
-      questionQuery = questionQuery.select('-correctIndex -createdBy');
+      questionQuery = questionQuery.select(PROTECTED_FIELDS);
     }
     
     const question = await questionQuery
@@ -297,14 +331,6 @@ export const updateQuestion = async (req, res) => {
 
     // Clean up options if provided
     if (updateData.options) {
-      if (updateData.options.length < 2) {
-        return res.status(400).json({ error: 'At least 2 options required' });
-      }
-      if (updateData.correctIndex !== undefined) {
-        if (updateData.correctIndex < 0 || updateData.correctIndex >= updateData.options.length) {
-          return res.status(400).json({ error: 'Invalid correctIndex' });
-        }
-      }
       // Clean up options media
       updateData.options = updateData.options.map(opt => ({
         text: opt.text,
@@ -312,6 +338,28 @@ export const updateQuestion = async (req, res) => {
       }));
     }
 
+    // Passage must belong to the (possibly new) question paper
+    if (updateData.passage) {
+      const passageError = await validatePassage(updateData.passage, updateData.questionPaper || question.questionPaper);
+      if (passageError) {
+        return res.status(400).json({ error: passageError });
+      }
+    } else if (updateData.passage !== undefined) {
+      updateData.passage = null;
+    }
+
+    // Re-validate the answer key against the merged question when type, options or key change
+    const answerKeyInputs = ['type', 'options', 'assertion', 'reason', 'matchColumns', ...ANSWER_KEY_FIELDS];
+    if (answerKeyInputs.some(field => updateData[field] !== undefined)) {
+      const merged = { ...question.toObject(), ...updateData };
+      const answerKey = normalizeAnswerKey(merged);
+      const answerKeyError = validateAnswerKey({ ...answerKey, options: merged.options });
+      if (answerKeyError) {
+        return res.status(400).json({ error: answerKeyError });
+      }
+      Object.assign(updateData, answerKey);
+    }
+
     // Clean up media if provided
     if (updateData.media !== undefined) {
       updateData.media = Array.isArray(updateData.media)
@@ -385,7 +433,7 @@ export const bulkUploadQuestions = async (req, res) => {
       subject: req.body.subject,
       questionPaper: req.body.questionPaper,
     });
-    const { questions, exam, subject, questionPaper } = req.body;
+    const { questions, exam, subject, questionPaper, passages } = req.body;
 
     if (!questions || !Array.isArray(questions) || questions.length === 0) {
       return res.status(400).json({ error: 'Questions array is required and must not be empty' });
@@ -422,6 +470,42 @@ export const bulkUploadQuestions = async (req, res) => {
     const savedQuestions = [];
     const errors = [];
 
+    // Grouped questions: passages are created first and referenced by `passageRef` on each question
+    const passageIdsByRef = new Map();
+    if (Array.isArray(passages)) {
+      for (let p = 0; p < passages.length; p++) {
+        const passageInput = passages[p] || {};
+        const ref = passageInput.ref !== undefined && passageInput.ref !== null ? String(passageInput.ref) : null;
+        const media = Array.isArray(passageInput.media)
+          ? passageInput.media.filter(img => img && typeof img === 'string' && img.trim() !== '')
+          : [];
+
+        if (!ref) {
+          errors.push(`Passage ${p + 1}: ref is required`);
+          continue;
+        }
+        if (passageIdsByRef.has(ref)) {
+          errors.push(`Passage ${p + 1}: duplicate ref "${ref}"`);
+          continue;
+        }
+        if (!passageInput.text?.trim() && media.length === 0) {
+          errors.push(`Passage ${p + 1}: Passage text or media is required`);
+          continue;
+        }
+
+        const passageDoc = await Passage.create({
+          questionPaper,
+          subject,
+          exam,
+          title: (passageInput.title || '').trim(),
+          text: passageInput.text || '',
+          media,
+          createdBy: req.user._id,
+        });
+        passageIdsByRef.set(ref, passageDoc._id);
+      }
+    }
+
     for (let i = 0; i < questions.length; i++) {
       const q = questions[i];
       
@@ -442,42 +526,63 @@ export const bulkUploadQuestions = async (req, res) => {
           continue;
         }
 
-        if (!q.options || !Array.isArray(q.options) || q.options.length < 2) {
+        // Type-specific answer key (single-answer MCQ when no type is given)
+        const answerKey = normalizeAnswerKey(q);
+        const isChoice = isChoiceType(answerKey.type);
+
+        if (isChoice && (!q.options || !Array.isArray(q.options) || q.options.length < 2)) {
           errors.push(`Question ${i + 1}: At least 2 options are required (got ${q.options?.length || 0})`);
           continue;
         }
 
-        const validOptions = q.options.filter(opt => opt && opt.text && opt.text.trim());
-        if (validOptions.length < 2) {
+        const validOptions = isChoice
+          ? q.options.filter(opt => opt && opt.text && opt.text.trim())
+          : [];
+        if (isChoice && validOptions.length < 2) {
           errors.push(`Question ${i + 1}: At least 2 valid options are required (got ${validOptions.length} valid out of ${q.options.length} total)`);
           continue;
         }
 
-        // Ensure correctIndex is a valid number and within bounds
-        const correctIndex = typeof q.correctIndex === 'number' && !isNaN(q.correctIndex) 
-          ? Math.floor(q.correctIndex)  // Ensure it's an integer
-          : parseInt(q.correctIndex, 10);
-
         // Debug after filtering
         if (i < 3) {
           console.log(`[Backend] Question ${i + 1} after filtering:`, {
+            type: answerKey.type,
             validOptionsCount: validOptions.length,
             receivedCorrectIndex: q.correctIndex,
-            processedCorrectIndex: correctIndex,
-            validRange: `0-${validOptions.length - 1}`,
-            isValid: correctIndex >= 0 && correctIndex < validOptions.length,
+            answerKey,
           });
         }
 
-        if (isNaN(correctIndex) || correctIndex < 0 || correctIndex >= validOptions.length) {
-          errors.push(`Question ${i + 1}: Invalid correct answer index (got ${q.correctIndex}, processed as ${correctIndex}, valid range: 0-${validOptions.length - 1})`);
+        // Validate the answer key against the filtered options
+        const answerKeyError = validateAnswerKey({ ...answerKey, options: validOptions });
+        if (answerKeyError) {
+          errors.push(`Question ${i + 1}: ${answerKeyError}`);
           continue;
         }
 
+        let passageId = null;
+        if (q.passageRef !== undefined && q.passageRef !== null && q.passageRef !== '') {
+          passageId = passageIdsByRef.get(String(q.passageRef)) || null;
+          if (!passageId) {
+            errors.push(`Question ${i + 1}: Unknown passageRef "${q.passageRef}"`);
+            continue;
+          }
+        }
+
         const validDifficulty = ['easy', 'medium', 'hard'].includes(q.difficulty?.toLowerCase()) 
           ? q.difficulty.toLowerCase() 
           : 'medium';
 
+        // Optional per-question marks (falls back to the paper's marking scheme)
+        let marks = null;
+        if (q.marks !== undefined && q.marks !== null && q.marks !== '') {
+          marks = Number(q.marks);
+          if (isNaN(marks) || marks < 0) {
+            errors.push(`Question ${i + 1}: Invalid marks (got ${q.marks})`);
+            continue;
+          }
+        }
+
         // Create question
         const question = new Question({
           text: q.text.trim(),
@@ -485,9 +590,11 @@ export const bulkUploadQuestions = async (req, res) => {
             text: opt.text.trim(),
             media: opt.media || null
           })),
-          correctIndex: correctIndex, // Use the validated and processed correctIndex
+          ...answerKey, // Use the validated and processed answer key
           explanation: (q.explanation || '').trim(),
+          marks,
           questionPaper: questionPaper,
+          passage: passageId,
           subject: subject,
           exam: exam,
           difficulty: validDifficulty,
@@ -501,6 +608,7 @@ export const bulkUploadQuestions = async (req, res) => {
         if (i < 3) {
           console.log(`[Backend] Question ${i + 1} saved:`, {
             _id: saved._id,
+            type: saved.type,
             correctIndex: saved.correctIndex,
             correctIndexType: typeof saved.correctIndex,
             correctOptionText: saved.options[saved.correctIndex]?.text?.substring(0, 30),
@@ -515,6 +623,13 @@ export const bulkUploadQuestions = async (req, res) => {
       }
     }
 
+    // Remove passages none of whose questions could be saved
+    const usedPassageIds = new Set(savedQuestions.filter(q => q.passage).map(q => q.passage.toString()));
+    const unusedPassageIds = [...passageIdsByRef.values()].filter(id => !usedPassageIds.has(id.toString()));
+    if (unusedPassageIds.length > 0) {
+      await Passage.deleteMany({ _id: { $in: unusedPassageIds } });
+    }
+
     // Update exam counts
     if (savedQuestions.length > 0) {
       await updateExamQuestionCounts(exam);
@@ -530,6 +645,7 @@ export const bulkUploadQuestions = async (req, res) => {
       success: true,
       total: questions.length,
       saved: savedQuestions.length,
+      passages: passageIdsByRef.size - unusedPassageIds.length,
       errors: errors.length > 0 ? errors : undefined,
       message: `Successfully saved ${savedQuestions.length} out of ${questions.length} questions`
     });
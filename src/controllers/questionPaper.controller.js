@@ -1,5 +1,8 @@
+import { validationResult } from 'express-validator';
 import QuestionPaper from '../models/QuestionPaper.js';
 import Question from '../models/Question.js';
+import Passage from '../models/Passage.js';
+import ScoreDistribution from '../models/ScoreDistribution.js';
 import Subject from '../models/Subject.js';
 import Exam from '../models/Exam.js';
 import Board from '../models/Board.js';
@@ -27,7 +30,7 @@ export const getQuestionPapers = async (req, res) => {
 
     // Select needed fields including subject/exam/board IDs for filtering
     const questionPapers = await QuestionPaper.find(query)
-      .select('_id name section year duration totalMarks priority createdAt subject exam board')
+      .select('_id name section year duration totalMarks totalMarksExplicit markingScheme shuffleQuestions shuffleOptions priority createdAt subject exam board')
       .sort({ section: 1, year: -1, priority: -1, name: 1 })
       .limit(200) // Limit to 200 question papers to avoid huge responses
       .lean();
@@ -69,7 +72,12 @@ export const getQuestionPaper = async (req, res) => {
 // Create question paper
 export const createQuestionPaper = async (req, res) => {
   try {
-    const { name, subject, exam, board, section, year, duration, totalMarks, priority } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, subject, exam, board, section, year, duration, totalMarks, markingScheme, shuffleQuestions, shuffleOptions, priority } = req.body;
 
     // Validate subject, exam and board exist
     const subjectExists = await Subject.findById(subject);
@@ -96,6 +104,10 @@ export const createQuestionPaper = async (req, res) => {
       year,
       duration: duration || 60,
       totalMarks: totalMarks || 100,
+      totalMarksExplicit: !!totalMarks,
+      markingScheme: markingScheme || {},
+      shuffleQuestions: shuffleQuestions || false,
+      shuffleOptions: shuffleOptions || false,
       priority: priority || 0,
     });
 
@@ -117,7 +129,12 @@ export const createQuestionPaper = async (req, res) => {
 // Update question paper
 export const updateQuestionPaper = async (req, res) => {
   try {
-    const { name, subject, exam, board, section, year, duration, totalMarks, priority } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, subject, exam, board, section, year, duration, totalMarks, markingScheme, shuffleQuestions, shuffleOptions, priority } = req.body;
 
     const questionPaper = await QuestionPaper.findById(req.params.id);
     if (!questionPaper) {
@@ -154,7 +171,13 @@ export const updateQuestionPaper = async (req, res) => {
     if (section !== undefined) questionPaper.section = section;
     if (year !== undefined) questionPaper.year = year;
     if (duration !== undefined) questionPaper.duration = duration;
-    if (totalMarks !== undefined) questionPaper.totalMarks = totalMarks;
+    if (totalMarks !== undefined) {
+      questionPaper.totalMarks = totalMarks || 100;
+      questionPaper.totalMarksExplicit = !!totalMarks;
+    }
+    if (markingScheme !== undefined) questionPaper.markingScheme = markingScheme || {};
+    if (shuffleQuestions !== undefined) questionPaper.shuffleQuestions = shuffleQuestions;
+    if (shuffleOptions !== undefined) questionPaper.shuffleOptions = shuffleOptions;
     if (priority !== undefined) questionPaper.priority = priority;
 
     await questionPaper.save();
@@ -252,6 +275,10 @@ export const deleteQuestionPaper = async (req, res) => {
       await updateExamQuestionCounts(examId);
     }
 
+    // Delete passages shared by this paper's questions
+    await Passage.deleteMany({ questionPaper: questionPaper._id });
+    await ScoreDistribution.deleteOne({ questionPaper: questionPaper._id });
+
     // Delete the question paper itself
     await questionPaper.deleteOne();
     console.log(`Deleted question paper ${questionPaper.name}`);
@@ -5,8 +5,18 @@ import Subject from '../models/Subject.js';
 import QuestionPaper from '../models/QuestionPaper.js';
 import Question from '../models/Question.js';
 import TestAttempt from '../models/TestAttempt.js';
+import { gradeAnswer, normalizeAnswer } from '../utils/scoring.js';
+import { toCanonicalAnswer, toDisplayAnswer, toStudentQuestion } from '../utils/questionTypes.js';
+import { anonymousSessionPayload } from '../utils/jwt.js';
 // Use Redis cache if available, fallback to in-memory cache
 import cacheService from '../services/redisCacheService.js';
+import testSubmissionService from '../services/testSubmissionService.js';
+import testBuilderService, { TEST_QUESTION_FIELDS } from '../services/testBuilderService.js';
+import rankingService from '../services/rankingService.js';
+import attemptClaimService from '../services/attemptClaimService.js';
+import studentAnalyticsService from '../services/studentAnalyticsService.js';
+import currentAffairsQuizService from '../services/currentAffairsQuizService.js';
+import { getPaginationParams, getPaginationResponse } from '../utils/pagination.js';
 
 export const getBoards = async (req, res) => {
   try {
@@ -50,6 +60,67 @@ export const getBoards = async (req, res) => {
   }
 };
 
+// Authorization for test routes: logged-in users own their tests, anonymous tests belong to
+// the session whose signed token (X-Session-Token, verified by optionalAuthenticate) created them
+const getTestAccessError = (req, test) => {
+  if (req.user) {
+    if (!test.userId || String(test.userId) !== String(req.user._id)) {
+      return { status: 403, error: 'Not authorized' };
+    }
+    return null;
+  }
+  if (test.userId) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  if (!req.anonymousSessionId) {
+    return { status: 401, error: 'Session token required' };
+  }
+  if (!test.sessionId || test.sessionId !== req.anonymousSessionId) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  return null;
+};
+
+// Grade a practice mode answer (canonical indices) and report it in the order the student saw
+const getPracticeFeedback = async (questionId, answer, { optionOrder, markingScheme }) => {
+  const question = await Question.findById(questionId)
+    .select('_id type correctIndex correctIndices numericAnswer correctMatches explanation')
+    .lean();
+  if (!question) return null;
+
+  const graded = gradeAnswer(question, answer, { partialCredit: markingScheme?.partialCredit || false });
+  let status = 'incorrect';
+  if (graded.isCorrect) status = 'correct';
+  else if (graded.fraction > 0) status = 'partial';
+
+  return {
+    isCorrect: graded.isCorrect,
+    status,
+    correctAnswer: optionOrder ? toDisplayAnswer(graded.correctAnswer, optionOrder) : graded.correctAnswer,
+    explanation: question.explanation || '',
+  };
+};
+
+// Upper bound for a single time-spent event (guards against clients left open overnight)
+const MAX_TIME_EVENT_SECONDS = 30 * 60;
+
+// Scoring fields returned by submitTest and getTestResult
+const buildScorePayload = (test) => ({
+  score: test.score,
+  percentage: test.score,
+  marksObtained: test.marksObtained ?? test.correct,
+  maxMarks: test.maxMarks ?? test.total,
+  correct: test.correct,
+  partial: test.partial ?? null,
+  incorrect: test.incorrect ?? null,
+  unattempted: test.unattempted ?? null,
+  total: test.total,
+  markingScheme: test.markingScheme || null,
+  // Sectional scores of blueprint mock tests
+  sections: test.sections?.length > 0 ? test.sections : null,
+  timing: test.timing?.expectedSecondsPerQuestion ? test.timing : null,
+});
+
 // SIMPLIFIED: No sub-exam organization needed
 const organizeExams = (exams) => {
   // Just return exams without parentExam (root exams only)
@@ -68,8 +139,8 @@ export const createTest = async (req, res) => {
       });
     }
 
-    const { examId, subjectId, questionPaperId, questions } = req.body;
-    console.log(`[createTest] Request body:`, { examId, subjectId, questionPaperId, questionsCount: questions?.length, hasUser: !!req.user });
+    const { examId, subjectId, questionPaperId, questions, mode = 'exam', currentAffairsFrom, currentAffairsTo, count } = req.body;
+    console.log(`[createTest] Request body:`, { examId, subjectId, questionPaperId, mode, currentAffairsFrom, currentAffairsTo, questionsCount: questions?.length, hasUser: !!req.user });
 
     // Get question paper details if provided
     let questionPaper = null;
@@ -80,7 +151,7 @@ export const createTest = async (req, res) => {
     if (questionPaperId) {
       // First fetch question paper to get subject and exam IDs
       questionPaper = await QuestionPaper.findById(questionPaperId)
-        .select('_id name section subject exam')
+        .select('_id name section subject exam duration totalMarks totalMarksExplicit markingScheme shuffleQuestions shuffleOptions')
         .lean();
       
       if (!questionPaper) {
@@ -93,16 +164,30 @@ export const createTest = async (req, res) => {
           .select('_id name icon')
           .lean(),
         Exam.findById(questionPaper.exam)
-          .select('_id title name board')
+          .select('_id title name board duration markingScheme')
           .populate('board', 'name')
           .lean(),
       ]);
       
       subject = fetchedSubject;
       exam = fetchedExam;
+    } else if (currentAffairsFrom) {
+      // Current affairs test over a date range of generated (and approved) questions
+      const to = currentAffairsTo || currentAffairsFrom;
+      const rangeDays = currentAffairsQuizService.getRangeDays(currentAffairsFrom, to);
+      if (rangeDays < 1 || rangeDays > currentAffairsQuizService.maxRangeDays) {
+        return res.status(400).json({
+          error: `currentAffairsTo must be on or after currentAffairsFrom and cover at most ${currentAffairsQuizService.maxRangeDays} days`,
+        });
+      }
+
+      exam = await currentAffairsQuizService.findExam();
+      if (!exam) {
+        return res.status(400).json({ error: 'No current affairs questions available yet' });
+      }
     } else if (examId) {
       exam = await Exam.findById(examId)
-        .select('_id title name board')
+        .select('_id title name board duration markingScheme')
         .populate('board', 'name')
         .lean();
       if (!exam) {
@@ -115,7 +200,7 @@ export const createTest = async (req, res) => {
           .lean();
       }
     } else {
-      return res.status(400).json({ error: 'Either questionPaperId or examId must be provided' });
+      return res.status(400).json({ error: 'Either questionPaperId, examId or currentAffairsFrom must be provided' });
     }
 
     // Build query for questions
@@ -132,7 +217,13 @@ export const createTest = async (req, res) => {
     }
 
     let questionIds = questions;
-    if (!questionIds || questionIds.length === 0) {
+    if (currentAffairsFrom && (!questionIds || questionIds.length === 0)) {
+      questionIds = await currentAffairsQuizService.getQuestionIdsForRange(
+        currentAffairsFrom,
+        currentAffairsTo || currentAffairsFrom,
+        count || 25
+      );
+    } else if (!questionIds || questionIds.length === 0) {
       // Optimize: Use lean() and only select _id for faster query
       const publishedQuestions = await Question.find(questionQuery)
         .select('_id')
@@ -152,7 +243,7 @@ export const createTest = async (req, res) => {
       _id: { $in: questionIds },
       status: 'published',
     })
-    .select('_id text options correctIndex explanation difficulty tags media')
+    .select(TEST_QUESTION_FIELDS)
     .sort({ createdAt: 1 })
     .lean(); // Use lean() for better performance - returns plain JS objects
 
@@ -160,73 +251,34 @@ export const createTest = async (req, res) => {
       return res.status(400).json({ error: 'No questions available for this test' });
     }
 
-    // Add question numbers and metadata (no need for separate query - use array index)
-    const testQuestionsWithNumbers = testQuestions.map((q, idx) => {
-      q.questionNumber = idx + 1;
-      // Add subject and exam data we already have
-      if (subject) {
-        q.subject = { _id: subject._id, name: subject.name, icon: subject.icon };
-      }
-      if (exam) {
-        q.exam = { _id: exam._id, title: exam.title || exam.name };
-      }
-      if (questionPaper) {
-        q.questionPaper = { _id: questionPaper._id, name: questionPaper.name, section: questionPaper.section };
-      }
-      return q;
-    });
-
-    // Generate test ID - use userId if logged in, otherwise use session ID
-    const userId = req.user?._id || null;
-    const sessionId = userId ? null : `session_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-    const testId = userId ? `test_${Date.now()}_${userId}` : `test_${Date.now()}_${sessionId}`;
-
-    // Create test attempt in database
-    // Handle ObjectId conversion for lean() objects - ObjectIds from lean() are still ObjectIds
-    const examIdValue = exam?._id || null;
-    const subjectIdValue = subject?._id || null;
-    const questionPaperIdValue = questionPaperId || null;
-    
-    const testAttempt = await TestAttempt.create({
-      testId,
-      userId: userId,
-      sessionId: sessionId,
-      examId: examIdValue,
-      subjectId: subjectIdValue,
-      questionPaperId: questionPaperIdValue,
-      exam: exam ? {
-        _id: examIdValue,
-        name: exam.title || exam.name || null, // Use title (from Exam model) or name (if exists)
-        title: exam.title || null,
-        board: exam.board ? (exam.board._id || exam.board) : null, // Handle populated or ObjectId
-      } : null,
-      subject: subject ? {
-        _id: subjectIdValue,
-        name: subject.name,
-        icon: subject.icon,
-      } : null,
-      subjectName: subject?.name || null,
-      questionPaper: questionPaper ? {
-        _id: questionPaper._id || questionPaperIdValue,
-        name: questionPaper.name,
-      } : null,
-      questions: testQuestionsWithNumbers.map((q) => ({
-        questionId: q._id,
-        question: q,
-        answer: null,
-        flagged: false,
-      })),
-      startedAt: new Date(),
-      submitted: false,
+    const { testAttempt, questions: testQuestionsWithNumbers, passages } = await testBuilderService.createAttempt({
+      userId: req.user?._id || null,
+      questions: testQuestions,
+      exam,
+      subject,
+      questionPaper,
+      mode,
+      shuffleQuestions: questionPaper?.shuffleQuestions || false,
+      shuffleOptions: questionPaper?.shuffleOptions || false,
+      // Only logged-in exam-mode attempts of a whole paper are comparable in rankings
+      extra: {
+        rankEligible: !!req.user && !!questionPaper && !(questions && questions.length > 0),
+      },
     });
 
-    console.log(`[createTest] Creating test attempt: testId=${testId}, userId=${userId || 'anonymous'}, sessionId=${sessionId || 'none'}, examId=${examIdValue}, subjectId=${subjectIdValue}, questionPaperId=${questionPaperIdValue}, questionsCount=${testQuestionsWithNumbers.length}`);
-
     res.status(201).json({
-      testId,
+      testId: testAttempt.testId,
+      // Anonymous tests: send sessionToken as X-Session-Token on every request for this test
+      ...(testAttempt.sessionId ? anonymousSessionPayload(testAttempt.sessionId) : {}),
+      mode: testAttempt.mode,
       exam: testAttempt.exam,
       subject: testAttempt.subject,
       questionPaper: testAttempt.questionPaper,
+      markingScheme: testAttempt.markingScheme,
+      startedAt: testAttempt.startedAt,
+      durationMinutes: testAttempt.durationMinutes,
+      expiresAt: testAttempt.expiresAt,
+      passages,
       questions: testQuestionsWithNumbers,
     });
   } catch (error) {
@@ -239,31 +291,239 @@ export const createTest = async (req, res) => {
   }
 };
 
+// "Practice my mistakes" - a new test from questions the user answered wrongly or flagged before
+export const createMistakesTest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { examId, subjectId, count, clearAfterCorrect } = req.body;
+
+    const [exam, subject] = await Promise.all([
+      examId
+        ? Exam.findById(examId).select('_id title name board markingScheme').populate('board', 'name').lean()
+        : null,
+      subjectId
+        ? Subject.findById(subjectId).select('_id name icon').lean()
+        : null,
+    ]);
+    if (examId && !exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+    if (subjectId && !subject) {
+      return res.status(404).json({ error: 'Subject not found' });
+    }
+
+    const mistakeQuestions = await testBuilderService.selectMistakeQuestions(req.user._id, {
+      examId,
+      subjectId,
+      count: count !== undefined ? Number(count) : undefined,
+      clearAfterCorrect: clearAfterCorrect !== undefined ? Number(clearAfterCorrect) : undefined,
+    });
+
+    if (mistakeQuestions.length === 0) {
+      return res.status(400).json({
+        error: 'No questions available for this test',
+        hint: 'No incorrectly answered or flagged questions left to practice for this selection'
+      });
+    }
+
+    // Untimed - questions can come from different papers with different durations
+    const { testAttempt, questions: testQuestions, passages } = await testBuilderService.createAttempt({
+      userId: req.user._id,
+      questions: mistakeQuestions,
+      exam,
+      subject,
+      testType: 'mistakes',
+    });
+
+    res.status(201).json({
+      testId: testAttempt.testId,
+      testType: testAttempt.testType,
+      exam: testAttempt.exam,
+      subject: testAttempt.subject,
+      markingScheme: testAttempt.markingScheme,
+      startedAt: testAttempt.startedAt,
+      durationMinutes: testAttempt.durationMinutes,
+      expiresAt: testAttempt.expiresAt,
+      passages,
+      questions: testQuestions,
+    });
+  } catch (error) {
+    console.error('Error creating mistakes test:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Full-length mock built from a blueprint: per-section question quotas with a difficulty mix
+export const createMockTest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { examId, sections, durationMinutes } = req.body;
+
+    const exam = await Exam.findById(examId)
+      .select('_id title name board duration markingScheme')
+      .populate('board', 'name')
+      .lean();
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    const totalRequested = sections.reduce((sum, section) => sum + Number(section.count), 0);
+    if (totalRequested > 300) {
+      return res.status(400).json({ error: 'A mock test can have at most 300 questions' });
+    }
+
+    // Default section names from their subjects
+    const subjectIds = [...new Set(sections.filter(s => s.subjectId).map(s => s.subjectId))];
+    const subjects = subjectIds.length > 0
+      ? await Subject.find({ _id: { $in: subjectIds } }).select('_id name').lean()
+      : [];
+    const subjectNames = new Map(subjects.map(s => [s._id.toString(), s.name]));
+    const missingSubject = subjectIds.find(id => !subjectNames.has(id));
+    if (missingSubject) {
+      return res.status(404).json({ error: 'Subject not found', subjectId: missingSubject });
+    }
+
+    const blueprintSections = sections.map(section => ({
+      name: section.name || [subjectNames.get(section.subjectId), section.tag].filter(Boolean).join(' - ') || 'General',
+      subjectId: section.subjectId || null,
+      tag: section.tag || null,
+      count: Number(section.count),
+      difficulty: {
+        easy: Number(section.difficulty?.easy) || 0,
+        medium: Number(section.difficulty?.medium) || 0,
+        hard: Number(section.difficulty?.hard) || 0,
+      },
+    }));
+
+    const selection = await testBuilderService.selectBlueprintQuestions({
+      examId: exam._id,
+      sections: blueprintSections,
+      userId: req.user?._id || null,
+    });
+
+    if (selection.questions.length === 0) {
+      return res.status(400).json({
+        error: 'No questions available for this test',
+        hint: 'No published questions match this blueprint'
+      });
+    }
+
+    const { testAttempt, questions: testQuestions, passages } = await testBuilderService.createAttempt({
+      userId: req.user?._id || null,
+      questions: selection.questions,
+      exam,
+      testType: 'mock',
+      durationMinutes: durationMinutes ? Number(durationMinutes) : null,
+      extra: { blueprint: { sections: selection.sections } },
+    });
+
+    res.status(201).json({
+      testId: testAttempt.testId,
+      testType: testAttempt.testType,
+      ...(testAttempt.sessionId ? anonymousSessionPayload(testAttempt.sessionId) : {}),
+      exam: testAttempt.exam,
+      blueprint: testAttempt.blueprint,
+      // Sections that could not be filled from the question bank
+      shortfalls: selection.shortfalls,
+      markingScheme: testAttempt.markingScheme,
+      startedAt: testAttempt.startedAt,
+      durationMinutes: testAttempt.durationMinutes,
+      expiresAt: testAttempt.expiresAt,
+      passages,
+      questions: testQuestions,
+    });
+  } catch (error) {
+    console.error('Error creating mock test:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 export const saveAnswer = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
     const { testId } = req.params;
-    const { questionId, answer, flagged } = req.body;
+    const { questionId, answer, flagged, timeSpentSeconds, visited } = req.body;
+
+    if (!req.user && !req.anonymousSessionId) {
+      return res.status(401).json({ error: 'Session token required' });
+    }
 
     // Use atomic update to avoid version conflicts
     // Allow access if userId matches OR if test has no userId (anonymous) and session matches
-    const updateQuery = req.user 
-      ? { testId, userId: req.user._id, submitted: false }
-      : { testId, userId: null, sessionId: { $exists: true }, submitted: false };
+    const ownerQuery = req.user
+      ? { testId, userId: req.user._id }
+      : { testId, userId: null, sessionId: req.anonymousSessionId };
+    const updateQuery = { ...ownerQuery, submitted: false };
+    // Reject answers once the timer (plus grace period) has run out
+    updateQuery.$or = [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date(Date.now() - testSubmissionService.deadlineGraceMs) } },
+    ];
     const updateData = {};
     
     // Build the update query for the specific question in the array
+    let normalizedAnswer = null;
+    let optionOrder = null;
+    let practiceMode = false;
     if (answer !== undefined) {
-      const numAnswer = answer !== null ? Number(answer) : null;
-      updateData['questions.$[elem].answer'] = numAnswer;
+      // Numbers for single/numeric questions, arrays for multiple-select and match questions
+      normalizedAnswer = normalizeAnswer(answer);
+      const attempt = await TestAttempt.findOne(
+        { ...ownerQuery, 'questions.questionId': questionId },
+        { 'questions.$': 1, mode: 1 }
+      ).lean();
+      practiceMode = attempt?.mode === 'practice';
+
+      // Shuffled options: the client answers in display order, store canonical indices
+      optionOrder = attempt?.questions?.[0]?.optionOrder?.length > 0 ? attempt.questions[0].optionOrder : null;
+      if (optionOrder && normalizedAnswer !== null) {
+        normalizedAnswer = toCanonicalAnswer(normalizedAnswer, optionOrder);
+      }
+
+      // Practice mode: the first answer is final - only unanswered questions can be answered
+      if (practiceMode) {
+        updateQuery.questions = { $elemMatch: { questionId, answer: null } };
+      }
+      updateData['questions.$[elem].answer'] = normalizedAnswer;
     }
     if (flagged !== undefined) {
       updateData['questions.$[elem].flagged'] = flagged;
     }
 
+    // Time tracking events: seconds spent since the client's last event for this question, and visits
+    const incData = {};
+    if (timeSpentSeconds !== undefined) {
+      incData['questions.$[elem].timeSpentSeconds'] = Math.min(Number(timeSpentSeconds), MAX_TIME_EVENT_SECONDS);
+    }
+    if (visited) {
+      incData['questions.$[elem].visits'] = 1;
+      updateData['questions.$[elem].lastVisitedAt'] = new Date();
+    }
+
+    if (Object.keys(updateData).length === 0 && Object.keys(incData).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const update = {};
+    if (Object.keys(updateData).length > 0) update.$set = updateData;
+    if (Object.keys(incData).length > 0) update.$inc = incData;
+
     // Use findOneAndUpdate with arrayFilters for atomic update
     const result = await TestAttempt.findOneAndUpdate(
       updateQuery,
-      { $set: updateData },
+      update,
       {
         arrayFilters: [{ 'elem.questionId': questionId }],
         new: true,
@@ -275,30 +535,39 @@ export const saveAnswer = async (req, res) => {
       // Check if test exists but is submitted or belongs to different user
       // Optimize: Use lean() and select only needed fields
       const test = await TestAttempt.findOne({ testId })
-        .select('testId userId sessionId submitted')
+        .select('testId userId sessionId submitted expiresAt mode')
         .lean();
-    if (!test) {
-      return res.status(404).json({ error: 'Test not found' });
-    }
-        // Check authorization - allow if userId matches OR if anonymous (no userId)
-        if (req.user) {
-          if (!test.userId || test.userId.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
-        } else {
-          // Anonymous user - can only access tests with no userId (anonymous tests)
-          if (test.userId) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-        }
-    if (test.submitted) {
-      return res.status(400).json({ error: 'Test already submitted' });
-    }
+      if (!test) {
+        return res.status(404).json({ error: 'Test not found' });
+      }
+      const accessError = getTestAccessError(req, test);
+      if (accessError) {
+        return res.status(accessError.status).json({ error: accessError.error });
+      }
+      if (test.submitted) {
+        return res.status(400).json({ error: 'Test already submitted' });
+      }
+      if (testSubmissionService.isExpired(test)) {
+        return res.status(400).json({ error: 'Time is up for this test', expired: true, expiresAt: test.expiresAt });
+      }
+      if (practiceMode) {
+        return res.status(409).json({ error: 'This question has already been answered', locked: true });
+      }
       // If we get here, it's a version conflict - retry once
       return res.status(409).json({ error: 'Update conflict. Please try again.' });
     }
 
-    res.json({ message: 'Answer saved', testId });
+    // Practice mode: reveal the outcome of the (now locked) answer straight away
+    const feedback = practiceMode && normalizedAnswer !== null
+      ? await getPracticeFeedback(questionId, normalizedAnswer, { optionOrder, markingScheme: result.markingScheme })
+      : null;
+
+    res.json({
+      message: 'Answer saved',
+      testId,
+      remainingSeconds: testSubmissionService.getRemainingSeconds(result),
+      ...(feedback ? { locked: true, feedback } : {}),
+    });
   } catch (error) {
     console.error('Error saving answer:', error);
     // Handle version conflict specifically
@@ -316,154 +585,35 @@ export const submitTest = async (req, res) => {
   try {
     const { testId } = req.params;
 
-    // Retry logic for version conflicts
-    let retries = 3;
-    let test = null;
-    
-    while (retries > 0) {
-      try {
-        // Optimize: Use lean() and select only needed fields
-        test = await TestAttempt.findOne({ testId })
-          .select('_id testId userId sessionId submitted questions score correct total results examId subjectId questionPaperId __v')
-          .lean(); // Use lean() for better performance
+    // Optimize: Use lean() and select only the fields needed for authorization
+    const test = await TestAttempt.findOne({ testId })
+      .select('_id testId userId sessionId')
+      .lean();
     if (!test) {
       return res.status(404).json({ error: 'Test not found' });
     }
 
-        // Check authorization - allow if userId matches OR if anonymous (no userId)
-        // Handle ObjectId comparison for lean() objects
-        if (req.user) {
-          const testUserIdStr = test.userId ? String(test.userId) : null;
-          const reqUserIdStr = req.user._id ? String(req.user._id) : null;
-          if (!testUserIdStr || testUserIdStr !== reqUserIdStr) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
-        } else {
-          // Anonymous user - can only access tests with no userId (anonymous tests)
-          if (test.userId) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
-    }
-
-    if (test.submitted) {
-          // Test already submitted, return existing results
-          return res.json({
-            testId,
-            score: test.score,
-            correct: test.correct,
-            total: test.total,
-            results: test.results,
-            alreadySubmitted: true,
-          });
-    }
-
-    // Optimize: Only fetch correctIndex and explanation - we already have question data in test
-    const questionIds = test.questions.map(q => q.questionId);
-    const questions = await Question.find({
-      _id: { $in: questionIds },
-    })
-    .select('_id correctIndex explanation') // Only select needed fields
-    .lean(); // Use lean() for better performance
+    // Check authorization - owner, or the anonymous session that created the test
+    const accessError = getTestAccessError(req, test);
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error });
+    }
 
-    const questionMap = new Map();
-    questions.forEach(q => {
-      questionMap.set(q._id.toString(), q);
-    });
+    // Score and submit (returns existing results if already submitted)
+    const submission = await testSubmissionService.submitAttempt(testId);
+    if (!submission) {
+      return res.status(404).json({ error: 'Test not found' });
+    }
 
-    let correct = 0;
-    const results = test.questions.map(q => {
-          const question = questionMap.get(q.questionId.toString());
-      // Ensure both values are numbers for comparison
-      const userAnswer = q.answer !== null && q.answer !== undefined ? Number(q.answer) : null;
-      const correctAnswer = question ? Number(question.correctIndex) : null;
-      const isCorrect = userAnswer !== null && correctAnswer !== null && userAnswer === correctAnswer;
-      
-      if (isCorrect) correct++;
-
-      return {
-        questionId: q.questionId,
-        question: q.question,
-        userAnswer: userAnswer,
-        correctAnswer: correctAnswer,
-        isCorrect,
-        explanation: question ? question.explanation : '',
-        flagged: q.flagged,
-      };
+    const { attempt, alreadySubmitted } = submission;
+    res.json({
+      testId,
+      mode: attempt.mode || 'exam',
+      ...buildScorePayload(attempt),
+      results: attempt.results,
+      autoSubmitted: attempt.autoSubmitted || false,
+      ...(alreadySubmitted ? { alreadySubmitted: true } : {}),
     });
-
-    const score = (correct / test.questions.length) * 100;
-        
-        // Use atomic update to avoid version conflicts
-        // Optimize: Use lean() in response and select only needed fields
-        const updateResult = await TestAttempt.findOneAndUpdate(
-          { 
-            _id: test._id, 
-            submitted: false, // Only update if not already submitted
-            __v: test.__v // Match the version we read
-          },
-          {
-            $set: {
-              submitted: true,
-              submittedAt: new Date(),
-      score: Math.round(score * 100) / 100,
-              correct: correct,
-      total: test.questions.length,
-              results: results,
-            }
-          },
-          { 
-            new: true, 
-            runValidators: true,
-            lean: true, // Use lean() for faster response
-            select: 'testId score correct total results submitted submittedAt' // Only return needed fields
-          }
-        );
-
-        if (!updateResult) {
-          // Version conflict or already submitted - retry
-          retries--;
-          if (retries > 0) {
-            await new Promise(resolve => setTimeout(resolve, 100 * (4 - retries))); // Exponential backoff
-            continue;
-          } else {
-            // Check if it was submitted by another request
-            // Optimize: Use lean() and select only needed fields
-            const updatedTest = await TestAttempt.findOne({ testId })
-              .select('submitted score correct total results')
-              .lean();
-            if (updatedTest && updatedTest.submitted) {
-              return res.json({
-                testId,
-                score: updatedTest.score,
-                correct: updatedTest.correct,
-                total: updatedTest.total,
-                results: updatedTest.results,
-                alreadySubmitted: true,
-              });
-            }
-            throw new Error('Failed to submit test after retries. Please try again.');
-          }
-        }
-
-        // Success!
-        return res.json({
-          testId,
-          score: updateResult.score,
-          correct: updateResult.correct,
-          total: updateResult.total,
-          results: updateResult.results,
-        });
-      } catch (retryError) {
-        if (retryError.name === 'VersionError' || retryError.message.includes('No matching document')) {
-          retries--;
-          if (retries > 0) {
-            await new Promise(resolve => setTimeout(resolve, 100 * (4 - retries)));
-            continue;
-          }
-        }
-        throw retryError;
-      }
-    }
   } catch (error) {
     console.error('Error submitting test:', error);
     res.status(500).json({ error: error.message });
@@ -477,7 +627,7 @@ export const getTestResult = async (req, res) => {
     // Fetch from database
     // Optimize: Use lean() and select only needed fields (include userId and sessionId for authorization)
     const test = await TestAttempt.findOne({ testId })
-      .select('testId examId subjectId questionPaperId subjectName exam boardId score correct total startedAt submittedAt results submitted questions userId sessionId')
+      .select('testId testType mode examId subjectId questionPaperId subjectName exam boardId markingScheme score correct incorrect unattempted total marksObtained maxMarks partial sections timing blueprint ranked startedAt submittedAt durationMinutes expiresAt autoSubmitted results submitted questions passages userId sessionId')
       .lean(); // Use lean() for better performance
     if (!test) {
       console.warn(`[getTestResult] Test not found: ${testId}`);
@@ -488,21 +638,10 @@ export const getTestResult = async (req, res) => {
       });
     }
 
-        // Check authorization - allow if userId matches OR if anonymous (no userId) and sessionId matches
-        // Handle ObjectId comparison for lean() objects
-        if (req.user) {
-          // Authenticated user - must match userId
-          const testUserIdStr = test.userId ? String(test.userId) : null;
-          const reqUserIdStr = req.user._id ? String(req.user._id) : null;
-          if (!testUserIdStr || testUserIdStr !== reqUserIdStr) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
-        } else {
-          // Anonymous user - must have no userId and sessionId must match (if test has sessionId)
-          if (test.userId) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
-          // Note: sessionId matching is handled by testId format, but we could add explicit check if needed
+    // Check authorization - owner, or the anonymous session that created the test
+    const accessError = getTestAccessError(req, test);
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error });
     }
 
     if (!test.submitted) {
@@ -523,6 +662,8 @@ export const getTestResult = async (req, res) => {
       }
       const response = {
         testId,
+        testType: test.testType || 'standard',
+        mode: test.mode || 'exam',
         examId: test.examId,
         subjectId: test.subjectId || null,
         questionPaperId: test.questionPaperId || null,
@@ -535,7 +676,17 @@ export const getTestResult = async (req, res) => {
           name: subject.name,
         } : null,
         submitted: false,
-        questions: test.questions.map(q => q.question),
+        blueprint: test.blueprint?.sections?.length > 0 ? test.blueprint : null,
+        markingScheme: test.markingScheme || null,
+        startedAt: test.startedAt,
+        durationMinutes: test.durationMinutes || null,
+        expiresAt: test.expiresAt || null,
+        remainingSeconds: testSubmissionService.getRemainingSeconds(test),
+        // Expired attempts are submitted by the background sweep shortly after
+        expired: testSubmissionService.isExpired(test),
+        passages: test.passages || [],
+        // Older snapshots may still hold the answer key
+        questions: test.questions.map(q => toStudentQuestion(q.question)),
       };
       return res.json(response);
     }
@@ -543,17 +694,27 @@ export const getTestResult = async (req, res) => {
     // Submitted test - cache the result
     const response = {
       testId,
+      testType: test.testType || 'standard',
+      mode: test.mode || 'exam',
       examId: test.examId,
       subjectId: test.subjectId || null,
       questionPaperId: test.questionPaperId || null,
       subjectName: test.subjectName || null,
       exam: test.exam || null,
       boardId: test.exam?.board?._id || test.exam?.board || null,
-      score: test.score,
-      correct: test.correct,
-      total: test.total,
+      blueprint: test.blueprint?.sections?.length > 0 ? test.blueprint : null,
+      ...buildScorePayload(test),
+      // Standing among first attempts on the paper (retakes show where their score would stand)
+      // Practice attempts are not comparable with exam attempts
+      standing: test.questionPaperId && test.mode !== 'practice'
+        ? { ranked: test.ranked || false, ...(await rankingService.getStanding(test.questionPaperId, test.score)) }
+        : null,
       startedAt: test.startedAt,
       submittedAt: test.submittedAt,
+      durationMinutes: test.durationMinutes || null,
+      autoSubmitted: test.autoSubmitted || false,
+      // Passages are rendered alongside the results of their questions (question.passage)
+      passages: test.passages || [],
       results: test.results,
       submitted: true,
     };
@@ -571,28 +732,29 @@ export const deleteTest = async (req, res) => {
 
     // Optimize: Use lean() and select only needed fields
     const test = await TestAttempt.findOne({ testId })
-      .select('testId userId sessionId')
+      .select('testId userId sessionId ranked')
       .lean();
     if (!test) {
       return res.status(404).json({ error: 'Test not found' });
     }
 
-        // Check authorization - allow if userId matches OR if anonymous (no userId)
-        // Handle ObjectId comparison for lean() objects
-        if (req.user) {
-          const testUserIdStr = test.userId ? String(test.userId) : null;
-          const reqUserIdStr = req.user._id ? String(req.user._id) : null;
-          if (!testUserIdStr || testUserIdStr !== reqUserIdStr) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
-        } else {
-          // Anonymous user - can only access tests with no userId (anonymous tests)
-          if (test.userId) {
-            return res.status(403).json({ error: 'Not authorized' });
-          }
+    // Check authorization - owner, or the anonymous session that created the test
+    const accessError = getTestAccessError(req, test);
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error });
+    }
+
+    // Ranked attempts stay: deleting one would free the user's ranked slot for a retake
+    const rankedError = { error: 'Ranked attempts cannot be deleted', ranked: true };
+    if (test.ranked) {
+      return res.status(409).json(rankedError);
     }
 
-    await TestAttempt.deleteOne({ testId });
+    // ranked in the filter too, in case the attempt was ranked on submit since it was read
+    const { deletedCount } = await TestAttempt.deleteOne({ testId, ranked: { $ne: true } });
+    if (deletedCount === 0) {
+      return res.status(409).json(rankedError);
+    }
     console.log(`Test ${testId} deleted from database`);
 
     res.json({ message: 'Test deleted successfully' });
@@ -602,3 +764,158 @@ export const deleteTest = async (req, res) => {
   }
 };
 
+
+export const getTestHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { page, limit, skip } = getPaginationParams(req);
+    const { examId, subjectId, questionPaperId, from, to, status, mode } = req.query;
+
+    // Default to submitted attempts; status=in_progress or status=all widens the list
+    const submitted = status === 'all' ? null : status !== 'in_progress';
+    const query = studentAnalyticsService.buildAttemptFilter(req.user._id, {
+      examId,
+      subjectId,
+      questionPaperId,
+      from,
+      to,
+      submitted,
+    });
+    if (mode) query.mode = mode;
+
+    const [tests, total] = await Promise.all([
+      TestAttempt.find(query)
+        .select('testId testType mode examId subjectId questionPaperId exam subject questionPaper submitted autoSubmitted score correct partial incorrect unattempted total marksObtained maxMarks sections timing durationMinutes expiresAt startedAt submittedAt createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Math.min(limit, 100))
+        .lean(),
+      TestAttempt.countDocuments(query),
+    ]);
+
+    res.json({
+      tests: tests.map(test => ({
+        testId: test.testId,
+        testType: test.testType || 'standard',
+        mode: test.mode || 'exam',
+        examId: test.examId,
+        subjectId: test.subjectId || null,
+        questionPaperId: test.questionPaperId || null,
+        exam: test.exam || null,
+        subject: test.subject || null,
+        questionPaper: test.questionPaper || null,
+        submitted: test.submitted,
+        autoSubmitted: test.autoSubmitted || false,
+        ...(test.submitted ? buildScorePayload(test) : {}),
+        durationMinutes: test.durationMinutes || null,
+        expiresAt: test.expiresAt || null,
+        startedAt: test.startedAt,
+        submittedAt: test.submittedAt,
+        timeTakenSeconds: test.submittedAt
+          ? Math.round((new Date(test.submittedAt) - new Date(test.startedAt)) / 1000)
+          : null,
+      })),
+      pagination: getPaginationResponse(page, Math.min(limit, 100), total),
+    });
+  } catch (error) {
+    console.error('Error fetching test history:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getProgress = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { examId, subjectId, questionPaperId, from, to, interval } = req.query;
+    const progress = await studentAnalyticsService.getProgressSummary(
+      req.user._id,
+      { examId, subjectId, questionPaperId, from, to },
+      { interval }
+    );
+
+    res.json(progress);
+  } catch (error) {
+    console.error('Error fetching progress summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getWeakTopics = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { examId, subjectId, questionPaperId, from, to, targetAccuracy, minAttempted } = req.query;
+    const analysis = await studentAnalyticsService.getWeakTopics(
+      req.user._id,
+      { examId, subjectId, questionPaperId, from, to },
+      {
+        targetAccuracy: targetAccuracy !== undefined ? Number(targetAccuracy) : undefined,
+        minAttempted: minAttempted !== undefined ? Number(minAttempted) : undefined,
+      }
+    );
+
+    res.json(analysis);
+  } catch (error) {
+    console.error('Error analysing weak topics:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const getPaperLeaderboard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const { questionPaperId } = req.params;
+    const questionPaper = await QuestionPaper.findById(questionPaperId)
+      .select('_id name section')
+      .lean();
+    if (!questionPaper) {
+      return res.status(404).json({ error: 'Question paper not found' });
+    }
+
+    const leaderboard = await rankingService.getLeaderboard(questionPaper._id, {
+      limit: req.query.limit,
+      userId: req.user?._id || null,
+    });
+
+    res.json({
+      questionPaper,
+      ...leaderboard,
+    });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Link anonymous attempts taken before logging in to the current account
+export const claimTests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', errors: errors.array() });
+    }
+
+    const sessionIds = attemptClaimService.resolveSessionIds(req.body);
+    const { claimed, ignoredSessions } = await attemptClaimService.claimSessions(req.user._id, sessionIds);
+
+    res.json({ claimed, ignoredSessions });
+  } catch (error) {
+    console.error('Error claiming tests:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
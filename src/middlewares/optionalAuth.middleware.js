@@ -1,8 +1,17 @@
-import { verifyToken } from '../utils/jwt.js';
+import { verifySessionToken, verifyToken } from '../utils/jwt.js';
 import User from '../models/User.js';
 
+// Anonymous test sessions prove ownership with the signed token returned when the test was created
+const readAnonymousSession = (req) => {
+  const sessionToken = req.headers['x-session-token'];
+  return sessionToken ? verifySessionToken(sessionToken) : null;
+};
+
 // Optional authentication - sets req.user if token is valid, but doesn't require it
+// Also sets req.anonymousSessionId from a valid X-Session-Token header (null otherwise)
 export const optionalAuthenticate = async (req, res, next) => {
+  req.anonymousSessionId = readAnonymousSession(req);
+
   try {
     const authHeader = req.headers.authorization;
     
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Admin overrides / additions to the built-in current affairs taxonomy (src/config/currentAffairsTaxonomy.js)
+// Fields left unset fall back to the built-in category of the same key
+const affairCategorySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+  },
+  // Marks stories that are not exam relevant instead of assigning a category
+  exclude: {
+    type: Boolean,
+  },
+  keywords: {
+    type: [String],
+    default: undefined,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('AffairCategory', affairCategorySchema);
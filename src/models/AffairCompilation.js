@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Curated weekly / monthly revision list of current affairs, grouped by GS category
+const affairCompilationSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['week', 'month'],
+    required: true,
+  },
+  // "YYYY-MM" for months, ISO "YYYY-Www" for weeks
+  periodKey: {
+    type: String,
+    required: true,
+  },
+  // Stable public identifier, e.g. "monthly-2026-10" or "weekly-2026-w42"
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  intro: {
+    type: String,
+    default: '',
+  },
+  from: {
+    type: String, // YYYY-MM-DD
+    required: true,
+  },
+  to: {
+    type: String, // YYYY-MM-DD
+    required: true,
+  },
+  // Sections and items are shown in array order - admins reorder by saving a new order
+  sections: [{
+    category: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    items: [{
+      affair: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CurrentAffair',
+        required: true,
+      },
+      note: {
+        type: String,
+        default: '',
+      },
+      _id: false,
+    }],
+    _id: false,
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft',
+  },
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+affairCompilationSchema.index({ status: 1, period: 1, from: -1 }); // Public listing
+
+export default mongoose.model('AffairCompilation', affairCompilationSchema);
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// Scrape of a date range, one date at a time; progress is stored per date so the job resumes after a restart
+const backfillJobSchema = new mongoose.Schema({
+  from: {
+    type: String, // YYYY-MM-DD
+    required: true,
+  },
+  to: {
+    type: String, // YYYY-MM-DD
+    required: true,
+  },
+  // Dates with fewer stored affairs than this are (re)scraped
+  minArticles: {
+    type: Number,
+    default: 20,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+  },
+  // Dates in processing order (newest first - providers only serve recent news)
+  dates: [{
+    date: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'done', 'empty', 'failed', 'skipped'],
+      default: 'pending',
+    },
+    existingCount: {
+      type: Number,
+      default: 0,
+    },
+    savedCount: {
+      type: Number,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+    run: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScrapeRun',
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    _id: false,
+  }],
+  // Paused jobs continue once this time has passed (quota reset / daily limit)
+  resumeAfter: {
+    type: Date,
+    default: null,
+  },
+  pauseReason: {
+    type: String,
+    default: '',
+  },
+  // Dates scraped on the current quota day (UTC), for the daily limit
+  dailyProgress: {
+    day: { type: String, default: '' },
+    count: { type: Number, default: 0 },
+  },
+  lastError: {
+    type: String,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+backfillJobSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('BackfillJob', backfillJobSchema);
@@ -48,6 +48,54 @@ const currentAffairSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Feed categories, as published by the source
+  tags: [{
+    type: String,
+    trim: true,
+  }],
+  // GS-paper category and exam relevance (0-100), assigned by the classifier at save time
+  category: {
+    type: String,
+    default: 'general',
+  },
+  secondaryCategories: [{
+    type: String,
+  }],
+  relevanceScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null,
+  },
+  // Other outlets that reported the same story (near-duplicates merged into this affair)
+  sources: [{
+    source: {
+      type: String,
+      trim: true,
+    },
+    url: {
+      type: String,
+      default: '',
+    },
+    title: {
+      type: String,
+      default: '',
+    },
+    sourceId: {
+      type: String,
+      default: '',
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    _id: false,
+  }],
+  // MinHash signature of title + description for near-duplicate detection
+  signature: {
+    type: [Number],
+    select: false,
+  },
   scrapedAt: {
     type: Date,
     default: Date.now,
@@ -65,6 +113,11 @@ const currentAffairSchema = new mongoose.Schema({
 // Compound index for date and order
 currentAffairSchema.index({ date: 1, order: 1 });
 currentAffairSchema.index({ date: -1 });
+currentAffairSchema.index({ date: 1, category: 1, relevanceScore: -1 }); // Category / relevance filters
+currentAffairSchema.index(
+  { title: 'text', description: 'text', content: 'text' },
+  { weights: { title: 10, description: 5, content: 1 }, name: 'affair_text_search' }
+);
 
 // Unique compound index to prevent duplicate articles (same title on same date)
 // Using sparse: true to allow nulls
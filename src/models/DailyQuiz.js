@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Daily quiz of an exam - selected once per day so every student gets the same questions
+const dailyQuizSchema = new mongoose.Schema({
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true,
+  },
+  date: {
+    type: String, // YYYY-MM-DD (IST)
+    required: true,
+  },
+  questions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+dailyQuizSchema.index({ exam: 1, date: 1 }, { unique: true });
+dailyQuizSchema.index({ date: 1 });
+
+export default mongoose.model('DailyQuiz', dailyQuizSchema);
@@ -40,6 +40,24 @@ const examSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Default marking scheme for all papers of this exam
+  markingScheme: {
+    marksPerCorrect: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    negativeMarkingRatio: {
+      type: Number, // Fraction of the question's marks deducted per wrong answer (e.g. 1/3)
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    partialCredit: {
+      type: Boolean, // Award partial marks on multiple-select and match questions
+      default: null,
+    },
+  },
   priority: {
     type: Number,
     default: 0,
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Admin overrides / additions to the built-in current affairs sources (src/config/newsSources.js)
+// Fields left unset fall back to the built-in config of the same key
+const newsSourceSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  type: {
+    type: String, // Adapter type: newsapi, gnews-top, gnews-search, rss
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  enabled: {
+    type: Boolean,
+  },
+  priority: {
+    type: Number,
+  },
+  // Only fetched while the day's article target has not been reached
+  onlyIfNeeded: {
+    type: Boolean,
+  },
+  queries: {
+    type: [String],
+    default: undefined,
+  },
+  url: {
+    type: String,
+    trim: true,
+  },
+  maxArticles: {
+    type: Number,
+    min: 1,
+  },
+  requestsPerDay: {
+    type: Number,
+    min: 0,
+  },
+  // Adapter-specific settings (e.g. GNews category, delay between queries)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('NewsSource', newsSourceSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Shared reading-comprehension passage / data-interpretation chart for a group of questions
+const passageSchema = new mongoose.Schema({
+  questionPaper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionPaper',
+    required: true,
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true,
+  },
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true,
+  },
+  title: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+  media: [{
+    type: String,
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+passageSchema.index({ questionPaper: 1, createdAt: 1 });
+
+export default mongoose.model('Passage', passageSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Requests made to a news provider on one (UTC) day - providers reset their daily quotas at 00:00 UTC
+const providerUsageSchema = new mongoose.Schema({
+  // Provider key ("newsapi", "gnews", an RSS source key), or "autoFetch" for the public auto-fetch budget
+  provider: {
+    type: String,
+    required: true,
+  },
+  day: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: true,
+  },
+  requests: {
+    type: Number,
+    default: 0,
+  },
+  articles: {
+    type: Number,
+    default: 0,
+  },
+  // Set when the provider answered with a rate limit - it is not called again that day
+  rateLimitedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+providerUsageSchema.index({ provider: 1, day: 1 }, { unique: true });
+providerUsageSchema.index({ day: -1 });
+// Keep three months of usage history
+providerUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('ProviderUsage', providerUsageSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { QUESTION_TYPES, isChoiceType } from '../utils/questionTypes.js';
 
 const questionSchema = new mongoose.Schema({
   text: {
@@ -6,6 +7,11 @@ const questionSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single',
+  },
   options: [{
     text: {
       type: String,
@@ -16,20 +22,74 @@ const questionSchema = new mongoose.Schema({
       default: null,
     },
   }],
+  // Answer key - which field is used depends on the question type
   correctIndex: {
     type: Number,
-    required: true,
+    required: function () {
+      return isChoiceType(this.type) && this.type !== 'multiple';
+    },
     min: 0,
   },
+  correctIndices: [{
+    type: Number,
+    min: 0,
+  }],
+  numericAnswer: {
+    value: {
+      type: Number,
+      default: null,
+    },
+    tolerance: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  // Assertion-reason statements (text holds the common stem)
+  assertion: {
+    type: String,
+    default: '',
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  // Match the following: left[i] matches right[correctMatches[i]]
+  matchColumns: {
+    left: [{
+      type: String,
+      trim: true,
+    }],
+    right: [{
+      type: String,
+      trim: true,
+    }],
+  },
+  correctMatches: [{
+    type: Number,
+    min: 0,
+  }],
   explanation: {
     type: String,
     default: '',
   },
+  // Marks for this question - overrides the paper's marksPerCorrect when set
+  marks: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
   questionPaper: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'QuestionPaper',
     required: true,
   },
+  // Shared comprehension passage / chart (same question paper)
+  passage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Passage',
+    default: null,
+  },
   subject: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subject',
@@ -62,6 +122,20 @@ const questionSchema = new mongoose.Schema({
     enum: ['draft', 'published'],
     default: 'draft',
   },
+  // Set on questions generated from a news article (drafts wait in the review queue)
+  currentAffair: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CurrentAffair',
+    default: null,
+  },
+  currentAffairDate: {
+    type: String, // YYYY-MM-DD of the article
+    default: null,
+  },
+  generator: {
+    type: String,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -69,6 +143,10 @@ const questionSchema = new mongoose.Schema({
 });
 
 questionSchema.index({ questionPaper: 1, subject: 1, exam: 1 });
+questionSchema.index({ passage: 1 });
+questionSchema.index({ exam: 1, subject: 1, status: 1, difficulty: 1 }); // Blueprint sampling
+questionSchema.index({ currentAffairDate: 1, status: 1 }); // Current affairs tests and review queue
+questionSchema.index({ currentAffair: 1 });
 questionSchema.index({ text: 'text' });
 
 export default mongoose.model('Question', questionSchema);
@@ -37,6 +37,38 @@ const questionPaperSchema = new mongoose.Schema({
     type: Number,
     default: 100,
   },
+  // Whether an admin set totalMarks (only then is it spread over the questions when scoring)
+  totalMarksExplicit: {
+    type: Boolean,
+    default: false,
+  },
+  // Marking scheme used when scoring tests from this paper (null falls back to the exam scheme)
+  markingScheme: {
+    marksPerCorrect: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    negativeMarkingRatio: {
+      type: Number, // Fraction of the question's marks deducted per wrong answer (e.g. 1/3)
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    partialCredit: {
+      type: Boolean, // Award partial marks on multiple-select and match questions
+      default: null,
+    },
+  },
+  // Randomise question and option order for every attempt (discourages memorising answers by position)
+  shuffleQuestions: {
+    type: Boolean,
+    default: false,
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false,
+  },
   priority: {
     type: Number,
     default: 0,
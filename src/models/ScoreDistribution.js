@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Histogram of first-attempt scores per question paper - keeps rank/percentile lookups O(buckets)
+// instead of counting attempts. Buckets are score percentages at 0.1 resolution (key = round(score * 10)).
+const scoreDistributionSchema = new mongoose.Schema({
+  questionPaper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionPaper',
+    required: true,
+    unique: true,
+  },
+  counts: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('ScoreDistribution', scoreDistributionSchema);
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// One current affairs scrape (a target date fetched from every configured source)
+const scrapeRunSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD (the scraped news date)
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['cron', 'startup', 'admin', 'autoFetch', 'backfill'],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  force: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed', 'skipped'],
+    default: 'running',
+  },
+  message: {
+    type: String,
+    default: '',
+  },
+  error: {
+    type: String,
+    default: '',
+  },
+  // Per-source outcome, in the order the sources ran
+  sources: [{
+    key: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['ok', 'empty', 'error', 'skipped'],
+      required: true,
+    },
+    articles: {
+      type: Number,
+      default: 0,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    rateLimited: {
+      type: Boolean,
+      default: false,
+    },
+    // Why a skipped source was not called
+    skipReason: {
+      type: String,
+      enum: ['enough-articles', 'quota', 'date-range', null],
+      default: null,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+    _id: false,
+  }],
+  quotaExhausted: {
+    type: Boolean,
+    default: false,
+  },
+  counts: {
+    fetched: { type: Number, default: 0 },
+    unique: { type: Number, default: 0 },
+    saved: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    merged: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    totalInDb: { type: Number, default: 0 },
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  durationMs: {
+    type: Number,
+    default: null,
+  },
+});
+
+// Run history of a news date (newest first)
+scrapeRunSchema.index({ date: 1, startedAt: -1 });
+// Run history (newest first) - also expires runs after half a year
+scrapeRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model('ScrapeRun', scrapeRunSchema);
@@ -35,6 +35,33 @@ const testAttemptSchema = new mongoose.Schema({
     default: null, // For anonymous users
     index: true,
   },
+  // When an anonymous attempt was linked to the account of the user who took it
+  claimedAt: {
+    type: Date,
+    default: null,
+  },
+  // How the questions were picked: paper/subject/exam selection, the user's mistakes, a blueprint or the daily quiz
+  testType: {
+    type: String,
+    enum: ['standard', 'mistakes', 'mock', 'daily'],
+    default: 'standard',
+  },
+  // exam: answers revealed on submission; practice: instant feedback per question, untimed, never ranked
+  mode: {
+    type: String,
+    enum: ['exam', 'practice'],
+    default: 'exam',
+  },
+  // Daily quiz this attempt belongs to (testType daily)
+  dailyQuiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DailyQuiz',
+    default: null,
+  },
+  dailyQuizDate: {
+    type: String,
+    default: null,
+  },
   examId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Exam',
@@ -72,6 +99,10 @@ const testAttemptSchema = new mongoose.Schema({
     _id: mongoose.Schema.Types.ObjectId,
     name: String,
   },
+  // Comprehension passages shared by questions of this test (delivered once per group)
+  passages: [{
+    type: mongoose.Schema.Types.Mixed,
+  }],
   // Questions with answers
   questions: [{
     questionId: {
@@ -91,7 +122,57 @@ const testAttemptSchema = new mongoose.Schema({
       type: Boolean,
       default: false,
     },
+    // Blueprint section index (mock tests only)
+    section: {
+      type: Number,
+      default: null,
+    },
+    // Shuffled options: optionOrder[displayIndex] = canonical option index (answers are stored canonical)
+    optionOrder: {
+      type: [Number],
+      default: undefined,
+    },
+    // Time tracking - accumulated from the client's visit/time-spent events
+    timeSpentSeconds: {
+      type: Number,
+      default: 0,
+    },
+    visits: {
+      type: Number,
+      default: 0,
+    },
+    lastVisitedAt: {
+      type: Date,
+      default: null,
+    },
   }],
+  // Whether question/option order was randomised for this attempt (questions are stored in display order)
+  shuffle: {
+    questions: {
+      type: Boolean,
+      default: false,
+    },
+    options: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // Blueprint a mock test was generated from - quotas as requested, selected as actually sampled
+  blueprint: {
+    sections: [{
+      _id: false,
+      name: String,
+      subjectId: mongoose.Schema.Types.ObjectId,
+      tag: String,
+      count: Number,
+      difficulty: {
+        easy: Number,
+        medium: Number,
+        hard: Number,
+      },
+      selected: Number,
+    }],
+  },
   // Test status
   submitted: {
     type: Boolean,
@@ -107,27 +188,125 @@ const testAttemptSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // Timer - taken from the question paper (or exam) duration when the test is created
+  durationMinutes: {
+    type: Number,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null, // null = untimed
+  },
+  autoSubmitted: {
+    type: Boolean,
+    default: false,
+  },
+  // Rankings: logged-in attempts of a whole question paper can be ranked; only the first one per user is
+  rankEligible: {
+    type: Boolean,
+    default: false,
+  },
+  ranked: {
+    type: Boolean,
+    default: false,
+  },
+  // Marking scheme snapshot taken when the test was created
+  markingScheme: {
+    marksPerCorrect: {
+      type: Number,
+      default: 1,
+    },
+    negativeMarkingRatio: {
+      type: Number,
+      default: 0,
+    },
+    partialCredit: {
+      type: Boolean,
+      default: false,
+    },
+  },
   // Results (after submission)
   score: {
-    type: Number,
+    type: Number, // Percentage of maxMarks
     default: null,
   },
   correct: {
     type: Number,
     default: null,
   },
+  partial: {
+    type: Number,
+    default: null,
+  },
+  incorrect: {
+    type: Number,
+    default: null,
+  },
+  unattempted: {
+    type: Number,
+    default: null,
+  },
   total: {
     type: Number,
     default: null,
   },
+  marksObtained: {
+    type: Number,
+    default: null,
+  },
+  maxMarks: {
+    type: Number,
+    default: null,
+  },
   results: [{
     questionId: mongoose.Schema.Types.ObjectId,
     question: mongoose.Schema.Types.Mixed,
     userAnswer: mongoose.Schema.Types.Mixed,
     correctAnswer: mongoose.Schema.Types.Mixed,
+    type: { type: String }, // Question type (a bare `type: String` would declare each entry a String)
     isCorrect: Boolean,
+    status: String, // correct | partial | incorrect | unattempted
+    marksAwarded: Number,
+    maxMarks: Number,
     explanation: String,
     flagged: Boolean,
+    section: Number,
+    timeSpentSeconds: Number,
+    visits: Number,
+    timeFlag: String, // too_fast | too_slow | null
+  }],
+  // Time per question/subject summary (after submission)
+  timing: {
+    expectedSecondsPerQuestion: Number,
+    trackedQuestions: Number,
+    timeSpentSeconds: Number,
+    averageSecondsPerQuestion: Number,
+    tooFast: Number,
+    tooSlow: Number,
+    subjects: [{
+      _id: false,
+      subjectId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      questions: Number,
+      timeSpentSeconds: Number,
+      averageSecondsPerQuestion: Number,
+    }],
+  },
+  // Sectional scores (blueprint tests)
+  sections: [{
+    _id: false,
+    index: Number,
+    name: String,
+    subjectId: mongoose.Schema.Types.ObjectId,
+    tag: String,
+    total: Number,
+    correct: Number,
+    partial: Number,
+    incorrect: Number,
+    unattempted: Number,
+    marksObtained: Number,
+    maxMarks: Number,
+    percentage: Number,
   }],
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -138,6 +317,19 @@ testAttemptSchema.index({ userId: 1, submitted: 1, createdAt: -1 });
 testAttemptSchema.index({ sessionId: 1, submitted: 1, createdAt: -1 }); // For anonymous users
 testAttemptSchema.index({ testId: 1 });
 testAttemptSchema.index({ userId: 1, examId: 1 });
+testAttemptSchema.index({ submitted: 1, expiresAt: 1 }); // For the auto-submit sweep
+testAttemptSchema.index({ questionPaperId: 1, ranked: 1, score: -1, submittedAt: 1 }); // Paper leaderboards
+testAttemptSchema.index({ dailyQuiz: 1, submitted: 1, score: -1 }); // Daily quiz leaderboards
+// One daily quiz attempt per logged-in user (concurrent starts cannot create a second one)
+testAttemptSchema.index(
+  { dailyQuiz: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { dailyQuiz: { $type: 'objectId' }, userId: { $type: 'objectId' } } }
+);
+// One ranked (first) attempt per user and paper
+testAttemptSchema.index(
+  { userId: 1, questionPaperId: 1 },
+  { unique: true, partialFilterExpression: { ranked: true } }
+);
 
 // Optional: Auto-delete old test attempts after 90 days
 // Uncomment if you want automatic cleanup
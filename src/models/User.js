@@ -32,6 +32,21 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {},
   },
+  // Consecutive days with a submitted daily quiz (dates are IST YYYY-MM-DD)
+  dailyQuizStreak: {
+    current: {
+      type: Number,
+      default: 0,
+    },
+    longest: {
+      type: Number,
+      default: 0,
+    },
+    lastDate: {
+      type: String,
+      default: null,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -15,15 +15,23 @@ const authLimiter = rateLimit({
   // Trust proxy is set in server.js, so this will work correctly
 });
 
+// Session tokens of anonymous tests to link to the account
+const sessionIdsValidation = [
+  body('sessionTokens').optional().isArray({ max: 50 }).withMessage('sessionTokens must be a list of at most 50 session tokens'),
+  body('sessionTokens.*').optional().isString(),
+];
+
 const registerValidation = [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ...sessionIdsValidation,
 ];
 
 const loginValidation = [
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required'),
+  ...sessionIdsValidation,
 ];
 
 router.post('/register', authLimiter, registerValidation, authController.register);
@@ -1,24 +1,172 @@
 import express from 'express';
+import { body, param, query } from 'express-validator';
 import {
   getCurrentAffairs,
   getAvailableDates,
+  searchCurrentAffairs,
   scrapeToday,
   scrapeForDate,
-  verifyDatabase
+  verifyDatabase,
+  getScrapeRuns,
+  getSourceHealth,
+  getProviderUsage,
+  createBackfill,
+  getBackfillJobs,
+  getBackfillJob,
+  resumeBackfillJob,
+  cancelBackfillJob,
+  generateQuiz,
+  getQuizReviewQueue,
+  reviewQuizQuestions,
+  getNewsSources,
+  updateNewsSource,
+  resetNewsSource,
+  getAffairCategories,
+  updateAffairCategory,
+  resetAffairCategory,
+  reclassifyAffairs,
+  listCompilations,
+  getCompilation,
+  exportCompilation,
+  buildCompilation,
+  updateCompilation,
+  publishCompilation,
+  unpublishCompilation
 } from '../controllers/currentAffairs.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { requireAdmin } from '../middlewares/role.middleware.js';
+import { optionalAuthenticate } from '../middlewares/optionalAuth.middleware.js';
+import { SOURCE_TYPES } from '../services/newsSources/index.js';
+import { COMPILATION_PERIODS } from '../utils/compilations.js';
+import { SCRAPE_TRIGGERS } from '../services/scrapeRunService.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/dates', getAvailableDates);
+router.get('/search', [
+  query('q').optional().isString().trim().isLength({ max: 200 }).withMessage('q must be at most 200 characters'),
+  query('source').optional().isString().trim().isLength({ max: 100 }),
+  query('sort').optional().isIn(['relevance', 'date']).withMessage('sort must be relevance or date'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50'),
+], searchCurrentAffairs);
 router.get('/', getCurrentAffairs);
 
+// Public routes - weekly / monthly compilations (admins also see drafts)
+const slugValidation = param('slug').matches(/^(monthly|weekly)-[0-9a-z-]+$/).withMessage('Invalid compilation slug');
+router.get('/compilations', optionalAuthenticate, [
+  query('period').optional().isIn(COMPILATION_PERIODS).withMessage(`period must be one of: ${COMPILATION_PERIODS.join(', ')}`),
+  query('status').optional().isIn(['draft', 'published']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+], listCompilations);
+router.get('/compilations/:slug', optionalAuthenticate, [slugValidation], getCompilation);
+router.get('/compilations/:slug/export', optionalAuthenticate, [
+  slugValidation,
+  query('format').optional().isIn(['html', 'markdown']).withMessage('format must be html or markdown'),
+], exportCompilation);
+
 // Admin routes (for manual scraping and verification)
 router.post('/scrape/today', authenticate, requireAdmin, scrapeToday);
 router.post('/scrape/:date', authenticate, requireAdmin, scrapeForDate);
 router.get('/verify', authenticate, requireAdmin, verifyDatabase);
+router.get('/runs', authenticate, requireAdmin, [
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Invalid date format. Use YYYY-MM-DD'),
+  query('trigger').optional().isIn(SCRAPE_TRIGGERS).withMessage(`trigger must be one of: ${SCRAPE_TRIGGERS.join(', ')}`),
+  query('status').optional().isIn(['running', 'success', 'failed', 'skipped']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], getScrapeRuns);
 
-export default router;
+// Admin routes - date range backfill
+router.post('/backfill', authenticate, requireAdmin, [
+  body('from').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be a YYYY-MM-DD date'),
+  body('to').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be a YYYY-MM-DD date'),
+  body('minArticles').optional().isInt({ min: 1, max: 200 }).toInt(),
+], createBackfill);
+router.get('/backfill', authenticate, requireAdmin, getBackfillJobs);
+router.get('/backfill/:id', authenticate, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid backfill job ID is required'),
+], getBackfillJob);
+router.post('/backfill/:id/resume', authenticate, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid backfill job ID is required'),
+], resumeBackfillJob);
+router.post('/backfill/:id/cancel', authenticate, requireAdmin, [
+  param('id').isMongoId().withMessage('Valid backfill job ID is required'),
+], cancelBackfillJob);
+
+// Admin routes - quiz generation and review queue
+router.post('/quiz/generate/:date', authenticate, requireAdmin, [
+  param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Invalid date format. Use YYYY-MM-DD'),
+  body('generator').optional().isString().trim().notEmpty(),
+  body('force').optional().isBoolean(),
+], generateQuiz);
+router.get('/quiz/review', authenticate, requireAdmin, [
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Invalid date format. Use YYYY-MM-DD'),
+], getQuizReviewQueue);
+router.post('/quiz/review', authenticate, requireAdmin, [
+  body('questionIds').isArray({ min: 1, max: 200 }).withMessage('questionIds must list 1 to 200 question IDs'),
+  body('questionIds.*').isMongoId().withMessage('Valid question ID is required'),
+  body('action').isIn(['approve', 'reject']).withMessage('action must be approve or reject'),
+], reviewQuizQuestions);
+
+// Admin routes - news source configuration
+router.get('/sources', authenticate, requireAdmin, getNewsSources);
+router.get('/sources/health', authenticate, requireAdmin, [
+  query('days').optional().isInt({ min: 1, max: 180 }).withMessage('days must be between 1 and 180'),
+], getSourceHealth);
+router.get('/usage', authenticate, requireAdmin, [
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('days must be between 1 and 90'),
+], getProviderUsage);
+router.put('/sources/:key', authenticate, requireAdmin, [
+  param('key').matches(/^[a-z0-9-]{2,40}$/).withMessage('key must be 2-40 lowercase letters, digits or dashes'),
+  body('type').optional().isIn(SOURCE_TYPES).withMessage(`type must be one of: ${SOURCE_TYPES.join(', ')}`),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('enabled').optional().isBoolean(),
+  body('priority').optional().isInt({ min: 0, max: 1000 }),
+  body('onlyIfNeeded').optional().isBoolean(),
+  body('queries').optional().isArray({ max: 50 }).withMessage('queries must be a list of at most 50 queries'),
+  body('queries.*').optional().isString().trim().notEmpty(),
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('url must be an http(s) URL'),
+  body('maxArticles').optional().isInt({ min: 1, max: 200 }),
+  body('requestsPerDay').optional().isInt({ min: 0 }),
+  body('options').optional().isObject(),
+], updateNewsSource);
+router.delete('/sources/:key', authenticate, requireAdmin, resetNewsSource);
 
+// Admin routes - classification taxonomy
+router.get('/categories', authenticate, requireAdmin, getAffairCategories);
+router.put('/categories/:key', authenticate, requireAdmin, [
+  param('key').matches(/^[a-z0-9-]{2,40}$/).withMessage('key must be 2-40 lowercase letters, digits or dashes'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('enabled').optional().isBoolean(),
+  body('exclude').optional().isBoolean(),
+  body('keywords').optional().isArray({ max: 500 }).withMessage('keywords must be a list of at most 500 keywords'),
+  body('keywords.*').optional().isString().trim().isLength({ min: 1, max: 60 }),
+], updateAffairCategory);
+router.delete('/categories/:key', authenticate, requireAdmin, resetAffairCategory);
+router.post('/reclassify/:date', authenticate, requireAdmin, reclassifyAffairs);
+
+// Admin routes - compilation building, curation and publishing
+router.post('/compilations', authenticate, requireAdmin, [
+  body('period').isIn(COMPILATION_PERIODS).withMessage(`period must be one of: ${COMPILATION_PERIODS.join(', ')}`),
+  body('key').optional().isString().trim().notEmpty().withMessage('key must be YYYY-MM or YYYY-Www'),
+  body('itemsPerCategory').optional().isInt({ min: 1, max: 50 }).toInt(),
+  body('force').optional().isBoolean(),
+], buildCompilation);
+router.put('/compilations/:slug', authenticate, requireAdmin, [
+  slugValidation,
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('intro').optional().isString().isLength({ max: 5000 }),
+  body('sections').optional().isArray({ max: 30 }).withMessage('sections must be a list of at most 30 sections'),
+  body('sections.*.category').isString().trim().matches(/^[a-z0-9-]{2,40}$/).withMessage('section category must be a category key'),
+  body('sections.*.name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('sections.*.items').isArray().withMessage('section items must be a list'),
+  body('sections.*.items.*.affair').isMongoId().withMessage('Valid affair ID is required'),
+  body('sections.*.items.*.note').optional().isString().isLength({ max: 1000 }),
+], updateCompilation);
+router.post('/compilations/:slug/publish', authenticate, requireAdmin, [slugValidation], publishCompilation);
+router.post('/compilations/:slug/unpublish', authenticate, requireAdmin, [slugValidation], unpublishCompilation);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import * as dailyQuizController from '../controllers/dailyQuiz.controller.js';
+import { optionalAuthenticate } from '../middlewares/optionalAuth.middleware.js';
+
+const router = express.Router();
+
+const quizQueryValidation = [
+  query('examId').isMongoId().withMessage('Valid exam ID is required'),
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be YYYY-MM-DD'),
+];
+
+// Public routes - authentication optional (streaks, resuming and "my rank" need a login)
+router.get('/', optionalAuthenticate, quizQueryValidation, dailyQuizController.getDailyQuiz);
+router.post('/start', optionalAuthenticate, [
+  body('examId').isMongoId().withMessage('Valid exam ID is required'),
+], dailyQuizController.startDailyQuiz);
+router.get('/leaderboard', optionalAuthenticate, [
+  ...quizQueryValidation,
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], dailyQuizController.getDailyLeaderboard);
+
+export default router;
@@ -13,10 +13,17 @@ const examValidation = [
   body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive integer'),
 ];
 
+const markingSchemeValidation = [
+  body('markingScheme').optional({ nullable: true }).isObject().withMessage('markingScheme must be an object'),
+  body('markingScheme.marksPerCorrect').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('marksPerCorrect must be a non-negative number'),
+  body('markingScheme.negativeMarkingRatio').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('negativeMarkingRatio must be between 0 and 1'),
+  body('markingScheme.partialCredit').optional({ nullable: true }).isBoolean().withMessage('partialCredit must be a boolean'),
+];
+
 router.get('/', examController.getExams);
 router.get('/:id', examController.getExam);
-router.post('/', authenticate, requireAdmin, examValidation, examController.createExam);
-router.patch('/:id', authenticate, requireAdmin, examController.updateExam);
+router.post('/', authenticate, requireAdmin, examValidation, markingSchemeValidation, examController.createExam);
+router.patch('/:id', authenticate, requireAdmin, markingSchemeValidation, examController.updateExam);
 router.delete('/:id', authenticate, requireAdmin, examController.deleteExam);
 
 export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import { body } from 'express-validator';
+import * as passageController from '../controllers/passage.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { requireAdmin } from '../middlewares/role.middleware.js';
+
+const router = express.Router();
+
+const passageValidation = [
+  body('questionPaper').isMongoId().withMessage('Valid question paper ID is required'),
+  body('title').optional().trim(),
+  body('text').optional().isString().withMessage('Passage text must be a string'),
+  body('media').optional().isArray(),
+  body('media.*').optional().isString().withMessage('Media items must be strings'),
+];
+
+const updatePassageValidation = [
+  body('title').optional().trim(),
+  body('text').optional().isString().withMessage('Passage text must be a string'),
+  body('media').optional().isArray(),
+  body('media.*').optional().isString().withMessage('Media items must be strings'),
+];
+
+router.get('/', passageController.getPassages);
+router.get('/:id', passageController.getPassage);
+router.post('/', authenticate, requireAdmin, passageValidation, passageController.createPassage);
+router.patch('/:id', authenticate, requireAdmin, updatePassageValidation, passageController.updatePassage);
+router.delete('/:id', authenticate, requireAdmin, passageController.deletePassage);
+
+export default router;
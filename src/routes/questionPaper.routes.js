@@ -1,4 +1,5 @@
 import express from 'express';
+import { body } from 'express-validator';
 import {
   getQuestionPapers,
   getQuestionPaper,
@@ -11,13 +12,22 @@ import { requireAdmin } from '../middlewares/role.middleware.js';
 
 const router = express.Router();
 
+const markingSchemeValidation = [
+  body('markingScheme').optional({ nullable: true }).isObject().withMessage('markingScheme must be an object'),
+  body('markingScheme.marksPerCorrect').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('marksPerCorrect must be a non-negative number'),
+  body('markingScheme.negativeMarkingRatio').optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('negativeMarkingRatio must be between 0 and 1'),
+  body('markingScheme.partialCredit').optional({ nullable: true }).isBoolean().withMessage('partialCredit must be a boolean'),
+  body('shuffleQuestions').optional().isBoolean().withMessage('shuffleQuestions must be a boolean'),
+  body('shuffleOptions').optional().isBoolean().withMessage('shuffleOptions must be a boolean'),
+];
+
 // Public routes
 router.get('/', getQuestionPapers);
 router.get('/:id', getQuestionPaper);
 
 // Admin routes
-router.post('/', authenticate, requireAdmin, createQuestionPaper);
-router.put('/:id', authenticate, requireAdmin, updateQuestionPaper);
+router.post('/', authenticate, requireAdmin, markingSchemeValidation, createQuestionPaper);
+router.put('/:id', authenticate, requireAdmin, markingSchemeValidation, updateQuestionPaper);
 router.delete('/:id', authenticate, requireAdmin, deleteQuestionPaper);
 
 export default router;
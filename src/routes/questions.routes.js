@@ -4,12 +4,30 @@ import * as questionController from '../controllers/question.controller.js';
 import { authenticate } from '../middlewares/auth.middleware.js';
 import { requireAdmin } from '../middlewares/role.middleware.js';
 import { optionalAuthenticate } from '../middlewares/optionalAuth.middleware.js';
+import { QUESTION_TYPES, isChoiceType } from '../utils/questionTypes.js';
 
 const router = express.Router();
 
+// Answer key checks per question type (cross-field checks happen in the controller)
+const isType = (...types) => (value, { req }) => types.includes(req.body.type || 'single');
+
+const answerKeyValidation = [
+  body('type').optional().isIn(QUESTION_TYPES).withMessage(`Type must be one of ${QUESTION_TYPES.join(', ')}`),
+  body('correctIndices').if(isType('multiple')).isArray({ min: 1 }).withMessage('At least one correct option is required'),
+  body('correctIndices.*').optional().isInt({ min: 0 }).withMessage('Correct option indices must be non-negative integers'),
+  body('numericAnswer.value').if(isType('numeric')).isFloat().withMessage('Numeric answer value is required'),
+  body('numericAnswer.tolerance').optional().isFloat({ min: 0 }).withMessage('Tolerance must be a non-negative number'),
+  body('assertion').if(isType('assertion_reason')).trim().notEmpty().withMessage('Assertion is required'),
+  body('reason').if(isType('assertion_reason')).trim().notEmpty().withMessage('Reason is required'),
+  body('matchColumns.left').if(isType('match')).isArray({ min: 2 }).withMessage('At least 2 items required in the left column'),
+  body('matchColumns.right').if(isType('match')).isArray({ min: 2 }).withMessage('At least 2 items required in the right column'),
+  body('correctMatches').if(isType('match')).isArray({ min: 2 }).withMessage('correctMatches is required'),
+  body('correctMatches.*').optional().isInt({ min: 0 }).withMessage('correctMatches entries must be non-negative integers'),
+];
+
 const questionValidation = [
   body('text').trim().notEmpty().withMessage('Question text is required'),
-  body('options').isArray({ min: 2 }).withMessage('At least 2 options required'),
+  body('options').if((value, { req }) => isChoiceType(req.body.type)).isArray({ min: 2 }).withMessage('At least 2 options required'),
   body('options.*.text').trim().notEmpty().withMessage('Option text is required'),
   body('options.*.media').optional().custom((value) => {
     // Allow null, empty string, or valid string
@@ -17,15 +35,18 @@ const questionValidation = [
     if (typeof value === 'string') return true;
     return false;
   }).withMessage('Option media must be a string or null'),
-  body('correctIndex').isInt({ min: 0 }).withMessage('Valid correctIndex is required'),
+  body('correctIndex').if(isType('single', 'assertion_reason')).isInt({ min: 0 }).withMessage('Valid correctIndex is required'),
+  body('marks').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Marks must be a non-negative number'),
   body('subject').isMongoId().withMessage('Valid subject ID is required'),
   body('exam').isMongoId().withMessage('Valid exam ID is required'),
+  body('passage').optional({ nullable: true }).isMongoId().withMessage('Valid passage ID is required'),
   body('explanation').optional().trim(),
   body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
   body('tags').optional().isArray(),
   body('media').optional().isArray(),
   body('media.*').optional().isString().withMessage('Media items must be strings'),
   body('status').optional().isIn(['draft', 'published']),
+  ...answerKeyValidation,
 ];
 
 const updateQuestionValidation = [
@@ -39,15 +60,24 @@ const updateQuestionValidation = [
     return false;
   }).withMessage('Option media must be a string or null'),
   body('correctIndex').optional().isInt({ min: 0 }).withMessage('Valid correctIndex is required'),
+  body('marks').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Marks must be a non-negative number'),
   body('subject').optional().isMongoId().withMessage('Valid subject ID is required'),
   body('exam').optional().isMongoId().withMessage('Valid exam ID is required'),
   body('questionPaper').optional().isMongoId().withMessage('Valid question paper ID is required'),
+  body('passage').optional({ nullable: true }).custom((value) => value === '' || /^[a-f\d]{24}$/i.test(value)).withMessage('Valid passage ID is required'),
   body('explanation').optional().trim(),
   body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
   body('tags').optional().isArray(),
   body('media').optional().isArray(),
   body('media.*').optional().isString().withMessage('Media items must be strings'),
   body('status').optional().isIn(['draft', 'published']),
+  body('type').optional().isIn(QUESTION_TYPES).withMessage(`Type must be one of ${QUESTION_TYPES.join(', ')}`),
+  body('correctIndices').optional().isArray({ min: 1 }).withMessage('At least one correct option is required'),
+  body('correctIndices.*').optional().isInt({ min: 0 }).withMessage('Correct option indices must be non-negative integers'),
+  body('numericAnswer.value').optional().isFloat().withMessage('Numeric answer value must be a number'),
+  body('numericAnswer.tolerance').optional().isFloat({ min: 0 }).withMessage('Tolerance must be a non-negative number'),
+  body('correctMatches').optional().isArray().withMessage('correctMatches must be an array'),
+  body('correctMatches.*').optional().isInt({ min: 0 }).withMessage('correctMatches entries must be non-negative integers'),
 ];
 
 // Use optionalAuthenticate to detect admin users (for including correctIndex)
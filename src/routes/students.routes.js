@@ -1,21 +1,79 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import * as studentController from '../controllers/student.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
 import { optionalAuthenticate } from '../middlewares/optionalAuth.middleware.js';
 
 const router = express.Router();
 
+const attemptFilterValidation = [
+  query('examId').optional().isMongoId().withMessage('Valid exam ID is required'),
+  query('subjectId').optional().isMongoId().withMessage('Valid subject ID is required'),
+  query('questionPaperId').optional().isMongoId().withMessage('Valid question paper ID is required'),
+  query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+];
+
 // Public routes - authentication optional
 router.get('/boards', optionalAuthenticate, studentController.getBoards);
+router.get('/papers/:questionPaperId/leaderboard', optionalAuthenticate, [
+  param('questionPaperId').isMongoId().withMessage('Valid question paper ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+], studentController.getPaperLeaderboard);
+
+// Logged-in users only - test history and progress dashboard
+router.get('/tests', authenticate, [
+  ...attemptFilterValidation,
+  query('status').optional().isIn(['submitted', 'in_progress', 'all']),
+  query('mode').optional().isIn(['exam', 'practice']),
+], studentController.getTestHistory);
+router.get('/progress', authenticate, [
+  ...attemptFilterValidation,
+  query('interval').optional().isIn(['day', 'week', 'month']),
+], studentController.getProgress);
+router.get('/weak-topics', authenticate, [
+  ...attemptFilterValidation,
+  query('targetAccuracy').optional().isFloat({ min: 1, max: 100 }),
+  query('minAttempted').optional().isInt({ min: 1 }),
+], studentController.getWeakTopics);
+
 router.post('/tests', optionalAuthenticate, [
   body('examId').optional().isMongoId().withMessage('Valid exam ID is required'),
   body('questionPaperId').optional().isMongoId().withMessage('Valid question paper ID is required'),
   body('questions').optional().isArray(),
+  body('mode').optional().isIn(['exam', 'practice']).withMessage('mode must be exam or practice'),
+  body('currentAffairsFrom').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('currentAffairsFrom must be YYYY-MM-DD'),
+  body('currentAffairsTo').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('currentAffairsTo must be YYYY-MM-DD'),
+  body('count').optional().isInt({ min: 1, max: 100 }).withMessage('count must be between 1 and 100'),
 ], studentController.createTest);
+router.post('/tests/claim', authenticate, [
+  body('sessionTokens').optional().isArray({ max: 50 }).withMessage('sessionTokens must be a list of at most 50 session tokens'),
+  body('sessionTokens.*').optional().isString(),
+], studentController.claimTests);
+router.post('/tests/mistakes', authenticate, [
+  body('examId').optional().isMongoId().withMessage('Valid exam ID is required'),
+  body('subjectId').optional().isMongoId().withMessage('Valid subject ID is required'),
+  body('count').optional().isInt({ min: 1, max: 100 }).withMessage('count must be between 1 and 100'),
+  body('clearAfterCorrect').optional().isInt({ min: 1, max: 10 }).withMessage('clearAfterCorrect must be between 1 and 10'),
+], studentController.createMistakesTest);
+router.post('/tests/mock', optionalAuthenticate, [
+  body('examId').isMongoId().withMessage('Valid exam ID is required'),
+  body('sections').isArray({ min: 1, max: 20 }).withMessage('sections must have 1 to 20 entries'),
+  body('sections.*.name').optional().isString().trim().isLength({ max: 100 }),
+  body('sections.*.subjectId').optional().isMongoId().withMessage('Valid subject ID is required'),
+  body('sections.*.tag').optional().isString().trim().notEmpty(),
+  body('sections.*.count').isInt({ min: 1, max: 200 }).withMessage('Section count must be between 1 and 200'),
+  body('sections.*.difficulty.easy').optional().isInt({ min: 0 }),
+  body('sections.*.difficulty.medium').optional().isInt({ min: 0 }),
+  body('sections.*.difficulty.hard').optional().isInt({ min: 0 }),
+  body('durationMinutes').optional().isInt({ min: 1, max: 600 }),
+], studentController.createMockTest);
 router.post('/tests/:testId/answer', optionalAuthenticate, [
   body('questionId').notEmpty().withMessage('Question ID is required'),
   body('answer').optional(),
   body('flagged').optional().isBoolean(),
+  body('timeSpentSeconds').optional().isFloat({ min: 0 }).withMessage('timeSpentSeconds must be a non-negative number'),
+  body('visited').optional().isBoolean(),
 ], studentController.saveAnswer);
 router.post('/tests/:testId/submit', optionalAuthenticate, studentController.submitTest);
 router.get('/tests/:testId/result', optionalAuthenticate, studentController.getTestResult);
@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import currentAffairsService from '../services/currentAffairsService.js';
+import backfillService from '../services/backfillService.js';
 
 // Get yesterday's date (NewsAPI has news available for yesterday, not today)
 const getYesterdayDate = () => {
@@ -16,7 +17,7 @@ const scheduleCurrentAffairs = () => {
     const yesterday = getYesterdayDate();
     console.log(`🕐 Scheduled task: Fetching current affairs for ${yesterday}...`);
     try {
-      const result = await currentAffairsService.scrapeAffairsForDate(yesterday);
+      const result = await currentAffairsService.scrapeAffairsForDate(yesterday, false, { trigger: 'cron' });
       console.log('✅ Scheduled scraping completed:', result);
     } catch (error) {
       console.error('❌ Scheduled scraping failed:', error);
@@ -26,6 +27,18 @@ const scheduleCurrentAffairs = () => {
     timezone: "Asia/Kolkata"
   });
 
+  // Every 30 minutes: continue backfill jobs whose pause is over
+  cron.schedule('*/30 * * * *', async () => {
+    try {
+      await backfillService.resumeJobs();
+    } catch (error) {
+      console.error('❌ Backfill resume check failed:', error.message);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
   console.log('📅 Current Affairs scheduler initialized - Will run daily at 6:00 AM IST');
   console.log('📰 News will be fetched for YESTERDAY (NewsAPI provides news with 1 day delay)');
   
@@ -39,7 +52,7 @@ const scheduleCurrentAffairs = () => {
       
       if (verification.totalCount === 0) {
         console.log(`⚠️ No current affairs found for yesterday (${yesterday}). Fetching now...`);
-        const result = await currentAffairsService.scrapeAffairsForDate(yesterday);
+        const result = await currentAffairsService.scrapeAffairsForDate(yesterday, false, { trigger: 'startup' });
         console.log('✅ Startup fetch completed:', result);
       } else {
         console.log(`✅ Current affairs already exist for ${yesterday}: ${verification.totalCount} items`);
@@ -47,6 +60,13 @@ const scheduleCurrentAffairs = () => {
     } catch (error) {
       console.error('❌ Startup check failed:', error.message);
     }
+
+    // Continue a backfill interrupted by the restart
+    try {
+      await backfillService.resumeJobs();
+    } catch (error) {
+      console.error('❌ Backfill resume failed:', error.message);
+    }
   }, 5000); // Wait 5 seconds after startup to let MongoDB connect fully
 };
 
@@ -0,0 +1,33 @@
+import cron from 'node-cron';
+import dailyQuizService from '../services/dailyQuizService.js';
+
+// Run daily just after midnight IST - select the day's quiz for every exam
+const scheduleDailyQuiz = () => {
+  cron.schedule('5 0 * * *', async () => {
+    const today = dailyQuizService.getToday();
+    console.log(`🕐 Scheduled task: Selecting daily quizzes for ${today}...`);
+    try {
+      const result = await dailyQuizService.generateAll(today);
+      console.log('✅ Daily quiz selection completed:', result);
+    } catch (error) {
+      console.error('❌ Daily quiz selection failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  console.log('📅 Daily quiz scheduler initialized - Will run daily at 12:05 AM IST');
+
+  // FALLBACK: Make sure today's quizzes exist after a restart (missing ones are created lazily too)
+  setTimeout(async () => {
+    try {
+      const result = await dailyQuizService.generateAll();
+      console.log('✅ Startup daily quiz check completed:', result);
+    } catch (error) {
+      console.error('❌ Startup daily quiz check failed:', error.message);
+    }
+  }, 10000); // Wait 10 seconds after startup to let MongoDB connect fully
+};
+
+export default scheduleDailyQuiz;
@@ -0,0 +1,26 @@
+import cron from 'node-cron';
+import testSubmissionService from '../services/testSubmissionService.js';
+
+// Run every minute - submit attempts whose timer has run out
+const scheduleTestAutoSubmit = () => {
+  let running = false;
+
+  cron.schedule('* * * * *', async () => {
+    // Skip if the previous sweep is still running
+    if (running) return;
+    running = true;
+    try {
+      await testSubmissionService.autoSubmitExpired();
+    } catch (error) {
+      console.error('❌ Auto-submit sweep failed:', error);
+    } finally {
+      running = false;
+    }
+  }, {
+    scheduled: true,
+  });
+
+  console.log('⏱️ Test auto-submit scheduler initialized - Will check for expired attempts every minute');
+};
+
+export default scheduleTestAutoSubmit;
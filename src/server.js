@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import { config } from './config/index.js';
 import scheduleCurrentAffairs from './schedulers/currentAffairsScheduler.js';
+import scheduleTestAutoSubmit from './schedulers/testAutoSubmitScheduler.js';
+import scheduleDailyQuiz from './schedulers/dailyQuizScheduler.js';
 
 import authRoutes from './routes/auth.routes.js';
 import boardsRoutes from './routes/boards.routes.js';
@@ -11,7 +13,9 @@ import subjectRoutes from './routes/subject.routes.js';
 import questionPaperRoutes from './routes/questionPaper.routes.js';
 import subjectsRoutes from './routes/subjects.routes.js'; // Legacy - to be removed
 import questionsRoutes from './routes/questions.routes.js';
+import passagesRoutes from './routes/passages.routes.js';
 import studentsRoutes from './routes/students.routes.js';
+import dailyQuizRoutes from './routes/dailyQuiz.routes.js';
 import currentAffairsRoutes from './routes/currentAffairs.routes.js';
 import errorsRoutes from './routes/errors.routes.js';
 import cacheRoutes from './routes/cache.routes.js';
@@ -69,7 +73,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Token'],
   optionsSuccessStatus: 200, // Some legacy browsers (IE11, various SmartTVs) choke on 204
 };
 
@@ -83,6 +87,8 @@ mongoose.connect(config.mongodbUri)
     console.log('Connected to MongoDB Atlas');
     // Initialize scheduled tasks
     scheduleCurrentAffairs();
+    scheduleTestAutoSubmit();
+    scheduleDailyQuiz();
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -125,7 +131,9 @@ app.use('/api/subject', subjectRoutes);
 app.use('/api/question-papers', questionPaperRoutes);
 app.use('/api/subjects', subjectsRoutes); // Legacy - to be removed
 app.use('/api/questions', questionsRoutes);
+app.use('/api/passages', passagesRoutes);
 app.use('/api/student', studentsRoutes);
+app.use('/api/daily-quiz', dailyQuizRoutes);
 app.use('/api/current-affairs', currentAffairsRoutes);
 app.use('/api/errors', errorsRoutes); // Frontend error logging
 app.use('/api/cache', cacheRoutes); // Cache management and stats
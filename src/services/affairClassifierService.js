@@ -0,0 +1,121 @@
+/**
+ * Affair Classifier Service
+ * Assigns a GS-paper category and an exam relevance score (0-100) to current affairs,
+ * using the built-in taxonomy merged with admin overrides from the AffairCategory collection
+ */
+
+import AffairCategory from '../models/AffairCategory.js';
+import CurrentAffair from '../models/CurrentAffair.js';
+import { DEFAULT_AFFAIR_CATEGORIES } from '../config/currentAffairsTaxonomy.js';
+import { GENERAL_CATEGORY, classifyAffair } from '../utils/affairClassifier.js';
+import { mergeWithOverrides } from '../utils/configOverrides.js';
+
+const CONFIG_FIELDS = ['name', 'enabled', 'exclude', 'keywords'];
+
+class AffairClassifierService {
+  constructor() {
+    // The taxonomy is read on every saved article - keep it in memory briefly
+    this.cacheTtlMs = 5 * 60 * 1000;
+    this.cache = null;
+  }
+
+  /**
+   * All categories (built-in and admin-added)
+   * @param {object} options
+   * @param {boolean} options.includeDisabled - Also return disabled categories
+   * @returns {Promise<object[]>}
+   */
+  async getCategories({ includeDisabled = false } = {}) {
+    if (!this.cache || this.cache.expiresAt < Date.now()) {
+      const overrides = await AffairCategory.find().lean();
+      this.cache = {
+        categories: mergeWithOverrides(DEFAULT_AFFAIR_CATEGORIES, overrides, CONFIG_FIELDS, { enabled: true, exclude: false, keywords: [] }),
+        expiresAt: Date.now() + this.cacheTtlMs,
+      };
+    }
+    return this.cache.categories.filter(category => includeDisabled || category.enabled);
+  }
+
+  /**
+   * Keys an affair can be filtered by (enabled, non-exclude categories plus "general")
+   * @returns {Promise<string[]>}
+   */
+  async getCategoryKeys() {
+    const categories = await this.getCategories();
+    return [...categories.filter(category => !category.exclude).map(category => category.key), GENERAL_CATEGORY];
+  }
+
+  /**
+   * Classify one article
+   * @param {{ title: string, description?: string, content?: string }} affair
+   * @returns {Promise<{ category: string, secondaryCategories: string[], relevanceScore: number }>}
+   */
+  async classify(affair) {
+    const { category, secondaryCategories, relevanceScore } = classifyAffair(affair, await this.getCategories());
+    return { category, secondaryCategories, relevanceScore };
+  }
+
+  /**
+   * Create or update the override of a category
+   * @param {string} key - Category key
+   * @param {object} updates - Subset of CONFIG_FIELDS
+   * @param {string|ObjectId} updatedBy - Admin user ID
+   * @returns {Promise<object>} - The merged category
+   */
+  async updateCategory(key, updates, updatedBy) {
+    const $set = { updatedBy, updatedAt: new Date() };
+    for (const field of CONFIG_FIELDS) {
+      if (updates[field] !== undefined) $set[field] = updates[field];
+    }
+    if ($set.keywords) {
+      $set.keywords = [...new Set($set.keywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    await AffairCategory.updateOne({ key }, { $set }, { upsert: true, runValidators: true });
+    this.cache = null;
+
+    return (await this.getCategories({ includeDisabled: true })).find(category => category.key === key);
+  }
+
+  /**
+   * Remove the override of a category (built-in categories return to their defaults)
+   * @param {string} key - Category key
+   * @returns {Promise<boolean>} - False if there was no override
+   */
+  async resetCategory(key) {
+    const result = await AffairCategory.deleteOne({ key });
+    this.cache = null;
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Re-run classification for the stored articles of a date (after a taxonomy change)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<{ date: string, total: number, updated: number }>}
+   */
+  async reclassifyDate(date) {
+    const affairs = await CurrentAffair.find({ date })
+      .select('_id title description content category secondaryCategories relevanceScore')
+      .lean();
+
+    const operations = [];
+    for (const affair of affairs) {
+      const result = await this.classify(affair);
+      const changed = result.category !== affair.category
+        || result.relevanceScore !== affair.relevanceScore
+        || result.secondaryCategories.join(',') !== (affair.secondaryCategories || []).join(',');
+      if (changed) {
+        operations.push({ updateOne: { filter: { _id: affair._id }, update: { $set: result } } });
+      }
+    }
+
+    if (operations.length > 0) {
+      await CurrentAffair.bulkWrite(operations);
+    }
+
+    return { date, total: affairs.length, updated: operations.length };
+  }
+}
+
+// Export singleton instance
+export default new AffairClassifierService();
@@ -0,0 +1,222 @@
+/**
+ * Affair Compilation Service
+ * Builds weekly / monthly current affairs compilations: the top stories of the period per
+ * GS category (by exam relevance and how many outlets covered them), which admins then
+ * curate, reorder and publish under a stable slug
+ */
+
+import mongoose from 'mongoose';
+import AffairCompilation from '../models/AffairCompilation.js';
+import CurrentAffair from '../models/CurrentAffair.js';
+import affairClassifierService from './affairClassifierService.js';
+import { GENERAL_CATEGORY } from '../utils/affairClassifier.js';
+import { getPeriodKey, resolvePeriod, selectCompilationSections } from '../utils/compilations.js';
+import { createHttpError } from '../utils/httpError.js';
+
+// Affair fields shown in compilations and exports
+const AFFAIR_FIELDS = 'title description date source url urlToImage sources category relevanceScore';
+
+class AffairCompilationService {
+  constructor() {
+    // Items picked per category when a compilation is built (admins can add more later)
+    this.itemsPerCategory = { week: 5, month: 10 };
+    this.maxItemsPerSection = 50;
+    this.timezone = 'Asia/Kolkata';
+  }
+
+  /**
+   * Build (or rebuild) the draft compilation of a period from stored affairs
+   * Published compilations must be unpublished first; existing drafts are only replaced with force
+   * @param {'week'|'month'} period
+   * @param {string} key - "YYYY-MM" or "YYYY-Www" (defaults to the current period)
+   * @param {object} options
+   * @param {string|ObjectId} options.createdBy - Admin user ID
+   * @param {number} options.itemsPerCategory - Defaults to the period setting
+   * @param {boolean} options.force - Replace an existing draft (and its curation)
+   * @returns {Promise<object>} - The compilation document
+   */
+  async buildCompilation(period, key, { createdBy, itemsPerCategory, force = false } = {}) {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: this.timezone });
+    const range = resolvePeriod(period, key || getPeriodKey(period, today));
+
+    const existing = await AffairCompilation.findOne({ slug: range.slug });
+    if (existing?.status === 'published') {
+      throw createHttpError(409, 'Compilation is already published - unpublish it before rebuilding');
+    }
+    if (existing && !force) {
+      throw createHttpError(409, 'Compilation already exists - pass force to rebuild it');
+    }
+
+    const affairs = await CurrentAffair.find({ date: { $gte: range.from, $lte: range.to } })
+      .select('_id date category relevanceScore sources')
+      .lean();
+    const categories = await affairClassifierService.getCategories();
+    const sections = selectCompilationSections(affairs, categories, {
+      itemsPerCategory: itemsPerCategory || this.itemsPerCategory[period],
+      fallback: { key: GENERAL_CATEGORY, name: 'General Awareness' },
+    });
+
+    const compilation = existing || new AffairCompilation({
+      period,
+      periodKey: range.key,
+      slug: range.slug,
+      createdBy,
+    });
+    compilation.set({
+      title: range.title,
+      from: range.from,
+      to: range.to,
+      sections,
+      updatedBy: createdBy,
+    });
+    await compilation.save();
+
+    const itemCount = sections.reduce((sum, section) => sum + section.items.length, 0);
+    console.log(`📚 Built ${range.slug}: ${itemCount} items in ${sections.length} sections from ${affairs.length} affairs`);
+
+    return compilation;
+  }
+
+  /**
+   * List compilations, latest period first (without their items)
+   * @param {object} options
+   * @param {'week'|'month'} options.period
+   * @param {'draft'|'published'} options.status - Omit for all
+   * @param {number} options.skip
+   * @param {number} options.limit
+   * @returns {Promise<{ compilations: object[], total: number }>}
+   */
+  async listCompilations({ period, status, skip = 0, limit = 10 } = {}) {
+    const query = {};
+    if (period) query.period = period;
+    if (status) query.status = status;
+
+    const [compilations, total] = await Promise.all([
+      AffairCompilation.find(query)
+        .select('period periodKey slug title from to status publishedAt sections.items.affair')
+        .sort({ from: -1, period: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AffairCompilation.countDocuments(query),
+    ]);
+
+    return {
+      compilations: compilations.map(({ sections, ...compilation }) => ({
+        ...compilation,
+        itemCount: (sections || []).reduce((sum, section) => sum + section.items.length, 0),
+      })),
+      total,
+    };
+  }
+
+  /**
+   * A compilation with its affairs populated
+   * @param {string} slug
+   * @param {object} options
+   * @param {boolean} options.includeDraft - Also return unpublished compilations
+   * @returns {Promise<object|null>}
+   */
+  async getCompilation(slug, { includeDraft = false } = {}) {
+    const query = { slug };
+    if (!includeDraft) query.status = 'published';
+
+    return AffairCompilation.findOne(query)
+      .populate('sections.items.affair', AFFAIR_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Curate a compilation: edit its title/intro, or replace its sections
+   * Sections and items are stored in the order given; every affair must be from the period
+   * @param {string} slug
+   * @param {object} updates
+   * @param {string} updates.title
+   * @param {string} updates.intro
+   * @param {Array<{ category: string, name?: string, items: Array<{ affair: string, note?: string }> }>} updates.sections
+   * @param {string|ObjectId} updatedBy - Admin user ID
+   * @returns {Promise<object|null>} - The populated compilation (null if not found)
+   */
+  async updateCompilation(slug, { title, intro, sections }, updatedBy) {
+    const compilation = await AffairCompilation.findOne({ slug });
+    if (!compilation) return null;
+
+    if (title !== undefined) compilation.title = title;
+    if (intro !== undefined) compilation.intro = intro;
+    if (sections !== undefined) {
+      compilation.sections = await this.validateSections(sections, compilation);
+    }
+    compilation.updatedBy = updatedBy;
+    await compilation.save();
+
+    return this.getCompilation(slug, { includeDraft: true });
+  }
+
+  /**
+   * Check curated sections against the taxonomy and the compilation period
+   * @param {object[]} sections
+   * @param {{ from: string, to: string }} compilation
+   * @returns {Promise<object[]>} - Normalised sections
+   */
+  async validateSections(sections, compilation) {
+    const categories = await affairClassifierService.getCategories();
+    const names = new Map(categories.map(category => [category.key, category.name]));
+    names.set(GENERAL_CATEGORY, 'General Awareness');
+
+    const affairIds = sections.flatMap(section => section.items.map(item => String(item.affair)));
+    if (new Set(affairIds).size !== affairIds.length) {
+      throw createHttpError(400, 'Curation error: an affair can only appear once in a compilation');
+    }
+    if (affairIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw createHttpError(400, 'Curation error: invalid affair ID');
+    }
+
+    const found = await CurrentAffair.find({
+      _id: { $in: affairIds },
+      date: { $gte: compilation.from, $lte: compilation.to },
+    }).select('_id').lean();
+    if (found.length !== affairIds.length) {
+      throw createHttpError(400, `Curation error: every affair must exist and be dated ${compilation.from} to ${compilation.to}`);
+    }
+
+    return sections.map(section => {
+      if (!names.has(section.category) && !section.name) {
+        throw createHttpError(400, `Curation error: section "${section.category}" needs a name`);
+      }
+      if (section.items.length > this.maxItemsPerSection) {
+        throw createHttpError(400, `Curation error: sections can hold at most ${this.maxItemsPerSection} items`);
+      }
+      return {
+        category: section.category,
+        name: section.name || names.get(section.category),
+        items: section.items.map(item => ({ affair: item.affair, note: item.note || '' })),
+      };
+    });
+  }
+
+  /**
+   * Publish or unpublish a compilation
+   * @param {string} slug
+   * @param {boolean} published
+   * @param {string|ObjectId} updatedBy - Admin user ID
+   * @returns {Promise<object|null>}
+   */
+  async setPublished(slug, published, updatedBy) {
+    const compilation = await AffairCompilation.findOne({ slug });
+    if (!compilation) return null;
+
+    compilation.status = published ? 'published' : 'draft';
+    // Keep the first publication date when a compilation is republished after corrections
+    if (published && !compilation.publishedAt) {
+      compilation.publishedAt = new Date();
+    }
+    compilation.updatedBy = updatedBy;
+    await compilation.save();
+
+    const { sections, ...summary } = compilation.toObject();
+    return summary;
+  }
+}
+
+// Export singleton instance
+export default new AffairCompilationService();
@@ -0,0 +1,133 @@
+/**
+ * Affair Dedup Service
+ * Detects the same story reported by several outlets or repeated on consecutive days
+ * (MinHash similarity of title + description) and merges it into one affair that
+ * lists every source link
+ */
+
+import CurrentAffair from '../models/CurrentAffair.js';
+import { estimateSimilarity, minHashSignature } from '../utils/textSimilarity.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shift a YYYY-MM-DD date by whole days
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString()
+  .split('T')[0];
+
+// The link of an article as stored in CurrentAffair.sources
+const toSourceLink = (affair) => ({
+  source: affair.source || 'Unknown',
+  url: affair.url || '',
+  title: affair.title || '',
+  sourceId: affair.sourceId || '',
+  publishedAt: affair.publishedAt ? new Date(affair.publishedAt) : null,
+});
+
+class AffairDedupService {
+  constructor() {
+    // Stored affairs from this many days before and after are checked for repeats
+    // (after matters when an older date is backfilled once later days are stored)
+    this.windowDays = 3;
+    // Estimated Jaccard similarity (content words) above which two articles are the same story
+    this.similarityThreshold = 0.35;
+    this.maxSourcesPerAffair = 20;
+  }
+
+  /**
+   * MinHash signature of an article
+   * @param {{ title: string, description?: string }} affair
+   * @returns {number[]}
+   */
+  getSignature(affair) {
+    return minHashSignature(`${affair.title || ''} ${affair.description || ''}`);
+  }
+
+  /**
+   * Most similar candidate above the threshold
+   * @param {number[]} signature
+   * @param {Array<{ signature: number[] }>} candidates
+   * @returns {object|null}
+   */
+  findMatch(signature, candidates) {
+    let best = null;
+    let bestSimilarity = this.similarityThreshold;
+    for (const candidate of candidates) {
+      const similarity = estimateSimilarity(signature, candidate.signature);
+      if (similarity >= bestSimilarity) {
+        best = candidate;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Merge near-duplicates within a freshly fetched batch
+   * Articles are expected in source priority order - the first of a story is kept and
+   * later ones become entries of its `sources`
+   * @param {object[]} affairs
+   * @returns {object[]} - Kept articles, each with `signature` and `sources`
+   */
+  mergeBatch(affairs) {
+    const kept = [];
+    for (const affair of affairs) {
+      if (!affair?.title) continue;
+
+      const signature = this.getSignature(affair);
+      const match = signature.length > 0 ? this.findMatch(signature, kept) : null;
+      if (match) {
+        if (match.sources.length < this.maxSourcesPerAffair && match.url !== affair.url) {
+          match.sources.push(toSourceLink(affair));
+        }
+        continue;
+      }
+      kept.push({ ...affair, signature, sources: [] });
+    }
+    return kept;
+  }
+
+  /**
+   * Signatures of the stored affairs a new affair of `date` is compared against (date +/- windowDays)
+   * Affairs saved before signatures existed get theirs computed on the fly
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array<{ _id: ObjectId, date: string, signature: number[] }>>}
+   */
+  async loadWindow(date) {
+    const affairs = await CurrentAffair.find({
+      date: { $gte: addDays(date, -this.windowDays), $lte: addDays(date, this.windowDays) },
+    })
+      .select('_id date title description +signature')
+      .lean();
+
+    return affairs.map(affair => ({
+      _id: affair._id,
+      date: affair.date,
+      signature: affair.signature?.length > 0 ? affair.signature : this.getSignature(affair),
+    }));
+  }
+
+  /**
+   * Add an article (and the links it already merged) to the sources of a stored affair
+   * Links already present on the affair are skipped
+   * @param {ObjectId} affairId
+   * @param {object} affair - Batch article from mergeBatch
+   * @returns {Promise<number>} - Links added
+   */
+  async attachSources(affairId, affair) {
+    let added = 0;
+    for (const link of [toSourceLink(affair), ...(affair.sources || [])]) {
+      const filter = { _id: affairId, [`sources.${this.maxSourcesPerAffair - 1}`]: { $exists: false } };
+      if (link.url) {
+        filter.url = { $ne: link.url };
+        filter['sources.url'] = { $ne: link.url };
+      }
+      const result = await CurrentAffair.updateOne(filter, { $push: { sources: link } });
+      added += result.modifiedCount;
+    }
+    return added;
+  }
+}
+
+// Export singleton instance
+export default new AffairDedupService();
@@ -0,0 +1,123 @@
+/**
+ * Attempt Claim Service
+ * Moves anonymous test attempts to a user account once the student registers or logs in
+ *
+ * The client keeps the sessionToken (signed sessionId) returned by createTest for each anonymous test
+ * and presents them at register/login. Safeguards against claiming someone else's attempts:
+ * - only attempts that still have no owner are claimed
+ * - daily quiz attempts are never claimed (a student could otherwise take the quiz anonymously
+ *   several times and claim the best one for the leaderboard)
+ * - only sessions proven by a signed sessionToken are accepted (never a bare session ID)
+ * - only unguessable session IDs are accepted (older IDs were embedded in the public testId)
+ * - sessions older than maxSessionAgeDays, and more than maxSessions per request, are ignored
+ */
+
+import crypto from 'crypto';
+import TestAttempt from '../models/TestAttempt.js';
+import { verifySessionToken } from '../utils/jwt.js';
+
+// session_ + 32 hex chars (128 random bits)
+const SESSION_ID_PATTERN = /^session_[a-f0-9]{32}$/;
+
+class AttemptClaimService {
+  constructor() {
+    this.maxSessions = 50;
+    this.maxAttempts = 200;
+    this.maxSessionAgeDays = 30;
+  }
+
+  /**
+   * Generate a new anonymous session ID
+   * @returns {string}
+   */
+  generateSessionId() {
+    return `session_${crypto.randomBytes(16).toString('hex')}`;
+  }
+
+  /**
+   * Whether a value looks like a session ID issued by generateSessionId
+   * @param {any} sessionId
+   * @returns {boolean}
+   */
+  isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+  }
+
+  /**
+   * Session IDs from the signed sessionTokens of a request body (invalid tokens are dropped)
+   * Raw session IDs are not accepted - they do not prove the client created the session
+   * @param {object} body - { sessionTokens }
+   * @returns {Array<string>}
+   */
+  resolveSessionIds({ sessionTokens } = {}) {
+    return Array.isArray(sessionTokens)
+      ? sessionTokens.map(token => verifySessionToken(token)).filter(Boolean)
+      : [];
+  }
+
+  /**
+   * Assign the anonymous attempts of the given sessions to a user
+   * Claimed attempts never count towards rankings (they were not taken as that user)
+   * Attempts a unique index rejects for the user (duplicate key) are left unclaimed
+   * @param {ObjectId} userId - User claiming the attempts
+   * @param {Array<string>} sessionIds - Session IDs presented by the client
+   * @returns {Promise<{ claimed: number, ignoredSessions: number }>}
+   */
+  async claimSessions(userId, sessionIds = []) {
+    if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+      return { claimed: 0, ignoredSessions: 0 };
+    }
+
+    const validSessionIds = [...new Set(sessionIds.filter(id => this.isValidSessionId(id)))]
+      .slice(0, this.maxSessions);
+    const ignoredSessions = sessionIds.length - validSessionIds.length;
+    if (validSessionIds.length === 0) {
+      return { claimed: 0, ignoredSessions };
+    }
+
+    const since = new Date(Date.now() - this.maxSessionAgeDays * 24 * 60 * 60 * 1000);
+    const filter = {
+      userId: null,
+      sessionId: { $in: validSessionIds },
+      testType: { $ne: 'daily' },
+      createdAt: { $gte: since },
+    };
+
+    const attempts = await TestAttempt.find(filter)
+      .select('_id')
+      .sort({ createdAt: -1 })
+      .limit(this.maxAttempts)
+      .lean();
+    if (attempts.length === 0) {
+      return { claimed: 0, ignoredSessions };
+    }
+
+    // userId: null in the filter again so attempts claimed concurrently are not taken over
+    const attemptIds = attempts.map(a => a._id);
+    const claimedAt = new Date();
+    const update = { $set: { userId, claimedAt, rankEligible: false } };
+    let claimed;
+    try {
+      const result = await TestAttempt.updateMany({ ...filter, _id: { $in: attemptIds } }, update);
+      claimed = result.modifiedCount;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // updateMany stops at the first duplicate - claim the remaining attempts one by one
+      for (const attemptId of attemptIds) {
+        try {
+          await TestAttempt.updateOne({ ...filter, _id: attemptId }, update);
+        } catch (err) {
+          if (err.code !== 11000) throw err;
+        }
+      }
+      claimed = await TestAttempt.countDocuments({ _id: { $in: attemptIds }, userId, claimedAt });
+    }
+
+    console.log(`🔗 Linked ${claimed} anonymous attempt(s) to user ${userId}`);
+    return { claimed, ignoredSessions };
+  }
+}
+
+// Export singleton instance
+export default new AttemptClaimService();
@@ -0,0 +1,319 @@
+/**
+ * Backfill Service
+ * Fills missing or under-filled current affairs dates over a range. Dates are scraped one
+ * at a time (newest first) and progress is stored on the BackfillJob, so a job survives
+ * restarts. When providers report their quota as exhausted, or the daily limit of backfilled
+ * dates is reached, the job pauses until the next quota day (UTC) instead of burning requests.
+ */
+
+import BackfillJob from '../models/BackfillJob.js';
+import CurrentAffair from '../models/CurrentAffair.js';
+import currentAffairsService from './currentAffairsService.js';
+import newsSourceService from './newsSourceService.js';
+import providerUsageService from './providerUsageService.js';
+import { createHttpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every date of an inclusive YYYY-MM-DD range, newest first
+const listDates = (from, to) => {
+  const dates = [];
+  for (let time = new Date(`${to}T00:00:00Z`).getTime(); time >= new Date(`${from}T00:00:00Z`).getTime(); time -= DAY_MS) {
+    dates.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+// Per-status date counts and percentage done
+const getProgress = (job) => {
+  const counts = { pending: 0, running: 0, done: 0, empty: 0, failed: 0, skipped: 0 };
+  for (const entry of job.dates) counts[entry.status]++;
+  const total = job.dates.length;
+  const finished = total - counts.pending - counts.running;
+  return { total, ...counts, percent: total > 0 ? Math.round((finished / total) * 100) : 100 };
+};
+
+class BackfillService {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+    this.defaultMinArticles = 20;
+    // Today plus the 30 days of history the free NewsAPI and GNews plans serve
+    this.maxRangeDays = 31;
+    // Pause between dates so providers are not hit in bursts
+    this.delayMs = 5000;
+    // Dates backfilled per day - keeps daily provider quotas free for the regular scrapes
+    this.maxDatesPerDay = 20;
+    this.maxAttempts = 2;
+    // Only one job runs at a time in this process
+    this.runningJobId = null;
+  }
+
+  getToday() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: this.timezone });
+  }
+
+  /**
+   * Earliest date the enabled sources can still fetch articles for
+   * Sources filtering their own items by date (RSS) only carry recent news and do not extend it
+   * @returns {Promise<string>} - YYYY-MM-DD
+   */
+  async getEarliestDate() {
+    const adapters = await newsSourceService.getAdapters();
+    const historyDays = Math.max(0, ...adapters
+      .map(({ adapter }) => adapter.getHistoryDays())
+      .filter(days => days !== null));
+    return new Date(Date.now() - historyDays * DAY_MS).toLocaleDateString('en-CA', { timeZone: this.timezone });
+  }
+
+  /**
+   * Create a backfill job and start it
+   * Dates that already have minArticles affairs are marked skipped up front
+   * @param {object} options
+   * @param {string} options.from - YYYY-MM-DD
+   * @param {string} options.to - YYYY-MM-DD
+   * @param {number} options.minArticles
+   * @param {string|ObjectId} options.createdBy - Admin user ID
+   * @returns {Promise<object>} - The job with its progress
+   */
+  async createJob({ from, to, minArticles = this.defaultMinArticles, createdBy }) {
+    if (from > to) {
+      throw createHttpError(400, 'Backfill error: from must be on or before to');
+    }
+    if (to > this.getToday()) {
+      throw createHttpError(400, 'Backfill error: to cannot be in the future');
+    }
+    const dates = listDates(from, to);
+    if (dates.length > this.maxRangeDays) {
+      throw createHttpError(400, `Backfill error: range cannot exceed ${this.maxRangeDays} days`);
+    }
+    const earliest = await this.getEarliestDate();
+    if (from < earliest) {
+      throw createHttpError(400, `Backfill error: news sources only serve articles from ${earliest} onwards`);
+    }
+
+    const active = await BackfillJob.exists({ status: { $in: ACTIVE_STATUSES } });
+    if (active) {
+      throw createHttpError(409, 'Backfill error: another backfill job is still active - cancel it or wait for it to finish');
+    }
+
+    const counts = await CurrentAffair.aggregate([
+      { $match: { date: { $gte: from, $lte: to } } },
+      { $group: { _id: '$date', count: { $sum: 1 } } },
+    ]);
+    const countByDate = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    const job = await BackfillJob.create({
+      from,
+      to,
+      minArticles,
+      createdBy,
+      dates: dates.map(date => {
+        const existingCount = countByDate.get(date) || 0;
+        return { date, existingCount, status: existingCount >= minArticles ? 'skipped' : 'pending' };
+      }),
+    });
+
+    const progress = getProgress(job);
+    console.log(`🗂️ Backfill ${job._id} created: ${progress.pending} of ${progress.total} dates need scraping (${from} to ${to})`);
+
+    this.startJob(job._id);
+    return { ...job.toObject(), progress };
+  }
+
+  /**
+   * Process a job in the background (no-op if a job is already running in this process)
+   * @param {string|ObjectId} jobId
+   */
+  startJob(jobId) {
+    if (this.runningJobId) return;
+    this.runningJobId = String(jobId);
+
+    this.processJob(jobId)
+      .catch(async (error) => {
+        console.error(`❌ Backfill ${jobId} failed:`, error);
+        await BackfillJob.updateOne({ _id: jobId }, {
+          $set: { status: 'failed', lastError: error.message, finishedAt: new Date() },
+        }).catch(() => {});
+      })
+      .finally(() => {
+        this.runningJobId = null;
+      });
+  }
+
+  async processJob(jobId) {
+    let job = await BackfillJob.findById(jobId);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return;
+
+    // A date left running was interrupted by a restart
+    for (const entry of job.dates) {
+      if (entry.status === 'running') entry.status = 'pending';
+    }
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date();
+    job.resumeAfter = null;
+    job.pauseReason = '';
+    await job.save();
+    console.log(`▶️ Backfill ${jobId} running`);
+
+    while (true) {
+      // Reload every date so cancellation from the admin endpoint is seen
+      job = await BackfillJob.findById(jobId);
+      if (!job || job.status !== 'running') {
+        console.log(`⏹️ Backfill ${jobId} stopped (${job?.status || 'deleted'})`);
+        return;
+      }
+
+      const entry = job.dates.find(date => date.status === 'pending');
+      if (!entry) {
+        job.status = 'completed';
+        job.finishedAt = new Date();
+        await job.save();
+        console.log(`✅ Backfill ${jobId} completed:`, getProgress(job));
+        return;
+      }
+
+      // Counted per quota day, so the limit resets together with provider quotas
+      const quotaDay = providerUsageService.getDay();
+      if (job.dailyProgress.day !== quotaDay) {
+        job.dailyProgress = { day: quotaDay, count: 0 };
+      }
+      if (job.dailyProgress.count >= this.maxDatesPerDay) {
+        await this.pause(job, `Daily limit of ${this.maxDatesPerDay} backfilled dates reached`);
+        return;
+      }
+
+      entry.status = 'running';
+      entry.attempts += 1;
+      job.dailyProgress.count += 1;
+      await job.save();
+
+      let quotaExhausted = false;
+      try {
+        const result = await currentAffairsService.scrapeAffairsForDate(entry.date, false, {
+          trigger: 'backfill',
+          triggeredBy: job.createdBy,
+          topUp: true,
+        });
+        quotaExhausted = (result.sources || []).some(source => source.rateLimited || source.skipReason === 'quota');
+
+        entry.run = result.runId || null;
+        entry.savedCount += result.count || 0;
+        entry.error = result.success ? '' : result.message || '';
+        // Nothing found while quotas ran out - try the date again once they reset
+        entry.status = result.success ? 'done' : quotaExhausted ? 'pending' : 'empty';
+        if (entry.status === 'pending') entry.attempts -= 1;
+      } catch (error) {
+        console.error(`❌ Backfill ${jobId}: ${entry.date} failed: ${error.message}`);
+        entry.error = error.message;
+        job.lastError = error.message;
+        entry.status = entry.attempts >= this.maxAttempts ? 'failed' : 'pending';
+      }
+      if (entry.status !== 'pending') entry.finishedAt = new Date();
+      await job.save();
+
+      if (quotaExhausted) {
+        await this.pause(job, 'Provider quota exhausted');
+        return;
+      }
+
+      await sleep(this.delayMs);
+    }
+  }
+
+  // Pause until provider quotas reset (unless the job was cancelled meanwhile)
+  async pause(job, reason) {
+    const resumeAfter = providerUsageService.getNextQuotaDayStart();
+    await BackfillJob.updateOne(
+      { _id: job._id, status: 'running' },
+      { $set: { status: 'paused', pauseReason: reason, resumeAfter } }
+    );
+    console.log(`⏸️ Backfill ${job._id} paused until ${resumeAfter.toISOString()}: ${reason}`);
+  }
+
+  /**
+   * Continue interrupted jobs and paused jobs whose pause is over (startup and periodic check)
+   * @returns {Promise<string|null>} - ID of the job started, if any
+   */
+  async resumeJobs() {
+    if (this.runningJobId) return null;
+
+    const job = await BackfillJob.findOne({
+      $or: [
+        { status: { $in: ['queued', 'running'] } },
+        { status: 'paused', resumeAfter: { $lte: new Date() } },
+      ],
+    }).sort({ createdAt: 1 }).select('_id');
+    if (!job) return null;
+
+    console.log(`🔁 Resuming backfill ${job._id}`);
+    this.startJob(job._id);
+    return String(job._id);
+  }
+
+  /**
+   * Resume a paused job now, ignoring its resumeAfter time (the daily limit still applies)
+   * @param {string} jobId
+   * @returns {Promise<object|null>} - Null if the job is not paused
+   */
+  async resumeJob(jobId) {
+    const job = await BackfillJob.findOneAndUpdate(
+      { _id: jobId, status: 'paused' },
+      { $set: { resumeAfter: new Date() } },
+      { new: true }
+    );
+    if (!job) return null;
+
+    this.startJob(job._id);
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Stop a job; the date being scraped finishes first
+   * @param {string} jobId
+   * @returns {Promise<boolean>} - False if the job was not active
+   */
+  async cancelJob(jobId) {
+    const result = await BackfillJob.updateOne(
+      { _id: jobId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'cancelled', finishedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * A job with its per-date status and progress
+   * @param {string} jobId
+   * @returns {Promise<object|null>}
+   */
+  async getJob(jobId) {
+    const job = await BackfillJob.findById(jobId).lean();
+    if (!job) return null;
+    return { ...job, progress: getProgress(job), active: this.runningJobId === String(job._id) };
+  }
+
+  /**
+   * Jobs, newest first (without per-date details)
+   * @param {object} options
+   * @param {number} options.skip
+   * @param {number} options.limit
+   * @returns {Promise<{ jobs: object[], total: number }>}
+   */
+  async listJobs({ skip = 0, limit = 10 } = {}) {
+    const [jobs, total] = await Promise.all([
+      BackfillJob.find().sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      BackfillJob.countDocuments(),
+    ]);
+
+    return {
+      jobs: jobs.map(({ dates, ...job }) => ({ ...job, progress: getProgress({ dates }) })),
+      total,
+    };
+  }
+}
+
+// Export singleton instance
+export default new BackfillService();
@@ -0,0 +1,375 @@
+/**
+ * Current Affairs Quiz Service
+ * Turns a day's CurrentAffair articles into MCQs. Generated questions are saved as
+ * drafts under a "Current Affairs" paper (one per month) and only reach students
+ * once an admin approves them from the review queue.
+ *
+ * Generators are pluggable - anything with this shape can be registered:
+ *   {
+ *     name: 'rule-based',
+ *     async generate(affair, { entityPool, maxQuestions }) {
+ *       return [{ text, options: [string], correctIndex, explanation, difficulty, tags }];
+ *     }
+ *   }
+ * entityPool holds the names mentioned across the whole day's articles, for distractors.
+ */
+
+import Board from '../models/Board.js';
+import CurrentAffair from '../models/CurrentAffair.js';
+import Exam from '../models/Exam.js';
+import Question from '../models/Question.js';
+import QuestionPaper from '../models/QuestionPaper.js';
+import Subject from '../models/Subject.js';
+import {
+  buildClozeQuestion,
+  buildNumericDistractors,
+  extractEntities,
+  extractFacts,
+} from '../utils/currentAffairsFacts.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONTAINER_SLUG = 'current-affairs';
+const CONTAINER_NAME = 'Current Affairs';
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const wordCount = (text) => text.split(/\s+/).length;
+
+// Default generator: blanks out a number or a name in a sentence of the article
+const ruleBasedGenerator = {
+  name: 'rule-based',
+
+  async generate(affair, { entityPool = [], maxQuestions = 2 } = {}) {
+    const articleEntities = new Set(extractEntities(`${affair.title}. ${affair.description} ${affair.content}`));
+    const facts = extractFacts(affair);
+    // Numbers make the least ambiguous blanks, so they go first
+    const ordered = [
+      ...facts.filter(fact => fact.type === 'number'),
+      ...facts.filter(fact => fact.type === 'entity'),
+    ];
+
+    const drafts = [];
+    const usedSentences = new Set();
+
+    for (const fact of ordered) {
+      if (drafts.length >= maxQuestions) break;
+      if (usedSentences.has(fact.sentence)) continue;
+
+      let distractors;
+      if (fact.type === 'number') {
+        distractors = buildNumericDistractors(fact.answer);
+      } else {
+        // Names from other stories of the day, preferring ones of the same shape (acronym / word count)
+        const isAcronym = /^[A-Z]{2,}$/.test(fact.answer);
+        const candidates = entityPool.filter(entity => !articleEntities.has(entity));
+        const similar = candidates.filter(entity => (isAcronym
+          ? /^[A-Z]{2,}$/.test(entity)
+          : wordCount(entity) === wordCount(fact.answer)));
+        distractors = [...shuffle(similar), ...shuffle(candidates)];
+      }
+
+      const question = buildClozeQuestion(fact, distractors);
+      if (!question) continue;
+
+      usedSentences.add(fact.sentence);
+      drafts.push({
+        ...question,
+        explanation: `${fact.sentence} (Source: ${affair.source})`,
+        difficulty: fact.type === 'number' ? 'medium' : 'easy',
+        tags: ['current-affairs', fact.type === 'number' ? 'facts-and-figures' : 'people-and-places'],
+      });
+    }
+
+    return drafts;
+  },
+};
+
+class CurrentAffairsQuizService {
+  constructor() {
+    this.generators = new Map();
+    this.registerGenerator(ruleBasedGenerator);
+    this.defaultGenerator = process.env.CURRENT_AFFAIRS_QUIZ_GENERATOR || 'rule-based';
+    // One question paper per 'month' or per 'day'
+    this.paperPeriod = 'month';
+    this.maxQuestionsPerArticle = 2;
+    this.maxQuestionsPerDay = 40;
+    // Longest date range a single test can cover
+    this.maxRangeDays = 31;
+  }
+
+  /**
+   * Register a question generator (replaces one with the same name)
+   * @param {{ name: string, generate: Function }} generator
+   */
+  registerGenerator(generator) {
+    if (!generator?.name || typeof generator.generate !== 'function') {
+      throw new Error('A generator needs a name and a generate(affair, context) function');
+    }
+    this.generators.set(generator.name, generator);
+  }
+
+  /**
+   * Names of the registered generators
+   * @returns {string[]}
+   */
+  getGeneratorNames() {
+    return [...this.generators.keys()];
+  }
+
+  /**
+   * Number of days covered by an inclusive YYYY-MM-DD range
+   * @param {string} from
+   * @param {string} to
+   * @returns {number}
+   */
+  getRangeDays(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+  }
+
+  /**
+   * Find or create the Current Affairs board/exam/subject and the paper for a date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<{ board: object, exam: object, subject: object, questionPaper: object }>}
+   */
+  async getContainer(date) {
+    const upsert = { upsert: true, new: true, setDefaultsOnInsert: true, lean: true };
+
+    const board = await Board.findOneAndUpdate(
+      { slug: CONTAINER_SLUG },
+      { $setOnInsert: { name: CONTAINER_NAME, description: 'Daily news for competitive exams' } },
+      upsert
+    );
+    const exam = await Exam.findOneAndUpdate(
+      { slug: CONTAINER_SLUG, board: board._id },
+      { $setOnInsert: { title: CONTAINER_NAME, name: CONTAINER_NAME } },
+      upsert
+    );
+    const subject = await Subject.findOneAndUpdate(
+      { slug: CONTAINER_SLUG, exam: exam._id },
+      { $setOnInsert: { name: CONTAINER_NAME, board: board._id, icon: '📰' } },
+      upsert
+    );
+    await Promise.all([
+      Board.updateOne({ _id: board._id }, { $addToSet: { exams: exam._id } }),
+      Exam.updateOne({ _id: exam._id }, { $addToSet: { subjects: subject._id } }),
+    ]);
+
+    const period = this.paperPeriod === 'day' ? date : date.slice(0, 7);
+    const label = this.paperPeriod === 'day'
+      ? date
+      : new Date(`${period}-01T00:00:00Z`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    const questionPaper = await QuestionPaper.findOneAndUpdate(
+      { subject: subject._id, 'meta.currentAffairsPeriod': period },
+      {
+        // The period is set explicitly: the default `meta: {}` would otherwise replace it on insert
+        $setOnInsert: {
+          'meta.currentAffairsPeriod': period,
+          name: `${CONTAINER_NAME} - ${label}`,
+          exam: exam._id,
+          board: board._id,
+          section: CONTAINER_NAME,
+          year: Number(date.slice(0, 4)),
+        },
+      },
+      upsert
+    );
+
+    return { board, exam, subject, questionPaper };
+  }
+
+  /**
+   * Generate draft questions from the articles of a date
+   * Articles that already have questions are skipped unless force is set,
+   * in which case their unreviewed drafts are replaced (approved questions are kept)
+   * @param {string} date - YYYY-MM-DD
+   * @param {object} options
+   * @param {string|ObjectId} options.createdBy - Admin who triggered the generation
+   * @param {string} options.generator - Generator name (defaults to this.defaultGenerator)
+   * @param {boolean} options.force - Regenerate drafts for articles that already have them
+   * @returns {Promise<object>} - Summary of the run
+   */
+  async generateForDate(date, { createdBy, generator: generatorName, force = false } = {}) {
+    if (!DATE_PATTERN.test(date)) {
+      throw new Error(`Invalid date format: ${date}. Expected YYYY-MM-DD`);
+    }
+    const generator = this.generators.get(generatorName || this.defaultGenerator);
+    if (!generator) {
+      throw new Error(`Unknown question generator: ${generatorName || this.defaultGenerator}`);
+    }
+
+    const affairs = await CurrentAffair.find({ date })
+      .select('_id date title description content source url')
+      .sort({ order: 1 })
+      .lean();
+    if (affairs.length === 0) {
+      return { success: false, date, message: 'No current affairs found for this date', generated: 0 };
+    }
+
+    const affairIds = affairs.map(affair => affair._id);
+    if (force) {
+      await Question.deleteMany({ currentAffair: { $in: affairIds }, status: 'draft' });
+    }
+    const covered = new Set(
+      (await Question.distinct('currentAffair', { currentAffair: { $in: affairIds } })).map(String)
+    );
+
+    const { exam, subject, questionPaper } = await this.getContainer(date);
+    const entityPool = [...new Set(affairs.flatMap(affair => extractEntities(`${affair.title}. ${affair.description}`)))];
+
+    console.log(`🧠 Generating current affairs questions for ${date} with "${generator.name}" (${affairs.length} articles)...`);
+
+    const drafts = [];
+    let skipped = 0;
+    let failed = 0;
+
+    for (const affair of affairs) {
+      if (drafts.length >= this.maxQuestionsPerDay) break;
+      if (covered.has(String(affair._id))) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        const generated = await generator.generate(affair, {
+          entityPool,
+          maxQuestions: this.maxQuestionsPerArticle,
+        });
+        for (const question of (generated || []).slice(0, this.maxQuestionsPerArticle)) {
+          drafts.push({
+            text: question.text,
+            type: 'single',
+            options: question.options.map(text => ({ text })),
+            correctIndex: question.correctIndex,
+            explanation: question.explanation || '',
+            difficulty: question.difficulty || 'medium',
+            tags: question.tags || ['current-affairs'],
+            questionPaper: questionPaper._id,
+            subject: subject._id,
+            exam: exam._id,
+            createdBy,
+            status: 'draft',
+            currentAffair: affair._id,
+            currentAffairDate: date,
+            generator: generator.name,
+          });
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Question generation failed for "${affair.title?.substring(0, 50)}":`, error.message);
+      }
+    }
+
+    const saved = drafts.length > 0
+      ? await Question.insertMany(drafts.slice(0, this.maxQuestionsPerDay))
+      : [];
+
+    console.log(`✅ Generated ${saved.length} draft questions for ${date} (${skipped} articles already covered, ${failed} failed)`);
+
+    return {
+      success: true,
+      date,
+      generator: generator.name,
+      questionPaper: { _id: questionPaper._id, name: questionPaper.name },
+      articles: affairs.length,
+      generated: saved.length,
+      skipped,
+      failed,
+    };
+  }
+
+  /**
+   * Generated questions waiting for review
+   * @param {object} filters
+   * @param {string} filters.date - Only questions from articles of this date
+   * @param {number} filters.skip
+   * @param {number} filters.limit
+   * @returns {Promise<{ questions: object[], total: number }>}
+   */
+  async getReviewQueue({ date, skip = 0, limit = 20 } = {}) {
+    const query = { status: 'draft', currentAffair: { $ne: null } };
+    if (date) query.currentAffairDate = date;
+
+    const [questions, total] = await Promise.all([
+      Question.find(query)
+        .select('_id text options correctIndex explanation difficulty tags currentAffair currentAffairDate generator questionPaper createdAt')
+        .populate('currentAffair', 'title source url date')
+        .sort({ currentAffairDate: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Question.countDocuments(query),
+    ]);
+
+    return { questions, total };
+  }
+
+  /**
+   * Approve (publish) or reject (delete) generated draft questions
+   * Edits to a draft go through the regular question update endpoint before approval
+   * @param {string[]} questionIds
+   * @param {'approve'|'reject'} action
+   * @returns {Promise<{ updated: number }>}
+   */
+  async reviewQuestions(questionIds, action) {
+    const query = { _id: { $in: questionIds }, status: 'draft', currentAffair: { $ne: null } };
+
+    let updated;
+    if (action === 'approve') {
+      const result = await Question.updateMany(query, { $set: { status: 'published' } });
+      updated = result.modifiedCount;
+    } else {
+      const result = await Question.deleteMany(query);
+      updated = result.deletedCount;
+    }
+
+    if (action === 'approve' && updated > 0) {
+      const exam = await this.findExam();
+      if (exam) {
+        const totalQuestions = await Question.countDocuments({ exam: exam._id, status: 'published' });
+        await Exam.updateOne({ _id: exam._id }, { $set: { totalQuestions } });
+      }
+    }
+
+    return { updated };
+  }
+
+  /**
+   * The Current Affairs exam (null until questions have been generated once)
+   * @returns {Promise<object|null>}
+   */
+  async findExam() {
+    return Exam.findOne({ slug: CONTAINER_SLUG })
+      .select('_id title name board duration markingScheme')
+      .populate('board', 'name')
+      .lean();
+  }
+
+  /**
+   * Published question IDs from articles in a date range, sampled when there are more than needed
+   * @param {string} from - YYYY-MM-DD (inclusive)
+   * @param {string} to - YYYY-MM-DD (inclusive)
+   * @param {number} count - Max questions
+   * @returns {Promise<string[]>}
+   */
+  async getQuestionIdsForRange(from, to, count) {
+    const sampled = await Question.aggregate([
+      { $match: { currentAffairDate: { $gte: from, $lte: to }, status: 'published' } },
+      { $sample: { size: count } },
+      { $project: { _id: 1 } },
+    ]);
+    return sampled.map(q => q._id.toString());
+  }
+}
+
+// Export singleton instance
+export default new CurrentAffairsQuizService();
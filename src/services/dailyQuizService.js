@@ -0,0 +1,259 @@
+/**
+ * Daily Quiz Service
+ * Selects a 10-question quiz per exam each day (no repeats within a rolling window),
+ * tracks per-user streaks and ranks the day's attempts
+ */
+
+import mongoose from 'mongoose';
+import DailyQuiz from '../models/DailyQuiz.js';
+import Exam from '../models/Exam.js';
+import Question from '../models/Question.js';
+import TestAttempt from '../models/TestAttempt.js';
+import User from '../models/User.js';
+
+const { ObjectId } = mongoose.Types;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shift a YYYY-MM-DD date by whole days
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString()
+  .split('T')[0];
+
+class DailyQuizService {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+    this.quizSize = 10;
+    // Questions used in an exam's quizzes within this many days are not picked again
+    this.noRepeatDays = 30;
+    this.leaderboardLimit = 10;
+    // One minute per question - the timer keeps the leaderboard fair
+    this.durationMinutes = 10;
+  }
+
+  /**
+   * Today's date (YYYY-MM-DD) in IST - quizzes roll over at IST midnight
+   * @returns {string}
+   */
+  getToday() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: this.timezone });
+  }
+
+  /**
+   * Get the quiz of an exam for a date, selecting it if it does not exist yet
+   * @param {string|ObjectId} examId - Exam ID
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<object|null>} - Lean DailyQuiz, null if the exam has no published questions
+   */
+  async getOrCreateQuiz(examId, date = this.getToday()) {
+    const existing = await DailyQuiz.findOne({ exam: examId, date }).lean();
+    if (existing) return existing;
+
+    const exam = new ObjectId(String(examId));
+
+    // Questions of recent quizzes are avoided, but reused if the bank is too small
+    const recentQuizzes = await DailyQuiz.find({
+      exam,
+      date: { $gte: addDays(date, -this.noRepeatDays), $lt: date },
+    })
+      .select('questions')
+      .lean();
+    const recent = recentQuizzes.flatMap(quiz => quiz.questions);
+
+    const sample = async (exclude, size) => {
+      if (size <= 0) return [];
+      const sampled = await Question.aggregate([
+        { $match: { exam, status: 'published', _id: { $nin: exclude } } },
+        { $sample: { size } },
+        { $project: { _id: 1 } },
+      ]);
+      return sampled.map(q => q._id);
+    };
+
+    const fresh = await sample(recent, this.quizSize);
+    const repeats = await sample(fresh, this.quizSize - fresh.length);
+    const questions = [...fresh, ...repeats];
+    if (questions.length === 0) {
+      return null;
+    }
+
+    try {
+      const quiz = await DailyQuiz.create({ exam, date, questions });
+      return quiz.toObject();
+    } catch (error) {
+      // Created concurrently (scheduler and a request) - everyone gets the stored one
+      if (error.code === 11000) {
+        return DailyQuiz.findOne({ exam, date }).lean();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the quiz of a date - today's is selected on demand, past ones are only looked up
+   * @param {string|ObjectId} examId - Exam ID
+   * @param {string} date - YYYY-MM-DD (defaults to today)
+   * @returns {Promise<object|null>}
+   */
+  async findQuiz(examId, date) {
+    const today = this.getToday();
+    if (!date || date === today) {
+      return this.getOrCreateQuiz(examId, today);
+    }
+    if (date > today) return null;
+    return DailyQuiz.findOne({ exam: examId, date }).lean();
+  }
+
+  /**
+   * Select today's quiz for every exam with published questions
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<{ created: number, skipped: number, failed: number }>}
+   */
+  async generateAll(date = this.getToday()) {
+    const examIds = await Question.distinct('exam', { status: 'published' });
+    const exams = await Exam.find({ _id: { $in: examIds } }).select('_id').lean();
+
+    let created = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const exam of exams) {
+      try {
+        const quiz = await this.getOrCreateQuiz(exam._id, date);
+        if (quiz) created++;
+        else skipped++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Daily quiz generation failed for exam ${exam._id}:`, error.message);
+      }
+    }
+
+    return { created, skipped, failed };
+  }
+
+  /**
+   * Update the user's streak after a daily quiz is submitted
+   * Only the first submission of the day counts; missing a day restarts the streak
+   * @param {object} attempt - Submitted daily quiz attempt (userId, dailyQuizDate)
+   * @returns {Promise<object|null>} - Updated streak
+   */
+  async recordSubmission(attempt) {
+    if (!attempt.userId || !attempt.dailyQuizDate) return null;
+
+    const date = attempt.dailyQuizDate;
+    const user = await User.findById(attempt.userId).select('dailyQuizStreak');
+    if (!user) return null;
+
+    const streak = user.dailyQuizStreak || {};
+    if (streak.lastDate && streak.lastDate >= date) {
+      return streak;
+    }
+
+    const current = streak.lastDate === addDays(date, -1) ? (streak.current || 0) + 1 : 1;
+    const updated = {
+      current,
+      longest: Math.max(streak.longest || 0, current),
+      lastDate: date,
+    };
+
+    // Guard on lastDate so two quizzes (different exams) submitted together count once
+    await User.updateOne(
+      { _id: attempt.userId, 'dailyQuizStreak.lastDate': streak.lastDate ?? null },
+      { $set: { dailyQuizStreak: updated } }
+    );
+    return updated;
+  }
+
+  /**
+   * Current streak of a user - 0 once a day has been missed
+   * @param {object} user - User document with dailyQuizStreak
+   * @returns {{ current: number, longest: number, lastDate: string|null }}
+   */
+  getStreak(user) {
+    const streak = user?.dailyQuizStreak || {};
+    const today = this.getToday();
+    const alive = streak.lastDate === today || streak.lastDate === addDays(today, -1);
+    return {
+      current: alive ? streak.current || 0 : 0,
+      longest: streak.longest || 0,
+      lastDate: streak.lastDate || null,
+    };
+  }
+
+  /**
+   * Leaderboard of a daily quiz - higher score first, faster completion breaks ties
+   * @param {object} quiz - Lean DailyQuiz
+   * @param {object} options
+   * @param {number} options.limit - Number of top entries
+   * @param {string|ObjectId|null} options.userId - Logged-in user
+   * @returns {Promise<object>}
+   */
+  async getLeaderboard(quiz, { limit = this.leaderboardLimit, userId = null } = {}) {
+    // Only attempts taken while logged in - claimed anonymous attempts could be the best of several tries
+    const match = { dailyQuiz: quiz._id, submitted: true, userId: { $ne: null }, claimedAt: null };
+    const ranking = [
+      { $match: match },
+      { $addFields: { timeTakenMs: { $subtract: ['$submittedAt', '$startedAt'] } } },
+      { $sort: { score: -1, timeTakenMs: 1, submittedAt: 1 } },
+    ];
+
+    const [top, total] = await Promise.all([
+      TestAttempt.aggregate([
+        ...ranking,
+        { $limit: Math.min(Number(limit) || this.leaderboardLimit, 100) },
+        { $project: { userId: 1, score: 1, correct: 1, total: 1, timeTakenMs: 1 } },
+      ]),
+      TestAttempt.countDocuments(match),
+    ]);
+    const users = await User.find({ _id: { $in: top.map(entry => entry.userId) } }).select('_id name').lean();
+    const names = new Map(users.map(user => [user._id.toString(), user.name]));
+
+    let me = null;
+    if (userId) {
+      const own = await TestAttempt.findOne({ ...match, userId })
+        .select('testId score correct total startedAt submittedAt')
+        .lean();
+      if (own) {
+        const timeTakenMs = new Date(own.submittedAt) - new Date(own.startedAt);
+        const ahead = await TestAttempt.countDocuments({
+          ...match,
+          // Same order as the top list: score, then time taken, then who submitted first
+          $or: [
+            { score: { $gt: own.score } },
+            { score: own.score, $expr: { $lt: [{ $subtract: ['$submittedAt', '$startedAt'] }, timeTakenMs] } },
+            {
+              score: own.score,
+              submittedAt: { $lt: own.submittedAt },
+              $expr: { $eq: [{ $subtract: ['$submittedAt', '$startedAt'] }, timeTakenMs] },
+            },
+          ],
+        });
+        me = {
+          testId: own.testId,
+          rank: ahead + 1,
+          score: own.score,
+          correct: own.correct,
+          total: own.total,
+          timeTakenSeconds: Math.round(timeTakenMs / 1000),
+        };
+      }
+    }
+
+    return {
+      date: quiz.date,
+      totalParticipants: total,
+      top: top.map((entry, idx) => ({
+        rank: idx + 1,
+        name: names.get(entry.userId.toString()) || 'Anonymous',
+        isMe: !!userId && String(entry.userId) === String(userId),
+        score: entry.score,
+        correct: entry.correct,
+        total: entry.total,
+        timeTakenSeconds: Math.round(entry.timeTakenMs / 1000),
+      })),
+      me,
+    };
+  }
+}
+
+// Export singleton instance
+export default new DailyQuizService();
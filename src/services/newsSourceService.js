@@ -0,0 +1,104 @@
+/**
+ * News Source Service
+ * Resolves which current affairs sources are used (built-in config merged with
+ * admin overrides from the NewsSource collection) and builds their adapters
+ */
+
+import NewsSource from '../models/NewsSource.js';
+import { DEFAULT_NEWS_SOURCES } from '../config/newsSources.js';
+import { SOURCE_TYPES, createAdapter } from './newsSources/index.js';
+import { mergeWithOverrides } from '../utils/configOverrides.js';
+import { createHttpError } from '../utils/httpError.js';
+
+const CONFIG_FIELDS = ['type', 'name', 'enabled', 'priority', 'onlyIfNeeded', 'queries', 'url', 'maxArticles', 'requestsPerDay', 'options'];
+
+class NewsSourceService {
+  /**
+   * All sources, built-in ones first overridden by the database, sorted by priority
+   * @param {object} options
+   * @param {boolean} options.includeDisabled - Also return disabled sources
+   * @returns {Promise<object[]>}
+   */
+  async getSources({ includeDisabled = false } = {}) {
+    const overrides = await NewsSource.find().lean();
+    const sources = mergeWithOverrides(DEFAULT_NEWS_SOURCES, overrides, CONFIG_FIELDS, { enabled: true, priority: 100 });
+
+    return sources
+      .filter(source => includeDisabled || source.enabled)
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Enabled sources with their adapters, in fetch order
+   * Sources with an unknown type are skipped (and logged)
+   * @returns {Promise<Array<{ source: object, adapter: object }>>}
+   */
+  async getAdapters() {
+    const sources = await this.getSources();
+    const adapters = [];
+    for (const source of sources) {
+      try {
+        adapters.push({ source, adapter: createAdapter(source) });
+      } catch (error) {
+        console.error(`❌ News source "${source.key}" skipped:`, error.message);
+      }
+    }
+    return adapters;
+  }
+
+  /**
+   * Create or update the override of a source
+   * New keys must name a known adapter type (and a url for RSS feeds)
+   * @param {string} key - Source key
+   * @param {object} updates - Subset of CONFIG_FIELDS
+   * @param {string|ObjectId} updatedBy - Admin user ID
+   * @returns {Promise<object>} - The merged source
+   */
+  async updateSource(key, updates, updatedBy) {
+    const existing = (await this.getSources({ includeDisabled: true })).find(source => source.key === key);
+    const type = updates.type ?? existing?.type;
+
+    if (!SOURCE_TYPES.includes(type)) {
+      throw createHttpError(400, `type must be one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (type === 'rss' && !(updates.url ?? existing?.url)) {
+      throw createHttpError(400, 'RSS sources need a url');
+    }
+
+    const $set = { updatedBy, updatedAt: new Date() };
+    for (const field of CONFIG_FIELDS) {
+      if (updates[field] !== undefined) $set[field] = updates[field];
+    }
+
+    await NewsSource.updateOne({ key }, { $set }, { upsert: true, runValidators: true });
+
+    return (await this.getSources({ includeDisabled: true })).find(source => source.key === key);
+  }
+
+  /**
+   * Remove the override of a source - built-in sources return to their defaults,
+   * sources added by admins are removed
+   * @param {string} key - Source key
+   * @returns {Promise<boolean>} - False if there was no override
+   */
+  async resetSource(key) {
+    const result = await NewsSource.deleteOne({ key });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Quota info of a source's provider
+   * @param {object} source - Merged source
+   * @returns {object|null}
+   */
+  getQuota(source) {
+    try {
+      return createAdapter(source).getQuota();
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new NewsSourceService();
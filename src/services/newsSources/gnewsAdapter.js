@@ -0,0 +1,137 @@
+import NewsSourceAdapter from './newsSourceAdapter.js';
+
+const GNEWS_API = 'https://gnews.io/api/v4';
+
+// GNews free plan: 100 requests/day, max 10 articles per request, 30 days of history
+class GNewsAdapter extends NewsSourceAdapter {
+  constructor(source) {
+    super(source);
+    this.apiKey = process.env.GNEWS_API_KEY || 'bbdd4efe454156c482e5e9142e2d6ab2';
+    this.country = this.options.country || 'in';
+    this.lang = this.options.lang || 'en';
+    this.max = this.options.max || 10;
+    this.historyDays = this.options.historyDays || 30;
+  }
+
+  getHistoryDays() {
+    return this.historyDays;
+  }
+
+  // from/to query parameters restricting results to the target date (none for the latest news)
+  getDateParams(targetDate) {
+    if (!targetDate) return '';
+    const { from, to } = this.getDayWindow(targetDate);
+    return `&from=${from}&to=${to}`;
+  }
+
+  // Top headlines and search share the API key, and so the daily quota
+  getProvider() {
+    return 'gnews';
+  }
+
+  getQuota() {
+    return {
+      requestsPerDay: this.source.requestsPerDay ?? 100,
+      articlesPerRequest: this.max,
+    };
+  }
+
+  logError(error) {
+    if (error.response?.status === 403) {
+      console.log(`   ❌ ${this.name}: API key invalid or quota exceeded`);
+    } else if (error.response?.status === 429) {
+      console.log(`   ❌ ${this.name}: rate limit exceeded`);
+    }
+  }
+
+  normalize(article) {
+    // source is an object with {name, url} or just a string
+    const sourceName = typeof article.source === 'object'
+      ? article.source?.name || 'GNews'
+      : article.source || 'GNews';
+
+    return {
+      title: article.title || '',
+      description: article.description || '',
+      content: article.content || article.description || '',
+      source: sourceName,
+      url: article.url || '',
+      urlToImage: article.image || '',
+      publishedAt: article.publishedAt || new Date().toISOString(),
+      author: '',
+      sourceUrl: typeof article.source === 'object' ? article.source?.url || '' : '',
+      sourceId: this.key,
+    };
+  }
+
+  // GNews needs a description - NewsAPI-style content-only articles are dropped
+  isValid(article) {
+    return super.isValid(article) && !!article.description;
+  }
+}
+
+// Top headlines - the most important stories of the day
+export class GNewsTopHeadlinesAdapter extends GNewsAdapter {
+  async fetchRaw(targetDate) {
+    if (!this.apiKey) {
+      return { items: [], requests: 0, rateLimited: false };
+    }
+
+    const category = this.options.category || 'general';
+    const url = `${GNEWS_API}/top-headlines?category=${category}&country=${this.country}&lang=${this.lang}&max=${this.max}${this.getDateParams(targetDate)}&apikey=${this.apiKey}`;
+
+    try {
+      const response = await this.get(url);
+      return { items: response.data?.articles || [], requests: 1, rateLimited: false };
+    } catch (error) {
+      this.logError(error);
+      if (error.response?.status === 429) {
+        return { items: [], requests: 1, rateLimited: true };
+      }
+      throw error;
+    }
+  }
+}
+
+// Search - one request per configured query (exam-relevant topics)
+export class GNewsSearchAdapter extends GNewsAdapter {
+  estimateRequests() {
+    return (this.source.queries || []).length;
+  }
+
+  async fetchRaw(targetDate) {
+    if (!this.apiKey) {
+      console.log('⚠️ GNews API key not configured - skipping');
+      return { items: [], requests: 0, rateLimited: false };
+    }
+
+    const queries = this.source.queries || [];
+    // Pause between queries to stay under the provider's rate limit
+    const delayMs = this.options.delayMs ?? 600;
+    const items = [];
+    let requests = 0;
+    let rateLimited = false;
+
+    for (const query of queries) {
+      try {
+        const url = `${GNEWS_API}/search?q=${encodeURIComponent(query)}&lang=${this.lang}&country=${this.country}&max=${this.max}${this.getDateParams(targetDate)}&apikey=${this.apiKey}`;
+        requests++;
+        const response = await this.get(url);
+        const articles = response.data?.articles || [];
+        items.push(...articles);
+        console.log(`   📰 ${this.name} "${query}": ${articles.length} articles`);
+
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      } catch (error) {
+        console.log(`   ⚠️ ${this.name} query "${query}" failed: ${error.message}`);
+        this.logError(error);
+        if (error.response?.status === 429) {
+          rateLimited = true;
+          break; // Stop if rate limited
+        }
+      }
+    }
+
+    return { items, requests, rateLimited };
+  }
+}
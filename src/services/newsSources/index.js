@@ -0,0 +1,26 @@
+import NewsApiAdapter from './newsApiAdapter.js';
+import { GNewsSearchAdapter, GNewsTopHeadlinesAdapter } from './gnewsAdapter.js';
+import RssAdapter from './rssAdapter.js';
+
+// Adapter class per NewsSource `type`
+export const SOURCE_ADAPTERS = {
+  newsapi: NewsApiAdapter,
+  'gnews-top': GNewsTopHeadlinesAdapter,
+  'gnews-search': GNewsSearchAdapter,
+  rss: RssAdapter,
+};
+
+export const SOURCE_TYPES = Object.keys(SOURCE_ADAPTERS);
+
+/**
+ * Instantiate the adapter for a source config
+ * @param {object} source - Merged NewsSource config
+ * @returns {import('./newsSourceAdapter.js').default}
+ */
+export const createAdapter = (source) => {
+  const Adapter = SOURCE_ADAPTERS[source.type];
+  if (!Adapter) {
+    throw new Error(`Unknown news source type: ${source.type}`);
+  }
+  return new Adapter(source);
+};
@@ -0,0 +1,106 @@
+import NewsSourceAdapter from './newsSourceAdapter.js';
+
+// NewsAPI /v2/everything - free plan only covers the last 30 days
+export default class NewsApiAdapter extends NewsSourceAdapter {
+  constructor(source) {
+    super(source);
+    this.apiKey = process.env.NEWS_API_KEY || 'e790c2966d0c4792ba555f4067251cbb';
+    this.historyDays = this.options.historyDays || 30;
+  }
+
+  getProvider() {
+    return 'newsapi';
+  }
+
+  getHistoryDays() {
+    return this.historyDays;
+  }
+
+  getQuota() {
+    return {
+      requestsPerDay: this.source.requestsPerDay ?? 100,
+      articlesPerRequest: 100,
+    };
+  }
+
+  // Day to fetch: the target date, yesterday by default
+  // Dates beyond the plan's history window never get here (supportsDate)
+  resolveDate(targetDate) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const yesterday = new Date(today);
+    yesterday.setDate(today.getDate() - 1);
+
+    if (!targetDate) {
+      return yesterday.toISOString().split('T')[0];
+    }
+
+    const target = new Date(targetDate + 'T00:00:00');
+    if (target > today) {
+      const fromDate = yesterday.toISOString().split('T')[0];
+      console.log(`📅 Target date ${targetDate} is in future, using yesterday: ${fromDate}`);
+      return fromDate;
+    }
+    return targetDate;
+  }
+
+  async fetchRaw(targetDate) {
+    if (!this.apiKey) {
+      return { items: [], requests: 0, rateLimited: false };
+    }
+
+    const fromDate = this.resolveDate(targetDate);
+    // Query a two-day window, then keep only articles published on the target day
+    const toDateObj = new Date(fromDate + 'T00:00:00');
+    toDateObj.setDate(toDateObj.getDate() + 1);
+    const toDate = toDateObj.toISOString().split('T')[0];
+
+    const query = this.source.queries?.length > 0 ? this.source.queries.join(' OR ') : 'india';
+    const url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(query)}&from=${fromDate}&to=${toDate}&language=en&sortBy=publishedAt&apiKey=${this.apiKey}&pageSize=100`;
+
+    console.log(`📡 NewsAPI request for ${fromDate} to ${toDate}`);
+
+    try {
+      const response = await this.get(url);
+      const articles = response.data?.articles || [];
+      console.log(`📊 NewsAPI response: ${response.data?.totalResults || 0} total results, ${articles.length} articles in response`);
+
+      const dayStart = new Date(fromDate + 'T00:00:00');
+      const dayEnd = new Date(fromDate + 'T23:59:59');
+      const items = articles.filter(article => {
+        if (!article.publishedAt) return true;
+        const publishedDate = new Date(article.publishedAt);
+        return publishedDate >= dayStart && publishedDate <= dayEnd;
+      });
+
+      return { items, requests: 1, rateLimited: false };
+    } catch (error) {
+      if (this.isRateLimitError(error)) {
+        console.log('❌ NewsAPI rate limit exceeded. Please check your API key quota.');
+        return { items: [], requests: 1, rateLimited: true };
+      }
+      throw error;
+    }
+  }
+
+  normalize(article) {
+    // NewsAPI truncates content with a "[+123 chars]" marker
+    const content = article.content
+      ? article.content.replace(/\[\+\d+\s+chars\]$/, '').trim()
+      : '';
+
+    return {
+      title: article.title || '',
+      description: article.description || '',
+      content: content || article.description || '',
+      source: article.source?.name || this.name,
+      url: article.url || '',
+      urlToImage: article.urlToImage || '',
+      publishedAt: article.publishedAt || new Date().toISOString(),
+      author: article.author || '',
+      sourceUrl: article.source?.url || '',
+      sourceId: article.source?.id || '',
+    };
+  }
+}
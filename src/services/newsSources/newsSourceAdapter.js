@@ -0,0 +1,158 @@
+import axios from 'axios';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// News dates are Indian calendar days
+const TIMEZONE = 'Asia/Kolkata';
+const TIMEZONE_OFFSET = '+05:30';
+
+/**
+ * Base class for current affairs source adapters
+ * An adapter fetches raw items from one provider (fetchRaw) and maps each of them
+ * to the CurrentAffair shape (normalize). Validation, per-source de-duplication and
+ * the article cap are shared here.
+ *
+ * `source` is the merged NewsSource config: { key, type, name, queries, url, maxArticles, requestsPerDay, options }
+ */
+export default class NewsSourceAdapter {
+  constructor(source) {
+    this.source = source;
+    this.key = source.key;
+    this.name = source.name || source.key;
+    this.options = source.options || {};
+  }
+
+  /**
+   * Provider whose daily quota this source uses - sources sharing an API key share a provider
+   * @returns {string}
+   */
+  getProvider() {
+    return this.key;
+  }
+
+  /**
+   * Requests one fetch is expected to make, checked against the provider's remaining quota
+   * @param {string|null} targetDate - YYYY-MM-DD (null = latest)
+   * @returns {number}
+   */
+  estimateRequests(targetDate) {
+    return 1;
+  }
+
+  /**
+   * Days back the provider can return articles for (null = no fixed limit - the source filters
+   * its items by publish date itself, e.g. RSS feeds)
+   * @returns {number|null}
+   */
+  getHistoryDays() {
+    return this.options.historyDays ?? null;
+  }
+
+  /**
+   * Whether the source can fetch articles published on a date
+   * Sources that cannot are skipped, so their latest articles are never stored under an older date
+   * @param {string|null} targetDate - YYYY-MM-DD (null = latest)
+   * @returns {boolean}
+   */
+  supportsDate(targetDate) {
+    const historyDays = this.getHistoryDays();
+    if (!targetDate || historyDays === null) return true;
+    const oldest = new Date(Date.now() - historyDays * DAY_MS).toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+    return targetDate >= oldest;
+  }
+
+  // Today's news date
+  getToday() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+  }
+
+  /**
+   * Start and end of a news date as UTC timestamps (YYYY-MM-DDThh:mm:ssZ)
+   * @param {string} targetDate - YYYY-MM-DD
+   * @returns {{ from: string, to: string }}
+   */
+  getDayWindow(targetDate) {
+    const start = new Date(`${targetDate}T00:00:00${TIMEZONE_OFFSET}`);
+    const end = new Date(start.getTime() + DAY_MS - 1000);
+    const format = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return { from: format(start), to: format(end) };
+  }
+
+  /**
+   * Provider limits shown to admins (null = unknown / unlimited)
+   * @returns {{ requestsPerDay: number|null, articlesPerRequest: number|null }}
+   */
+  getQuota() {
+    return {
+      requestsPerDay: this.source.requestsPerDay ?? null,
+      articlesPerRequest: null,
+    };
+  }
+
+  /**
+   * Fetch raw provider items
+   * @param {string|null} targetDate - YYYY-MM-DD (null = latest)
+   * @returns {Promise<{ items: object[], requests: number, rateLimited: boolean }>}
+   */
+  async fetchRaw(targetDate) {
+    throw new Error(`${this.constructor.name} must implement fetchRaw()`);
+  }
+
+  /**
+   * Map a raw provider item to CurrentAffair fields (null to drop it)
+   * @param {object} item
+   * @returns {object|null}
+   */
+  normalize(item) {
+    throw new Error(`${this.constructor.name} must implement normalize()`);
+  }
+
+  // Drop empty, too short and removed articles
+  isValid(article) {
+    if (!article?.title || article.title.length <= 10) return false;
+    if (!article.description && !article.content) return false;
+    return ![article.title, article.description, article.content]
+      .some(text => text?.toLowerCase().includes('[removed]'));
+  }
+
+  /**
+   * Fetch and normalise articles
+   * @param {string|null} targetDate - YYYY-MM-DD (null = latest)
+   * @returns {Promise<{ articles: object[], requests: number, rateLimited: boolean }>}
+   */
+  async fetchArticles(targetDate = null) {
+    const { items, requests, rateLimited } = await this.fetchRaw(targetDate);
+
+    const seenTitles = new Set();
+    const articles = items
+      .map(item => this.normalize(item))
+      .filter(article => {
+        if (!this.isValid(article)) return false;
+        const normalizedTitle = article.title.toLowerCase().trim();
+        if (seenTitles.has(normalizedTitle)) return false;
+        seenTitles.add(normalizedTitle);
+        return true;
+      });
+
+    return {
+      articles: this.source.maxArticles ? articles.slice(0, this.source.maxArticles) : articles,
+      requests,
+      rateLimited,
+    };
+  }
+
+  // GET with the shared user agent and timeout
+  async get(url, timeout = 15000) {
+    return axios.get(url, {
+      timeout,
+      headers: { 'User-Agent': USER_AGENT },
+    });
+  }
+
+  // Whether an axios error means the provider quota/rate limit is used up
+  isRateLimitError(error) {
+    return error.response?.status === 429 || /rate|limit/i.test(error.message || '');
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Provider Usage Service
+ * Tracks requests made to each news provider per day (ProviderUsage collection), so sources
+ * whose provider would go over its daily quota are skipped before they are called, and
+ * enforces a global daily budget for scrapes triggered by public auto-fetch
+ */
+
+import ProviderUsage from '../models/ProviderUsage.js';
+import newsSourceService from './newsSourceService.js';
+import { createAdapter } from './newsSources/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AUTO_FETCH_KEY = 'autoFetch';
+
+class ProviderUsageService {
+  constructor() {
+    // Scrapes public visitors may trigger per day (autoFetch=true), across all dates
+    this.autoFetchPerDay = parseInt(process.env.CURRENT_AFFAIRS_AUTOFETCH_PER_DAY) || 5;
+    // Dates being auto-fetched right now - concurrent visitors wait for the data instead
+    this.autoFetchInFlight = new Set();
+    this.maxHistoryDays = 90;
+  }
+
+  // Quota day (UTC) of a moment
+  getDay(date = new Date()) {
+    return date.toISOString().split('T')[0];
+  }
+
+  // Start of the next quota day (00:00 UTC), when provider quotas and the auto-fetch budget reset
+  getNextQuotaDayStart(date = new Date()) {
+    return new Date(new Date(`${this.getDay(date)}T00:00:00Z`).getTime() + DAY_MS);
+  }
+
+  /**
+   * Whether a source may be fetched without going over its provider's daily quota
+   * @param {import('./newsSources/newsSourceAdapter.js').default} adapter
+   * @param {string|null} targetDate - YYYY-MM-DD (null = latest)
+   * @returns {Promise<{ allowed: boolean, reason: string, used: number, limit: number|null, estimate: number }>}
+   */
+  async checkQuota(adapter, targetDate) {
+    const provider = adapter.getProvider();
+    const limit = adapter.getQuota().requestsPerDay;
+    const estimate = adapter.estimateRequests(targetDate);
+    const usage = await ProviderUsage.findOne({ provider, day: this.getDay() }).lean();
+    const used = usage?.requests || 0;
+
+    if (usage?.rateLimitedAt) {
+      return { allowed: false, reason: `${provider} rate limited today`, used, limit, estimate };
+    }
+    if (limit !== null && used + estimate > limit) {
+      return { allowed: false, reason: `${provider} quota would be exceeded (${used} + ${estimate} of ${limit} requests)`, used, limit, estimate };
+    }
+    return { allowed: true, reason: '', used, limit, estimate };
+  }
+
+  /**
+   * Add the requests of a fetch to today's usage of its provider
+   * Usage tracking failures are logged and never fail the scrape
+   * @param {import('./newsSources/newsSourceAdapter.js').default} adapter
+   * @param {{ requests: number, articles: number, rateLimited: boolean }} usage
+   */
+  async recordUsage(adapter, { requests = 0, articles = 0, rateLimited = false }) {
+    const now = new Date();
+    const $set = { lastUsedAt: now };
+    if (rateLimited) $set.rateLimitedAt = now;
+
+    try {
+      await ProviderUsage.updateOne(
+        { provider: adapter.getProvider(), day: this.getDay(now) },
+        { $inc: { requests, articles }, $set },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(`⚠️ Could not record usage of ${adapter.getProvider()}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim one public auto-fetch of a date from today's global budget
+   * Call releaseAutoFetch(date) once the scrape has finished
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<{ allowed: boolean, reason: string }>}
+   */
+  async reserveAutoFetch(date) {
+    if (this.autoFetchInFlight.has(date)) {
+      return { allowed: false, reason: 'Auto-fetch for this date is already in progress' };
+    }
+    this.autoFetchInFlight.add(date);
+
+    try {
+      // The filter only matches below the budget; at the budget the upsert hits the unique index
+      await ProviderUsage.updateOne(
+        { provider: AUTO_FETCH_KEY, day: this.getDay(), requests: { $lt: this.autoFetchPerDay } },
+        { $inc: { requests: 1 }, $set: { lastUsedAt: new Date() } },
+        { upsert: true }
+      );
+      return { allowed: true, reason: '' };
+    } catch (error) {
+      this.autoFetchInFlight.delete(date);
+      if (error.code === 11000) {
+        return { allowed: false, reason: 'Daily auto-fetch budget used up' };
+      }
+      throw error;
+    }
+  }
+
+  releaseAutoFetch(date) {
+    this.autoFetchInFlight.delete(date);
+  }
+
+  /**
+   * Daily usage per provider for admins: today's requests against the quota and recent history
+   * @param {object} options
+   * @param {number} options.days - History length
+   * @returns {Promise<{ day: string, providers: object[], autoFetch: object }>}
+   */
+  async getUsageReport({ days = 7 } = {}) {
+    const historyDays = Math.min(Math.max(days, 1), this.maxHistoryDays);
+    const today = this.getDay();
+    const since = this.getDay(new Date(Date.now() - (historyDays - 1) * DAY_MS));
+
+    const [sources, rows] = await Promise.all([
+      newsSourceService.getSources({ includeDisabled: true }),
+      ProviderUsage.find({ day: { $gte: since } }).sort({ day: -1 }).lean(),
+    ]);
+
+    // Providers of configured sources, with the strictest quota of the sources sharing them
+    const providers = new Map();
+    for (const source of sources) {
+      let adapter;
+      try {
+        adapter = createAdapter(source);
+      } catch {
+        continue;
+      }
+      const provider = adapter.getProvider();
+      const entry = providers.get(provider) || { provider, sources: [], limit: null };
+      const { requestsPerDay } = adapter.getQuota();
+      entry.sources.push({ key: source.key, enabled: source.enabled, requestsPerRun: adapter.estimateRequests(null) });
+      if (requestsPerDay !== null) {
+        entry.limit = entry.limit === null ? requestsPerDay : Math.min(entry.limit, requestsPerDay);
+      }
+      providers.set(provider, entry);
+    }
+
+    const history = (provider) => rows
+      .filter(row => row.provider === provider)
+      .map(({ day, requests, articles, rateLimitedAt }) => ({ day, requests, articles, rateLimited: !!rateLimitedAt }));
+
+    const autoFetchToday = rows.find(row => row.provider === AUTO_FETCH_KEY && row.day === today);
+
+    return {
+      day: today,
+      providers: [...providers.values()].map(entry => {
+        const todayUsage = rows.find(row => row.provider === entry.provider && row.day === today);
+        const used = todayUsage?.requests || 0;
+        return {
+          ...entry,
+          today: {
+            requests: used,
+            articles: todayUsage?.articles || 0,
+            remaining: entry.limit === null ? null : Math.max(entry.limit - used, 0),
+            rateLimited: !!todayUsage?.rateLimitedAt,
+            lastUsedAt: todayUsage?.lastUsedAt || null,
+          },
+          history: history(entry.provider),
+        };
+      }),
+      autoFetch: {
+        budget: this.autoFetchPerDay,
+        used: autoFetchToday?.requests || 0,
+        remaining: Math.max(this.autoFetchPerDay - (autoFetchToday?.requests || 0), 0),
+        history: history(AUTO_FETCH_KEY).map(({ day, requests }) => ({ day, scrapes: requests })),
+      },
+    };
+  }
+}
+
+// Export singleton instance
+export default new ProviderUsageService();
@@ -0,0 +1,147 @@
+/**
+ * Ranking Service
+ * Rank and percentile of attempts among all first attempts on the same question paper
+ *
+ * Only a user's first full, logged-in attempt of a paper is ranked (retakes would inflate scores).
+ * Ranked scores are added to a per-paper histogram (ScoreDistribution) at submission time,
+ * so standings never have to count attempts. Ranked attempts cannot be deleted, so their entries stay.
+ */
+
+import mongoose from 'mongoose';
+import ScoreDistribution from '../models/ScoreDistribution.js';
+import TestAttempt from '../models/TestAttempt.js';
+
+const { ObjectId } = mongoose.Types;
+
+// 0.1% resolution - finer than scores are displayed
+const bucketOf = (score) => Math.round((Number(score) || 0) * 10);
+
+class RankingService {
+  constructor() {
+    this.leaderboardLimit = 10;
+    this.maxLeaderboardLimit = 100;
+  }
+
+  /**
+   * Rank a freshly submitted attempt if it is the user's first ranked attempt on the paper
+   * The unique { userId, questionPaperId } index on ranked attempts settles concurrent submissions
+   * @param {object} attempt - Submitted attempt (_id, userId, questionPaperId, rankEligible, score)
+   * @returns {Promise<boolean>} - Whether the attempt was ranked
+   */
+  async recordAttempt(attempt) {
+    if (!attempt.rankEligible || !attempt.userId || !attempt.questionPaperId) {
+      return false;
+    }
+
+    try {
+      const result = await TestAttempt.updateOne(
+        { _id: attempt._id, ranked: { $ne: true } },
+        { $set: { ranked: true } }
+      );
+      if (result.modifiedCount === 0) return false;
+    } catch (error) {
+      if (error.code === 11000) return false; // Not the user's first attempt on this paper
+      throw error;
+    }
+
+    await ScoreDistribution.updateOne(
+      { questionPaper: attempt.questionPaperId },
+      {
+        $inc: { [`counts.${bucketOf(attempt.score)}`]: 1, total: 1 },
+        $set: { updatedAt: new Date() },
+      },
+      { upsert: true }
+    );
+    return true;
+  }
+
+  /**
+   * Where a score stands among the ranked attempts of a paper
+   * Rank = 1 + attempts with a higher score; percentile = share of attempts scoring the same or lower
+   * @param {string|ObjectId} questionPaperId - Question paper ID
+   * @param {number} score - Score percentage
+   * @returns {Promise<{ rank: number, percentile: number, totalRanked: number }|null>} - null when nobody is ranked yet
+   */
+  async getStanding(questionPaperId, score) {
+    const distribution = await ScoreDistribution.findOne({ questionPaper: questionPaperId }).lean();
+    if (!distribution || distribution.total === 0) {
+      return null;
+    }
+
+    const bucket = bucketOf(score);
+    let higher = 0;
+    Object.entries(distribution.counts || {}).forEach(([key, count]) => {
+      if (Number(key) > bucket) higher += count;
+    });
+
+    return {
+      rank: higher + 1,
+      percentile: Math.round(((distribution.total - higher) / distribution.total) * 10000) / 100,
+      totalRanked: distribution.total,
+    };
+  }
+
+  /**
+   * Paper leaderboard - top ranked attempts (ties share a rank) and optionally the user's own position
+   * @param {string|ObjectId} questionPaperId - Question paper ID
+   * @param {object} options
+   * @param {number} options.limit - Number of top entries
+   * @param {string|ObjectId|null} options.userId - Logged-in user
+   * @returns {Promise<object>}
+   */
+  async getLeaderboard(questionPaperId, { limit = this.leaderboardLimit, userId = null } = {}) {
+    const paperId = new ObjectId(String(questionPaperId));
+    const size = Math.min(Math.max(Number(limit) || this.leaderboardLimit, 1), this.maxLeaderboardLimit);
+
+    const [top, own] = await Promise.all([
+      TestAttempt.find({ questionPaperId: paperId, ranked: true })
+        .select('userId score marksObtained maxMarks submittedAt')
+        .sort({ score: -1, submittedAt: 1 })
+        .limit(size)
+        .populate('userId', 'name')
+        .lean(),
+      userId
+        ? TestAttempt.findOne({ questionPaperId: paperId, ranked: true, userId })
+          .select('testId score marksObtained maxMarks submittedAt')
+          .lean()
+        : null,
+    ]);
+
+    let previousScore = null;
+    let previousRank = 0;
+    const entries = top.map((attempt, idx) => {
+      const rank = attempt.score === previousScore ? previousRank : idx + 1;
+      previousScore = attempt.score;
+      previousRank = rank;
+      return {
+        rank,
+        name: attempt.userId?.name || 'Anonymous',
+        isMe: !!userId && String(attempt.userId?._id) === String(userId),
+        score: attempt.score,
+        marksObtained: attempt.marksObtained,
+        maxMarks: attempt.maxMarks,
+        submittedAt: attempt.submittedAt,
+      };
+    });
+
+    const distribution = await ScoreDistribution.findOne({ questionPaper: paperId }).select('total').lean();
+    const me = own
+      ? {
+        testId: own.testId,
+        score: own.score,
+        marksObtained: own.marksObtained,
+        maxMarks: own.maxMarks,
+        ...(await this.getStanding(paperId, own.score)),
+      }
+      : null;
+
+    return {
+      totalRanked: distribution?.total || 0,
+      top: entries,
+      me,
+    };
+  }
+}
+
+// Export singleton instance
+export default new RankingService();
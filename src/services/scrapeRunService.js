@@ -0,0 +1,187 @@
+/**
+ * Scrape Run Service
+ * Persists a ScrapeRun record for every current affairs scrape (what triggered it,
+ * per-source results, quota exhaustion, errors, duration) and reports per-source health
+ */
+
+import ScrapeRun from '../models/ScrapeRun.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SCRAPE_TRIGGERS = ['cron', 'startup', 'admin', 'autoFetch', 'backfill'];
+
+class ScrapeRunService {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+    this.maxHealthDays = 180;
+  }
+
+  /**
+   * Run a scrape and record it
+   * Recording failures are logged and never fail the scrape itself
+   * @param {string} date - YYYY-MM-DD
+   * @param {object} options
+   * @param {string} options.trigger - One of SCRAPE_TRIGGERS
+   * @param {string|ObjectId} options.triggeredBy - Admin user ID (admin triggers)
+   * @param {boolean} options.force
+   * @param {() => Promise<object>} scrape - Resolves to the scrape result (with sources/counts)
+   * @returns {Promise<object>} - The scrape result plus runId
+   */
+  async track(date, { trigger, triggeredBy = null, force = false }, scrape) {
+    const startedAt = new Date();
+    let run = null;
+    try {
+      run = await ScrapeRun.create({ date, trigger, triggeredBy, force, startedAt });
+    } catch (error) {
+      console.error(`⚠️ Could not record scrape run for ${date}: ${error.message}`);
+    }
+
+    let result;
+    try {
+      result = await scrape();
+    } catch (error) {
+      await this.finish(run, startedAt, { status: 'failed', error: error.message });
+      throw error;
+    }
+
+    const status = result.message === 'Already exists' ? 'skipped' : result.success ? 'success' : 'failed';
+    await this.finish(run, startedAt, {
+      status,
+      message: result.message || '',
+      sources: result.sources || [],
+      quotaExhausted: (result.sources || []).some(source => source.rateLimited || source.skipReason === 'quota'),
+      counts: {
+        fetched: result.fetched || 0,
+        unique: result.unique || 0,
+        saved: status === 'success' ? result.count || 0 : 0,
+        duplicates: result.duplicates || 0,
+        merged: result.merged || 0,
+        errors: result.errors || 0,
+        totalInDb: result.totalInDb ?? result.count ?? 0,
+      },
+    });
+
+    return run ? { ...result, runId: run._id } : result;
+  }
+
+  // Close a run record (no-op when it could not be created)
+  async finish(run, startedAt, updates) {
+    if (!run) return;
+    const finishedAt = new Date();
+    try {
+      await ScrapeRun.updateOne({ _id: run._id }, {
+        $set: { ...updates, finishedAt, durationMs: finishedAt - startedAt },
+      });
+    } catch (error) {
+      console.error(`⚠️ Could not update scrape run ${run._id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scrape run history, newest first
+   * @param {object} filters
+   * @param {string} filters.date - Only runs for this news date
+   * @param {string} filters.trigger
+   * @param {string} filters.status
+   * @param {number} filters.skip
+   * @param {number} filters.limit
+   * @returns {Promise<{ runs: object[], total: number }>}
+   */
+  async getRuns({ date, trigger, status, skip = 0, limit = 10 } = {}) {
+    const query = {};
+    if (date) query.date = date;
+    if (trigger) query.trigger = trigger;
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      ScrapeRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('triggeredBy', 'name email')
+        .lean(),
+      ScrapeRun.countDocuments(query),
+    ]);
+
+    return { runs, total };
+  }
+
+  /**
+   * Per-source success rate over the last days, overall and per day
+   * A source attempt succeeds when it returns articles; skipped sources are not attempts
+   * @param {object} options
+   * @param {number} options.days
+   * @returns {Promise<{ days: number, since: Date, sources: object[] }>}
+   */
+  async getSourceHealth({ days = 30 } = {}) {
+    const windowDays = Math.min(Math.max(days, 1), this.maxHealthDays);
+    const since = new Date(Date.now() - windowDays * DAY_MS);
+
+    const rows = await ScrapeRun.aggregate([
+      { $match: { startedAt: { $gte: since }, status: { $ne: 'running' } } },
+      { $unwind: '$sources' },
+      { $match: { 'sources.status': { $ne: 'skipped' } } },
+      {
+        $group: {
+          _id: {
+            key: '$sources.key',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone: this.timezone } },
+          },
+          name: { $last: '$sources.name' },
+          attempts: { $sum: 1 },
+          successes: { $sum: { $cond: [{ $eq: ['$sources.status', 'ok'] }, 1, 0] } },
+          empty: { $sum: { $cond: [{ $eq: ['$sources.status', 'empty'] }, 1, 0] } },
+          errors: { $sum: { $cond: [{ $eq: ['$sources.status', 'error'] }, 1, 0] } },
+          rateLimited: { $sum: { $cond: ['$sources.rateLimited', 1, 0] } },
+          articles: { $sum: '$sources.articles' },
+          requests: { $sum: '$sources.requests' },
+          lastError: { $max: { $cond: [{ $eq: ['$sources.status', 'error'] }, { date: '$startedAt', message: '$sources.error' }, null] } },
+        },
+      },
+      { $sort: { '_id.day': 1 } },
+      {
+        $group: {
+          _id: '$_id.key',
+          name: { $last: '$name' },
+          attempts: { $sum: '$attempts' },
+          successes: { $sum: '$successes' },
+          empty: { $sum: '$empty' },
+          errors: { $sum: '$errors' },
+          rateLimited: { $sum: '$rateLimited' },
+          articles: { $sum: '$articles' },
+          requests: { $sum: '$requests' },
+          lastError: { $max: '$lastError' },
+          daily: {
+            $push: {
+              day: '$_id.day',
+              attempts: '$attempts',
+              successes: '$successes',
+              errors: '$errors',
+              rateLimited: '$rateLimited',
+              articles: '$articles',
+            },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+    return {
+      days: windowDays,
+      since,
+      sources: rows.map(({ _id, daily, ...totals }) => ({
+        key: _id,
+        ...totals,
+        successRate: rate(totals.successes, totals.attempts),
+        errorRate: rate(totals.errors, totals.attempts),
+        avgArticles: totals.attempts > 0 ? Math.round(totals.articles / totals.attempts) : 0,
+        daily: daily.map(day => ({ ...day, successRate: rate(day.successes, day.attempts) })),
+      })),
+    };
+  }
+}
+
+// Export singleton instance
+export default new ScrapeRunService();
@@ -0,0 +1,364 @@
+/**
+ * Student Analytics Service
+ * Aggregates a student's submitted test attempts into progress statistics
+ */
+
+import mongoose from 'mongoose';
+import TestAttempt from '../models/TestAttempt.js';
+
+const { ObjectId } = mongoose.Types;
+
+// $dateToString formats for trend buckets
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const accuracyOf = (correct, attempted) => (attempted > 0 ? round2((correct / attempted) * 100) : null);
+
+// Wilson score interval for a proportion - keeps small samples from being labelled weak/strong too eagerly
+const wilsonInterval = (correct, attempted, z) => {
+  if (attempted === 0) return { lower: 0, upper: 1 };
+  const p = correct / attempted;
+  const z2 = z * z;
+  const denominator = 1 + z2 / attempted;
+  const centre = p + z2 / (2 * attempted);
+  const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * attempted)) / attempted);
+  return {
+    lower: Math.max(0, (centre - margin) / denominator),
+    upper: Math.min(1, (centre + margin) / denominator),
+  };
+};
+
+class StudentAnalyticsService {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+    this.intervals = Object.keys(INTERVAL_FORMATS);
+    // Weak topic detection defaults
+    this.weakTopicDefaults = {
+      targetAccuracy: 60, // % accuracy a topic should reach
+      minAttempted: 5, // Answered questions needed before judging a topic
+      confidenceZ: 1.645, // 90% two-sided confidence
+      recommendationLimit: 5,
+    };
+  }
+
+  /**
+   * Build the TestAttempt filter for a user's attempts
+   * @param {string|ObjectId} userId - User ID
+   * @param {object} filters - { examId, subjectId, questionPaperId, from, to, submitted }
+   * @returns {object} - Mongo filter (ObjectIds cast so it also works in aggregations)
+   */
+  buildAttemptFilter(userId, { examId, subjectId, questionPaperId, from, to, submitted = true } = {}) {
+    const filter = { userId: new ObjectId(String(userId)) };
+    if (submitted !== null && submitted !== undefined) filter.submitted = submitted;
+    if (examId) filter.examId = new ObjectId(String(examId));
+    if (subjectId) filter.subjectId = new ObjectId(String(subjectId));
+    if (questionPaperId) filter.questionPaperId = new ObjectId(String(questionPaperId));
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        // Date-only upper bounds include the whole day
+        const toDate = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) toDate.setUTCHours(23, 59, 59, 999);
+        filter.createdAt.$lte = toDate;
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Progress summary: overall accuracy, accuracy trend, per-subject accuracy, timing and per-paper scores
+   * @param {string|ObjectId} userId - User ID
+   * @param {object} filters - See buildAttemptFilter
+   * @param {object} options
+   * @param {string} options.interval - Trend bucket: day | week | month
+   * @returns {Promise<object>}
+   */
+  async getProgressSummary(userId, filters = {}, { interval = 'week' } = {}) {
+    const match = this.buildAttemptFilter(userId, { ...filters, submitted: true });
+    const periodFormat = INTERVAL_FORMATS[interval] || INTERVAL_FORMATS.week;
+
+    // Per-question outcome; attempts created before per-question status existed fall back to userAnswer/isCorrect
+    const questionOutcomeStages = [
+      { $match: match },
+      { $unwind: '$results' },
+      {
+        $project: {
+          createdAt: 1,
+          subjectId: { $ifNull: ['$results.question.subject._id', '$subjectId'] },
+          subjectName: { $ifNull: ['$results.question.subject.name', '$subjectName'] },
+          attempted: { $cond: [{ $ne: [{ $ifNull: ['$results.userAnswer', null] }, null] }, 1, 0] },
+          correct: { $cond: [{ $eq: ['$results.isCorrect', true] }, 1, 0] },
+          // Only questions with tracked time count towards time averages ($avg skips null)
+          timeSpentSeconds: { $cond: [{ $gt: ['$results.timeSpentSeconds', 0] }, '$results.timeSpentSeconds', null] },
+          tooFast: { $cond: [{ $eq: ['$results.timeFlag', 'too_fast'] }, 1, 0] },
+          tooSlow: { $cond: [{ $eq: ['$results.timeFlag', 'too_slow'] }, 1, 0] },
+        },
+      },
+    ];
+
+    const [attemptTotals, questionTotals, trend, subjects, papers] = await Promise.all([
+      TestAttempt.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            attempts: { $sum: 1 },
+            averageScore: { $avg: '$score' },
+            bestScore: { $max: '$score' },
+            questions: { $sum: '$total' },
+            averageTimeMs: { $avg: { $subtract: ['$submittedAt', '$startedAt'] } },
+            totalTimeMs: { $sum: { $subtract: ['$submittedAt', '$startedAt'] } },
+          },
+        },
+      ]),
+      TestAttempt.aggregate([
+        ...questionOutcomeStages,
+        {
+          $group: {
+            _id: null,
+            attempted: { $sum: '$attempted' },
+            correct: { $sum: '$correct' },
+            averageTrackedSeconds: { $avg: '$timeSpentSeconds' },
+            tooFast: { $sum: '$tooFast' },
+            tooSlow: { $sum: '$tooSlow' },
+          },
+        },
+      ]),
+      TestAttempt.aggregate([
+        ...questionOutcomeStages,
+        {
+          $group: {
+            _id: { $dateToString: { format: periodFormat, date: '$createdAt', timezone: this.timezone } },
+            attempts: { $addToSet: '$_id' },
+            attempted: { $sum: '$attempted' },
+            correct: { $sum: '$correct' },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      TestAttempt.aggregate([
+        ...questionOutcomeStages,
+        {
+          $group: {
+            _id: '$subjectId',
+            name: { $first: '$subjectName' },
+            attempts: { $addToSet: '$_id' },
+            questions: { $sum: 1 },
+            attempted: { $sum: '$attempted' },
+            correct: { $sum: '$correct' },
+            averageTrackedSeconds: { $avg: '$timeSpentSeconds' },
+            tooFast: { $sum: '$tooFast' },
+            tooSlow: { $sum: '$tooSlow' },
+          },
+        },
+      ]),
+      TestAttempt.aggregate([
+        { $match: { ...match, questionPaperId: match.questionPaperId || { $ne: null } } },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: '$questionPaperId',
+            name: { $last: '$questionPaper.name' },
+            attempts: { $sum: 1 },
+            bestScore: { $max: '$score' },
+            latestScore: { $last: '$score' },
+            latestTestId: { $last: '$testId' },
+            latestAt: { $last: '$createdAt' },
+          },
+        },
+        { $sort: { latestAt: -1 } },
+      ]),
+    ]);
+
+    const totals = attemptTotals[0] || { attempts: 0, averageScore: null, bestScore: null, questions: 0, averageTimeMs: null, totalTimeMs: 0 };
+    const outcome = questionTotals[0] || { attempted: 0, correct: 0, averageTrackedSeconds: null, tooFast: 0, tooSlow: 0 };
+
+    return {
+      interval: INTERVAL_FORMATS[interval] ? interval : 'week',
+      overview: {
+        attempts: totals.attempts,
+        questions: totals.questions,
+        attempted: outcome.attempted,
+        correct: outcome.correct,
+        accuracy: accuracyOf(outcome.correct, outcome.attempted),
+        averageScore: totals.averageScore !== null ? round2(totals.averageScore) : null,
+        bestScore: totals.bestScore,
+        averageTimeSeconds: totals.averageTimeMs !== null ? Math.round(totals.averageTimeMs / 1000) : null,
+        averageTimePerQuestionSeconds: totals.questions > 0 ? Math.round(totals.totalTimeMs / 1000 / totals.questions) : null,
+        // From per-question time tracking (more precise than attempt duration / questions)
+        averageTrackedSecondsPerQuestion: outcome.averageTrackedSeconds !== null ? round2(outcome.averageTrackedSeconds) : null,
+        tooFast: outcome.tooFast,
+        tooSlow: outcome.tooSlow,
+      },
+      trend: trend.map(bucket => ({
+        period: bucket._id,
+        attempts: bucket.attempts.length,
+        attempted: bucket.attempted,
+        correct: bucket.correct,
+        accuracy: accuracyOf(bucket.correct, bucket.attempted),
+      })),
+      subjects: subjects
+        .map(subject => ({
+          subjectId: subject._id || null,
+          name: subject.name || 'Unknown',
+          attempts: subject.attempts.length,
+          questions: subject.questions,
+          attempted: subject.attempted,
+          correct: subject.correct,
+          accuracy: accuracyOf(subject.correct, subject.attempted),
+          averageTrackedSecondsPerQuestion: subject.averageTrackedSeconds !== null ? round2(subject.averageTrackedSeconds) : null,
+          tooFast: subject.tooFast,
+          tooSlow: subject.tooSlow,
+        }))
+        .sort((a, b) => b.questions - a.questions),
+      papers: papers.map(paper => ({
+        questionPaperId: paper._id,
+        name: paper.name || null,
+        attempts: paper.attempts,
+        bestScore: paper.bestScore,
+        latestScore: paper.latestScore,
+        latestTestId: paper.latestTestId,
+        latestAt: paper.latestAt,
+      })),
+    };
+  }
+
+  /**
+   * Roll up a student's answers by subject, tag and difficulty and flag weak topics
+   * A topic is "weak" when even the optimistic end of the accuracy confidence interval is below
+   * the target, and "needs_review" when the observed accuracy is below target but the sample is too small to be sure
+   * @param {string|ObjectId} userId - User ID
+   * @param {object} filters - See buildAttemptFilter
+   * @param {object} options - { targetAccuracy, minAttempted }
+   * @returns {Promise<object>}
+   */
+  async getWeakTopics(userId, filters = {}, options = {}) {
+    const settings = { ...this.weakTopicDefaults };
+    if (Number.isFinite(options.targetAccuracy)) settings.targetAccuracy = options.targetAccuracy;
+    if (Number.isFinite(options.minAttempted)) settings.minAttempted = options.minAttempted;
+
+    const match = this.buildAttemptFilter(userId, { ...filters, submitted: true });
+    const groupOutcome = {
+      questions: { $sum: 1 },
+      attempted: { $sum: '$attempted' },
+      correct: { $sum: '$correct' },
+    };
+
+    const [facets] = await TestAttempt.aggregate([
+      { $match: match },
+      { $unwind: '$results' },
+      {
+        $project: {
+          subjectId: { $ifNull: ['$results.question.subject._id', '$subjectId'] },
+          subjectName: { $ifNull: ['$results.question.subject.name', '$subjectName'] },
+          tags: { $ifNull: ['$results.question.tags', []] },
+          difficulty: { $ifNull: ['$results.question.difficulty', 'medium'] },
+          attempted: { $cond: [{ $ne: [{ $ifNull: ['$results.userAnswer', null] }, null] }, 1, 0] },
+          correct: { $cond: [{ $eq: ['$results.isCorrect', true] }, 1, 0] },
+        },
+      },
+      {
+        $facet: {
+          subject: [
+            { $group: { _id: '$subjectId', name: { $first: '$subjectName' }, ...groupOutcome } },
+          ],
+          tag: [
+            { $unwind: '$tags' },
+            // Tags are free text - group case-insensitively within a subject
+            {
+              $group: {
+                _id: { subjectId: '$subjectId', tag: { $toLower: '$tags' } },
+                name: { $first: '$tags' },
+                subjectName: { $first: '$subjectName' },
+                ...groupOutcome,
+              },
+            },
+          ],
+          difficulty: [
+            { $group: { _id: '$difficulty', name: { $first: '$difficulty' }, ...groupOutcome } },
+          ],
+        },
+      },
+    ]);
+
+    const target = settings.targetAccuracy / 100;
+    const classify = (dimension, bucket) => {
+      const { lower, upper } = wilsonInterval(bucket.correct, bucket.attempted, settings.confidenceZ);
+      const accuracy = accuracyOf(bucket.correct, bucket.attempted);
+
+      let status = 'insufficient_data';
+      if (bucket.attempted >= settings.minAttempted) {
+        if (upper < target) status = 'weak';
+        else if (lower >= target) status = 'strong';
+        else status = accuracy < settings.targetAccuracy ? 'needs_review' : 'on_track';
+      }
+
+      const topic = {
+        dimension,
+        name: bucket.name || 'Unknown',
+        questions: bucket.questions,
+        attempted: bucket.attempted,
+        correct: bucket.correct,
+        accuracy,
+        confidenceInterval: { lower: round2(lower * 100), upper: round2(upper * 100) },
+        status,
+      };
+      if (dimension === 'subject') topic.subjectId = bucket._id || null;
+      if (dimension === 'tag') {
+        topic.subjectId = bucket._id.subjectId || null;
+        topic.subjectName = bucket.subjectName || null;
+        topic.tag = bucket.name;
+      }
+      if (dimension === 'difficulty') topic.difficulty = bucket._id;
+      return topic;
+    };
+
+    const topics = {
+      subjects: (facets?.subject || []).map(bucket => classify('subject', bucket)),
+      tags: (facets?.tag || []).map(bucket => classify('tag', bucket)),
+      difficulties: (facets?.difficulty || []).map(bucket => classify('difficulty', bucket)),
+    };
+
+    // Most certain weaknesses first (lowest optimistic accuracy), then borderline ones
+    const statusRank = { weak: 0, needs_review: 1 };
+    const weakTopics = [...topics.subjects, ...topics.tags, ...topics.difficulties]
+      .filter(topic => topic.status in statusRank)
+      .sort((a, b) => statusRank[a.status] - statusRank[b.status] ||
+        a.confidenceInterval.upper - b.confidenceInterval.upper);
+
+    // Tags are the most specific thing to practise; fall back to whole subjects
+    const recommendations = weakTopics
+      .filter(topic => topic.dimension !== 'difficulty')
+      .slice(0, settings.recommendationLimit)
+      .map(topic => ({
+        dimension: topic.dimension,
+        name: topic.name,
+        status: topic.status,
+        accuracy: topic.accuracy,
+        practice: {
+          subjectId: topic.subjectId || null,
+          tag: topic.tag || null,
+        },
+      }));
+
+    return {
+      settings: {
+        targetAccuracy: settings.targetAccuracy,
+        minAttempted: settings.minAttempted,
+        confidence: 0.9,
+      },
+      weakTopics,
+      recommendations,
+      ...topics,
+    };
+  }
+}
+
+// Export singleton instance
+export default new StudentAnalyticsService();
@@ -0,0 +1,388 @@
+/**
+ * Test Builder Service
+ * Creates TestAttempt documents from a selection of questions - shared by the
+ * paper/subject/exam tests and the generated ones ("practice my mistakes", blueprint mocks)
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Passage from '../models/Passage.js';
+import Question from '../models/Question.js';
+import TestAttempt from '../models/TestAttempt.js';
+import { SHUFFLABLE_TYPES, applyOptionOrder } from '../utils/questionTypes.js';
+import { resolveMarkingScheme } from '../utils/scoring.js';
+import attemptClaimService from './attemptClaimService.js';
+import testSubmissionService from './testSubmissionService.js';
+
+const { ObjectId } = mongoose.Types;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Question fields copied into the attempt and sent to the student
+// Answer keys and explanations stay on the Question until practice feedback or submission
+export const TEST_QUESTION_FIELDS = '_id text type options assertion reason matchColumns difficulty tags media marks passage';
+
+// Fisher-Yates shuffle (returns a new array)
+const shuffleArray = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Keep questions sharing a passage together, at the position of the group's first question
+const groupQuestionsByPassage = (questions) => {
+  const groups = new Map();
+  const ordered = [];
+  questions.forEach(q => {
+    const key = q.passage ? q.passage.toString() : null;
+    if (!key) {
+      ordered.push([q]);
+      return;
+    }
+    if (!groups.has(key)) {
+      const group = [];
+      groups.set(key, group);
+      ordered.push(group);
+    }
+    groups.get(key).push(q);
+  });
+  return ordered.flat();
+};
+
+class TestBuilderService {
+  constructor() {
+    // "Practice my mistakes" defaults
+    this.mistakeDefaults = {
+      count: 20,
+      clearAfterCorrect: 2, // Correct answers after the last mistake needed to drop a question
+    };
+  }
+
+  /**
+   * Generate a test ID - anonymous tests also get a session ID
+   * The session ID is only returned to the creating client (it is what claims the attempt later),
+   * so it must not be part of the testId
+   * @param {ObjectId|null} userId - User ID
+   * @returns {{ testId: string, sessionId: string|null }}
+   */
+  generateTestId(userId) {
+    const sessionId = userId ? null : attemptClaimService.generateSessionId();
+    const testId = userId
+      ? `test_${Date.now()}_${userId}`
+      : `test_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+    return { testId, sessionId };
+  }
+
+  /**
+   * Create a test attempt from already fetched questions
+   * @param {object} params
+   * @param {ObjectId|null} params.userId - Logged-in user (null for anonymous)
+   * @param {Array} params.questions - Lean questions (TEST_QUESTION_FIELDS); subject/exam/questionPaper may be populated
+   * @param {object|null} params.exam - Lean exam (title, name, board, duration, markingScheme)
+   * @param {object|null} params.subject - Lean subject (name, icon)
+   * @param {object|null} params.questionPaper - Lean question paper (name, section, duration, totalMarks, totalMarksExplicit, markingScheme)
+   * @param {string} params.testType - standard | mistakes | mock
+   * @param {string} params.mode - exam | practice (practice tests are untimed and never ranked)
+   * @param {number|null} params.durationMinutes - Overrides the paper/exam duration (null = use them)
+   * @param {boolean} params.shuffleQuestions - Randomise question order (passage groups stay together)
+   * @param {boolean} params.shuffleOptions - Randomise option order of single/multiple choice questions
+   * @param {object} params.extra - Additional TestAttempt fields for the test type
+   * @returns {Promise<{ testAttempt: object, questions: Array, passages: Array }>}
+   */
+  async createAttempt({
+    userId = null,
+    questions,
+    exam = null,
+    subject = null,
+    questionPaper = null,
+    testType = 'standard',
+    mode = 'exam',
+    durationMinutes = null,
+    shuffleQuestions = false,
+    shuffleOptions = false,
+    extra = {},
+  }) {
+    // Comprehension passages are sent once per group, questions reference them by ID
+    const passageIds = [...new Set(questions.filter(q => q.passage).map(q => q.passage.toString()))];
+    const passages = passageIds.length > 0
+      ? await Passage.find({ _id: { $in: passageIds } })
+        .select('_id title text media')
+        .lean()
+      : [];
+
+    // Add question numbers and metadata (no need for separate query - use array index)
+    const ordered = groupQuestionsByPassage(shuffleQuestions ? shuffleArray(questions) : questions);
+    const optionOrders = new Map();
+    const questionsWithNumbers = ordered.map((question, idx) => {
+      let q = question;
+      if (shuffleOptions && SHUFFLABLE_TYPES.includes(q.type || 'single') && q.options?.length > 1) {
+        const optionOrder = shuffleArray(q.options.map((_, optionIdx) => optionIdx));
+        optionOrders.set(q._id.toString(), optionOrder);
+        q = applyOptionOrder(q, optionOrder);
+      }
+      q.questionNumber = idx + 1;
+      // Add subject and exam data we already have
+      if (subject) {
+        q.subject = { _id: subject._id, name: subject.name, icon: subject.icon };
+      }
+      if (exam) {
+        q.exam = { _id: exam._id, title: exam.title || exam.name };
+      }
+      if (questionPaper) {
+        q.questionPaper = { _id: questionPaper._id, name: questionPaper.name, section: questionPaper.section };
+      }
+      return q;
+    });
+
+    const { testId, sessionId } = this.generateTestId(userId);
+
+    // A paper's totalMarks is spread over all of its questions, also when the attempt is a subset
+    const paperQuestionCount = questionPaper
+      ? await Question.countDocuments({ questionPaper: questionPaper._id, status: 'published' })
+      : 0;
+
+    // Timer: paper duration takes precedence over the exam duration
+    const effectiveDuration = mode === 'practice'
+      ? null
+      : durationMinutes || questionPaper?.duration || exam?.duration || null;
+    const startedAt = new Date();
+
+    const testAttempt = await TestAttempt.create({
+      testId,
+      userId,
+      sessionId,
+      testType,
+      examId: exam?._id || null,
+      subjectId: subject?._id || null,
+      questionPaperId: questionPaper?._id || null,
+      exam: exam ? {
+        _id: exam._id,
+        name: exam.title || exam.name || null, // Use title (from Exam model) or name (if exists)
+        title: exam.title || null,
+        board: exam.board ? (exam.board._id || exam.board) : null, // Handle populated or ObjectId
+      } : null,
+      subject: subject ? {
+        _id: subject._id,
+        name: subject.name,
+        icon: subject.icon,
+      } : null,
+      subjectName: subject?.name || null,
+      questionPaper: questionPaper ? {
+        _id: questionPaper._id,
+        name: questionPaper.name,
+      } : null,
+      passages,
+      questions: questionsWithNumbers.map((q) => ({
+        questionId: q._id,
+        question: q,
+        answer: null,
+        flagged: false,
+        section: q.section ?? null,
+        optionOrder: optionOrders.get(q._id.toString()),
+      })),
+      shuffle: {
+        questions: shuffleQuestions,
+        options: shuffleOptions,
+      },
+      markingScheme: resolveMarkingScheme({
+        questionPaper,
+        exam,
+        paperQuestionCount,
+      }),
+      startedAt,
+      durationMinutes: effectiveDuration,
+      expiresAt: testSubmissionService.computeExpiresAt(startedAt, effectiveDuration),
+      submitted: false,
+      ...extra,
+      mode,
+      ...(mode === 'practice' ? { rankEligible: false } : {}),
+    });
+
+    console.log(`[createTest] Creating test attempt: testId=${testId}, testType=${testType}, mode=${mode}, userId=${userId || 'anonymous'}, examId=${testAttempt.examId}, subjectId=${testAttempt.subjectId}, questionPaperId=${testAttempt.questionPaperId}, questionsCount=${questionsWithNumbers.length}`);
+
+    return { testAttempt, questions: questionsWithNumbers, passages };
+  }
+
+  /**
+   * Pick questions the user got wrong (incorrect or partly correct) or flagged in submitted attempts
+   * A question drops out once it has been answered correctly clearAfterCorrect times since its last mistake
+   * @param {string|ObjectId} userId - User ID
+   * @param {object} options
+   * @param {string} options.examId - Only questions of this exam
+   * @param {string} options.subjectId - Only questions of this subject
+   * @param {number} options.count - Max questions
+   * @param {number} options.clearAfterCorrect - Correct answers needed to clear a mistake
+   * @returns {Promise<Array>} - Lean questions (TEST_QUESTION_FIELDS, subject/exam/questionPaper populated), most recent mistakes first
+   */
+  async selectMistakeQuestions(userId, {
+    examId = null,
+    subjectId = null,
+    count = this.mistakeDefaults.count,
+    clearAfterCorrect = this.mistakeDefaults.clearAfterCorrect,
+  } = {}) {
+    // Outcome history per question, oldest first
+    const history = await TestAttempt.aggregate([
+      { $match: { userId: new ObjectId(String(userId)), submitted: true } },
+      { $sort: { submittedAt: 1 } },
+      { $unwind: '$results' },
+      {
+        $project: {
+          questionId: '$results.questionId',
+          submittedAt: 1,
+          correct: { $eq: ['$results.isCorrect', true] },
+          // Attempts from before per-question status existed only have userAnswer/isCorrect
+          mistake: {
+            $or: [
+              { $eq: ['$results.flagged', true] },
+              { $in: ['$results.status', ['incorrect', 'partial']] },
+              {
+                $and: [
+                  { $eq: [{ $ifNull: ['$results.status', null] }, null] },
+                  { $ne: [{ $ifNull: ['$results.userAnswer', null] }, null] },
+                  { $ne: ['$results.isCorrect', true] },
+                ],
+              },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$questionId',
+          outcomes: { $push: { at: '$submittedAt', correct: '$correct', mistake: '$mistake' } },
+        },
+      },
+    ]);
+
+    const candidates = [];
+    history.forEach(({ _id, outcomes }) => {
+      let lastMistakeIdx = -1;
+      outcomes.forEach((outcome, idx) => {
+        if (outcome.mistake) lastMistakeIdx = idx;
+      });
+      if (lastMistakeIdx === -1) return;
+
+      const correctSince = outcomes.slice(lastMistakeIdx + 1).filter(outcome => outcome.correct).length;
+      if (correctSince >= clearAfterCorrect) return;
+
+      candidates.push({
+        questionId: _id,
+        lastMistakeAt: outcomes[lastMistakeIdx].at,
+        mistakes: outcomes.filter(outcome => outcome.mistake).length,
+      });
+    });
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const questionQuery = {
+      _id: { $in: candidates.map(c => c.questionId) },
+      status: 'published',
+    };
+    if (examId) questionQuery.exam = examId;
+    if (subjectId) questionQuery.subject = subjectId;
+
+    const questions = await Question.find(questionQuery)
+      .select(`${TEST_QUESTION_FIELDS} subject exam questionPaper`)
+      .populate('subject', '_id name icon')
+      .populate('exam', '_id title')
+      .populate('questionPaper', '_id name section')
+      .lean();
+
+    // Most recent (then most repeated) mistakes first
+    const rank = new Map(candidates.map(c => [c.questionId.toString(), c]));
+    return questions
+      .sort((a, b) => {
+        const ra = rank.get(a._id.toString());
+        const rb = rank.get(b._id.toString());
+        return rb.lastMistakeAt - ra.lastMistakeAt || rb.mistakes - ra.mistakes;
+      })
+      .slice(0, count);
+  }
+
+  /**
+   * Sample published questions for a mock test blueprint
+   * Each section asks for `count` questions of an exam (optionally one subject and/or tag) with an optional
+   * difficulty mix; the rest of the count is filled from any difficulty. Questions the user has already
+   * seen are only used when there are not enough unseen ones.
+   * @param {object} params
+   * @param {string|ObjectId} params.examId - Exam the questions belong to
+   * @param {Array} params.sections - [{ name, subjectId, tag, count, difficulty: { easy, medium, hard } }]
+   * @param {string|ObjectId|null} params.userId - Logged-in user whose seen questions are avoided
+   * @returns {Promise<{ questions: Array, sections: Array, shortfalls: Array }>} - questions carry their section index
+   */
+  async selectBlueprintQuestions({ examId, sections, userId = null }) {
+    const seen = userId
+      ? await TestAttempt.distinct('questions.questionId', { userId: new ObjectId(String(userId)) })
+      : [];
+    const picked = [];
+
+    const sample = async (filter, size, exclude) => {
+      if (size <= 0) return [];
+      const sampled = await Question.aggregate([
+        { $match: { ...filter, _id: { $nin: exclude } } },
+        { $sample: { size } },
+        { $project: { _id: 1 } },
+      ]);
+      return sampled.map(q => q._id);
+    };
+
+    // Prefer unseen questions, top up with seen ones
+    const sampleFresh = async (filter, size) => {
+      const fresh = await sample(filter, size, [...picked, ...seen]);
+      picked.push(...fresh);
+      const repeats = await sample(filter, size - fresh.length, picked);
+      picked.push(...repeats);
+      return [...fresh, ...repeats];
+    };
+
+    const selectedSections = [];
+    const sectionOf = new Map();
+    const shortfalls = [];
+
+    for (const [index, section] of sections.entries()) {
+      const filter = { exam: new ObjectId(String(examId)), status: 'published' };
+      if (section.subjectId) filter.subject = new ObjectId(String(section.subjectId));
+      if (section.tag) filter.tags = { $regex: `^${escapeRegex(section.tag.trim())}$`, $options: 'i' };
+
+      const ids = [];
+      for (const difficulty of DIFFICULTIES) {
+        const quota = Number(section.difficulty?.[difficulty]) || 0;
+        ids.push(...await sampleFresh({ ...filter, difficulty }, Math.min(quota, section.count - ids.length)));
+      }
+      // Remaining count (no mix given, mix below count, or a difficulty ran short) from any difficulty
+      ids.push(...await sampleFresh(filter, section.count - ids.length));
+
+      ids.forEach(id => sectionOf.set(id.toString(), index));
+      if (ids.length < section.count) {
+        shortfalls.push({ section: index, requested: section.count, available: ids.length });
+      }
+      selectedSections.push({ ...section, selected: ids.length });
+    }
+
+    const questions = picked.length > 0
+      ? await Question.find({ _id: { $in: picked } })
+        .select(`${TEST_QUESTION_FIELDS} subject`)
+        .populate('subject', '_id name icon')
+        .lean()
+      : [];
+
+    // Section order, random order within a section (as sampled)
+    const position = new Map(picked.map((id, idx) => [id.toString(), idx]));
+    questions.forEach(q => {
+      q.section = sectionOf.get(q._id.toString());
+    });
+    questions.sort((a, b) => a.section - b.section || position.get(a._id.toString()) - position.get(b._id.toString()));
+
+    return { questions, sections: selectedSections, shortfalls };
+  }
+}
+
+// Export singleton instance
+export default new TestBuilderService();
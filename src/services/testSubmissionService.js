@@ -0,0 +1,205 @@
+/**
+ * Test Submission Service
+ * Scores and submits test attempts - shared by the submit endpoint and the
+ * background sweep that auto-submits attempts whose time has run out
+ */
+
+import Question from '../models/Question.js';
+import TestAttempt from '../models/TestAttempt.js';
+import dailyQuizService from './dailyQuizService.js';
+import rankingService from './rankingService.js';
+import { DEFAULT_SECONDS_PER_QUESTION, getTimeFlag, scoreAttempt, summarizeSections, summarizeTiming } from '../utils/scoring.js';
+
+const SUBMITTED_FIELDS = 'testId testType mode markingScheme score correct partial incorrect unattempted total marksObtained maxMarks results sections timing submitted submittedAt autoSubmitted userId questionPaperId rankEligible ranked dailyQuizDate';
+
+class TestSubmissionService {
+  constructor() {
+    // Answers arriving shortly after the deadline are still accepted (network latency, autosave)
+    this.deadlineGraceMs = 30 * 1000;
+    // Max attempts auto-submitted per sweep run
+    this.sweepBatchSize = 100;
+  }
+
+  /**
+   * Compute the deadline of an attempt
+   * @param {Date} startedAt - When the attempt started
+   * @param {number|null} durationMinutes - Allowed duration (null = untimed)
+   * @returns {Date|null}
+   */
+  computeExpiresAt(startedAt, durationMinutes) {
+    if (!durationMinutes || durationMinutes <= 0) return null;
+    return new Date(new Date(startedAt).getTime() + durationMinutes * 60 * 1000);
+  }
+
+  /**
+   * Seconds left before the attempt expires (null for untimed attempts)
+   * @param {object} test - Attempt with expiresAt
+   * @returns {number|null}
+   */
+  getRemainingSeconds(test) {
+    if (!test.expiresAt) return null;
+    const remainingMs = new Date(test.expiresAt).getTime() - Date.now();
+    return Math.max(0, Math.ceil(remainingMs / 1000));
+  }
+
+  /**
+   * Whether the attempt is past its deadline (including the grace period)
+   * @param {object} test - Attempt with expiresAt
+   * @returns {boolean}
+   */
+  isExpired(test) {
+    if (!test.expiresAt) return false;
+    return Date.now() > new Date(test.expiresAt).getTime() + this.deadlineGraceMs;
+  }
+
+  /**
+   * Score and submit an attempt
+   * Retries on concurrent updates; returns the stored result if another request submitted first
+   * @param {string} testId - Test ID
+   * @param {object} options
+   * @param {boolean} options.autoSubmitted - True when submitted by the expiry sweep
+   * @returns {Promise<{ attempt: object, alreadySubmitted: boolean }|null>} - null if the test does not exist
+   */
+  async submitAttempt(testId, { autoSubmitted = false } = {}) {
+    let retries = 3;
+
+    while (retries > 0) {
+      const test = await TestAttempt.findOne({ testId })
+        .select(`_id questions blueprint durationMinutes __v ${SUBMITTED_FIELDS}`)
+        .lean();
+      if (!test) {
+        return null;
+      }
+
+      if (test.submitted) {
+        return { attempt: test, alreadySubmitted: true };
+      }
+
+      // Only fetch the answer keys - we already have question data in the attempt
+      const questionIds = test.questions.map(q => q.questionId);
+      const questions = await Question.find({
+        _id: { $in: questionIds },
+      })
+        .select('_id type correctIndex correctIndices numericAnswer correctMatches explanation marks')
+        .lean();
+
+      const questionMap = new Map();
+      questions.forEach(q => {
+        questionMap.set(q._id.toString(), q);
+      });
+
+      // Apply the attempt's marking scheme (negative marking, per-question marks)
+      const scored = scoreAttempt(test.questions, questionMap, test.markingScheme);
+      // Time per question is judged against the test's own pace when it is timed
+      const expectedSeconds = test.durationMinutes && test.questions.length > 0
+        ? (test.durationMinutes * 60) / test.questions.length
+        : DEFAULT_SECONDS_PER_QUESTION;
+      const results = scored.results.map(result => ({ ...result, timeFlag: getTimeFlag(result, expectedSeconds) }));
+      const sections = test.blueprint?.sections?.length > 0
+        ? summarizeSections(results, test.blueprint.sections)
+        : [];
+
+      // Atomic update guarded by the version we read to avoid double submission
+      const updateResult = await TestAttempt.findOneAndUpdate(
+        {
+          _id: test._id,
+          submitted: false,
+          __v: test.__v,
+        },
+        {
+          $set: {
+            submitted: true,
+            submittedAt: new Date(),
+            autoSubmitted,
+            score: scored.percentage,
+            correct: scored.correct,
+            partial: scored.partial,
+            incorrect: scored.incorrect,
+            unattempted: scored.unattempted,
+            total: scored.total,
+            marksObtained: scored.marksObtained,
+            maxMarks: scored.maxMarks,
+            results,
+            sections,
+            timing: summarizeTiming(results, expectedSeconds),
+          }
+        },
+        {
+          new: true,
+          runValidators: true,
+          lean: true,
+          select: SUBMITTED_FIELDS,
+        }
+      );
+
+      if (updateResult) {
+        // A failed ranking/streak update must not fail the submission
+        try {
+          updateResult.ranked = await rankingService.recordAttempt(updateResult);
+          if (updateResult.testType === 'daily') {
+            await dailyQuizService.recordSubmission(updateResult);
+          }
+        } catch (error) {
+          console.error(`❌ Ranking failed for ${testId}:`, error.message);
+        }
+        return { attempt: updateResult, alreadySubmitted: false };
+      }
+
+      // Version conflict or submitted concurrently - retry with exponential backoff
+      retries--;
+      if (retries > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100 * (4 - retries)));
+      }
+    }
+
+    // Check if it was submitted by another request
+    const updatedTest = await TestAttempt.findOne({ testId })
+      .select(SUBMITTED_FIELDS)
+      .lean();
+    if (updatedTest && updatedTest.submitted) {
+      return { attempt: updatedTest, alreadySubmitted: true };
+    }
+
+    throw new Error('Failed to submit test after retries. Please try again.');
+  }
+
+  /**
+   * Auto-submit attempts whose deadline (plus grace period) has passed
+   * @returns {Promise<{ found: number, submitted: number, failed: number }>}
+   */
+  async autoSubmitExpired() {
+    const cutoff = new Date(Date.now() - this.deadlineGraceMs);
+    const expired = await TestAttempt.find({
+      submitted: false,
+      expiresAt: { $ne: null, $lt: cutoff },
+    })
+      .select('testId')
+      .sort({ expiresAt: 1 })
+      .limit(this.sweepBatchSize)
+      .lean();
+
+    let submitted = 0;
+    let failed = 0;
+
+    for (const { testId } of expired) {
+      try {
+        const result = await this.submitAttempt(testId, { autoSubmitted: true });
+        if (result && !result.alreadySubmitted) {
+          submitted++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Auto-submit failed for ${testId}:`, error.message);
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`⏱️ Auto-submit sweep: ${submitted} submitted, ${failed} failed (${expired.length} expired attempts found)`);
+    }
+
+    return { found: expired.length, submitted, failed };
+  }
+}
+
+// Export singleton instance
+export default new TestSubmissionService();
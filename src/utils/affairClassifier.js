@@ -0,0 +1,71 @@
+// Keyword/taxonomy classifier for current affairs (GS-paper category + exam relevance)
+
+export const GENERAL_CATEGORY = 'general';
+
+// A keyword in the title says more about the story than one deep in the content
+const FIELD_WEIGHTS = { title: 3, description: 2, content: 1 };
+// Repeats of one keyword in a field stop counting after this
+const MAX_MATCHES_PER_FIELD = 2;
+// Weighted score a category needs before it is assigned
+const MIN_CATEGORY_SCORE = 3;
+// Relevance approaches 100 as evidence accumulates; each excluded keyword hit costs this much
+const RELEVANCE_SCALE = 8;
+const EXCLUDE_PENALTY = 10;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const countMatches = (text, keyword) => {
+  const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(keyword.toLowerCase())}(?![a-z0-9])`, 'g');
+  return Math.min((text.match(pattern) || []).length, MAX_MATCHES_PER_FIELD);
+};
+
+/**
+ * Classify an article against a taxonomy
+ * @param {{ title: string, description?: string, content?: string }} affair
+ * @param {Array<{ key: string, keywords: string[], exclude?: boolean }>} categories - Enabled categories
+ * @returns {{ category: string, secondaryCategories: string[], relevanceScore: number, scores: object, matchedKeywords: string[] }}
+ */
+export const classifyAffair = (affair, categories) => {
+  const fields = Object.entries(FIELD_WEIGHTS).map(([field, weight]) => [(affair[field] || '').toLowerCase(), weight]);
+
+  const scores = {};
+  const matchedKeywords = new Set();
+  let positiveTotal = 0;
+  let excludeTotal = 0;
+
+  for (const category of categories) {
+    let score = 0;
+    for (const keyword of category.keywords || []) {
+      for (const [text, weight] of fields) {
+        const matches = countMatches(text, keyword);
+        if (matches > 0) {
+          score += matches * weight;
+          matchedKeywords.add(keyword);
+        }
+      }
+    }
+
+    if (category.exclude) {
+      excludeTotal += score;
+    } else if (score > 0) {
+      scores[category.key] = score;
+      positiveTotal += score;
+    }
+  }
+
+  const ranked = Object.entries(scores)
+    .filter(([, score]) => score >= MIN_CATEGORY_SCORE)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key]) => key);
+
+  const evidence = Math.round(100 * (1 - Math.exp(-positiveTotal / RELEVANCE_SCALE)));
+  const penalty = excludeTotal > 0 ? EXCLUDE_PENALTY * Math.ceil(excludeTotal / FIELD_WEIGHTS.title) : 0;
+
+  return {
+    category: ranked[0] || GENERAL_CATEGORY,
+    secondaryCategories: ranked.slice(1),
+    relevanceScore: Math.max(0, Math.min(100, evidence - penalty)),
+    scores,
+    matchedKeywords: [...matchedKeywords],
+  };
+};
@@ -0,0 +1,240 @@
+// Weekly / monthly current affairs compilations: periods, item selection and printable exports
+
+import { createHttpError } from './httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Extra outlets beyond this do not make a story more important
+const MAX_COVERAGE_BONUS_SOURCES = 5;
+const COVERAGE_WEIGHT = 8;
+
+export const COMPILATION_PERIODS = ['week', 'month'];
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const formatDay = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return `${day} ${MONTH_NAMES[month - 1]} ${year}`;
+};
+
+// Monday of ISO week 1 (the week containing 4 January)
+const isoWeekOneMonday = (year) => {
+  const january4 = new Date(Date.UTC(year, 0, 4));
+  return new Date(january4.getTime() - ((january4.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+/**
+ * Period key containing a date: "YYYY-MM" for months, ISO "YYYY-Www" for weeks
+ * @param {'week'|'month'} period
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export const getPeriodKey = (period, date) => {
+  if (period === 'month') {
+    return date.slice(0, 7);
+  }
+
+  const day = new Date(`${date}T00:00:00Z`);
+  // The ISO year is the year of the week's Thursday
+  const thursday = new Date(day.getTime() + (3 - ((day.getUTCDay() + 6) % 7)) * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - isoWeekOneMonday(year)) / (7 * DAY_MS)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Resolve a period key to its date range, slug and default title
+ * @param {'week'|'month'} period
+ * @param {string} key - "YYYY-MM" or "YYYY-Www"
+ * @returns {{ period: string, key: string, from: string, to: string, slug: string, title: string }}
+ * @throws {Error} If the period or key is invalid (status 400)
+ */
+export const resolvePeriod = (period, key) => {
+  if (period === 'month') {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(key || '');
+    if (!match) {
+      throw createHttpError(400, `Invalid month key: ${key}. Expected YYYY-MM`);
+    }
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    return {
+      period,
+      key,
+      from: toDateString(new Date(Date.UTC(year, month - 1, 1))),
+      to: toDateString(new Date(Date.UTC(year, month, 0))),
+      slug: `monthly-${key}`,
+      title: `Current Affairs - ${MONTH_NAMES[month - 1]} ${year}`,
+    };
+  }
+
+  if (period === 'week') {
+    const match = /^(\d{4})-W(\d{2})$/i.exec(key || '');
+    const week = match ? Number(match[2]) : 0;
+    const year = match ? Number(match[1]) : 0;
+    // Years have 53 ISO weeks when the next year's week 1 starts 53 weeks later
+    const weeksInYear = match ? Math.round((isoWeekOneMonday(year + 1) - isoWeekOneMonday(year)) / (7 * DAY_MS)) : 0;
+    if (!match || week < 1 || week > weeksInYear) {
+      throw createHttpError(400, `Invalid week key: ${key}. Expected YYYY-Www (ISO week)`);
+    }
+    const monday = new Date(isoWeekOneMonday(year).getTime() + (week - 1) * 7 * DAY_MS);
+    const from = toDateString(monday);
+    const to = toDateString(new Date(monday.getTime() + 6 * DAY_MS));
+    const normalizedKey = `${year}-W${String(week).padStart(2, '0')}`;
+    return {
+      period,
+      key: normalizedKey,
+      from,
+      to,
+      slug: `weekly-${normalizedKey.toLowerCase()}`,
+      title: `Current Affairs - Week of ${formatDay(from)} to ${formatDay(to)}`,
+    };
+  }
+
+  throw createHttpError(400, `Invalid period: ${period}. Use one of: ${COMPILATION_PERIODS.join(', ')}`);
+};
+
+/**
+ * Rank score of an affair for a compilation: exam relevance plus a bonus per extra outlet covering it
+ * @param {{ relevanceScore?: number|null, sources?: object[] }} affair
+ * @returns {number}
+ */
+export const getCompilationScore = (affair) => (affair.relevanceScore ?? 0)
+  + COVERAGE_WEIGHT * Math.min(affair.sources?.length || 0, MAX_COVERAGE_BONUS_SOURCES);
+
+/**
+ * Group affairs into category sections and keep the top items of each
+ * Sections follow the taxonomy order; exclude categories are dropped and "general" goes last
+ * @param {object[]} affairs - Affairs with _id, category, relevanceScore, sources, date
+ * @param {Array<{ key: string, name: string, exclude?: boolean }>} categories - Taxonomy
+ * @param {object} options
+ * @param {number} options.itemsPerCategory
+ * @param {{ key: string, name: string }} options.fallback - Section for uncategorised affairs
+ * @returns {Array<{ category: string, name: string, items: Array<{ affair: * }> }>}
+ */
+export const selectCompilationSections = (affairs, categories, { itemsPerCategory, fallback }) => {
+  const sections = categories
+    .filter(category => !category.exclude)
+    .map(category => ({ category: category.key, name: category.name, candidates: [] }));
+  const fallbackSection = { category: fallback.key, name: fallback.name, candidates: [] };
+  const byKey = new Map(sections.map(section => [section.category, section]));
+  const excluded = new Set(categories.filter(category => category.exclude).map(category => category.key));
+
+  for (const affair of affairs) {
+    if (excluded.has(affair.category)) continue;
+    (byKey.get(affair.category) || fallbackSection).candidates.push(affair);
+  }
+
+  return [...sections, fallbackSection]
+    .filter(section => section.candidates.length > 0)
+    .map(({ category, name, candidates }) => ({
+      category,
+      name,
+      items: candidates
+        .sort((a, b) => getCompilationScore(b) - getCompilationScore(a) || String(b.date).localeCompare(String(a.date)))
+        .slice(0, itemsPerCategory)
+        .map(affair => ({ affair: affair._id })),
+    }));
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+// Outlets that reported an affair, primary source first
+const getOutlets = (affair) => [...new Set([affair.source, ...(affair.sources || []).map(source => source.source)].filter(Boolean))];
+
+// Items whose affair has since been deleted are left out of exports
+const getExportSections = (compilation) => (compilation.sections || [])
+  .map(section => ({ ...section, items: (section.items || []).filter(item => item.affair && item.affair.title) }))
+  .filter(section => section.items.length > 0);
+
+/**
+ * Render a compilation (with populated affairs) as Markdown
+ * @param {object} compilation
+ * @returns {string}
+ */
+export const renderCompilationMarkdown = (compilation) => {
+  const lines = [`# ${escapeMarkdown(compilation.title)}`, '', `_${formatDay(compilation.from)} - ${formatDay(compilation.to)}_`, ''];
+  if (compilation.intro) {
+    lines.push(compilation.intro, '');
+  }
+
+  for (const section of getExportSections(compilation)) {
+    lines.push(`## ${escapeMarkdown(section.name)}`, '');
+    section.items.forEach((item, index) => {
+      const { affair } = item;
+      const title = affair.url ? `[${escapeMarkdown(affair.title)}](${affair.url})` : escapeMarkdown(affair.title);
+      lines.push(`${index + 1}. **${title}** (${formatDay(affair.date)}; ${getOutlets(affair).map(escapeMarkdown).join(', ')})`);
+      if (affair.description) {
+        lines.push(`   ${escapeMarkdown(affair.description)}`);
+      }
+      if (item.note) {
+        lines.push(`   > ${escapeMarkdown(item.note)}`);
+      }
+    });
+    lines.push('');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+/**
+ * Render a compilation (with populated affairs) as a standalone, printable HTML page
+ * @param {object} compilation
+ * @returns {string}
+ */
+export const renderCompilationHtml = (compilation) => {
+  const sections = getExportSections(compilation).map(section => {
+    const items = section.items.map(item => {
+      const { affair } = item;
+      const title = affair.url
+        ? `<a href="${escapeHtml(affair.url)}">${escapeHtml(affair.title)}</a>`
+        : escapeHtml(affair.title);
+      return [
+        '      <li>',
+        `        <h3>${title}</h3>`,
+        `        <p class="meta">${escapeHtml(formatDay(affair.date))} &middot; ${escapeHtml(getOutlets(affair).join(', '))}</p>`,
+        affair.description ? `        <p>${escapeHtml(affair.description)}</p>` : null,
+        item.note ? `        <p class="note">${escapeHtml(item.note)}</p>` : null,
+        '      </li>',
+      ].filter(Boolean).join('\n');
+    }).join('\n');
+
+    return `  <section>\n    <h2>${escapeHtml(section.name)}</h2>\n    <ol>\n${items}\n    </ol>\n  </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(compilation.title)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { border-bottom: 2px solid #333; padding-bottom: 0.25rem; margin-top: 2rem; page-break-after: avoid; }
+    h3 { font-size: 1.05rem; margin: 0; }
+    li { margin-bottom: 1rem; page-break-inside: avoid; }
+    a { color: inherit; }
+    .period, .meta { color: #666; font-size: 0.9rem; margin: 0.25rem 0; }
+    .note { border-left: 3px solid #999; padding-left: 0.5rem; font-style: italic; }
+    @media print { body { margin: 0; max-width: none; } a { text-decoration: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(compilation.title)}</h1>
+  <p class="period">${escapeHtml(formatDay(compilation.from))} - ${escapeHtml(formatDay(compilation.to))}</p>
+${compilation.intro ? `  <p>${escapeHtml(compilation.intro)}</p>\n` : ''}${sections}
+</body>
+</html>
+`;
+};
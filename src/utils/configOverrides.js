@@ -0,0 +1,28 @@
+/**
+ * Merge admin overrides (database documents) over built-in config entries by `key`
+ * Only fields that are set on an override replace the built-in value; overrides with
+ * unknown keys become new entries on top of `newEntryDefaults`
+ * @param {object[]} defaults - Built-in entries
+ * @param {object[]} overrides - Lean override documents
+ * @param {string[]} fields - Overridable fields (object fields are shallow-merged)
+ * @param {object} newEntryDefaults - Base for entries that only exist in the database
+ * @returns {object[]} - Entries flagged with builtIn / customized
+ */
+export const mergeWithOverrides = (defaults, overrides, fields, newEntryDefaults = {}) => {
+  const entries = new Map(defaults.map(entry => [entry.key, { ...entry, builtIn: true, customized: false }]));
+
+  for (const override of overrides) {
+    const base = entries.get(override.key) || { ...newEntryDefaults, key: override.key, builtIn: false };
+    const merged = { ...base, customized: base.builtIn };
+    for (const field of fields) {
+      const value = override[field];
+      if (value === undefined || value === null) continue;
+      merged[field] = typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+        ? { ...base[field], ...value }
+        : value;
+    }
+    entries.set(override.key, merged);
+  }
+
+  return [...entries.values()];
+};
@@ -0,0 +1,170 @@
+// Rule-based fact extraction for turning news articles into fill-in-the-blank MCQs
+
+const BLANK = '_____';
+
+// Sentences shorter/longer than this make poor questions
+const MIN_SENTENCE_LENGTH = 40;
+const MAX_SENTENCE_LENGTH = 280;
+
+// Capitalised words that are not useful answers on their own
+const ENTITY_STOPWORDS = new Set([
+  'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'It', 'He', 'She', 'They', 'We', 'I',
+  'In', 'On', 'At', 'For', 'From', 'With', 'By', 'As', 'After', 'Before', 'During', 'Amid',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December',
+  'Mr', 'Mrs', 'Ms', 'Dr', 'Read', 'Also', 'Watch', 'Live', 'Updates', 'News',
+]);
+
+// Amounts with an optional currency prefix and unit suffix, e.g. "₹2,000 crore", "6.5%", "1,200 MW"
+const NUMBER_PATTERN = /(?<![\w.,])(₹|Rs\.?\s?|\$|US\$)?(\d{1,3}(?:,\d{2,3})+|\d+)(\.\d+)?(\s?(?:%|per cent|percent|crore|lakh|billion|million|trillion|km|kg|MW|GW|tonnes|hectares))?/g;
+
+// Runs of capitalised words (optionally joined by "of", "and", "for", "the"), or acronyms like ISRO
+const ENTITY_PATTERN = /\b(?:[A-Z][a-zA-Z'&.-]*|[A-Z]{2,})(?:\s+(?:(?:of|and|for|the|de)\s+)?(?:[A-Z][a-zA-Z'&.-]*|[A-Z]{2,}))*\b/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const stripHtml = (text) => (text || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/\[\+\d+\s+chars\]$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split article text into candidate sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const splitSentences = (text) => stripHtml(text)
+  .split(/(?<=[.!?])\s+(?=[A-Z"'‘“])/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length >= MIN_SENTENCE_LENGTH && sentence.length <= MAX_SENTENCE_LENGTH);
+
+/**
+ * Named entities (people, places, organisations, schemes) mentioned in a piece of text
+ * Single words at the very start of a sentence are skipped - they are capitalised anyway
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const extractEntities = (text) => {
+  const entities = [];
+  for (const match of stripHtml(text).matchAll(ENTITY_PATTERN)) {
+    const words = match[0].split(/\s+/).filter(word => !ENTITY_STOPWORDS.has(word));
+    if (words.length === 0) continue;
+
+    const entity = words.join(' ').replace(/[.'-]+$/, '');
+    const isSingleWord = words.length === 1;
+    const atSentenceStart = match.index === 0 || /[.!?]\s*$/.test(text.slice(0, match.index));
+    if (entity.length < 3 || (isSingleWord && atSentenceStart && !/^[A-Z]{2,}$/.test(entity))) continue;
+
+    entities.push(entity);
+  }
+  return [...new Set(entities)];
+};
+
+/**
+ * Extract blankable facts from an article
+ * A fact is a sentence plus the span that becomes the answer:
+ * - number: an amount, rate or year ("repo rate at 6.5%")
+ * - entity: a multi-word name or acronym ("Reserve Bank of India")
+ * @param {{ title: string, description?: string, content?: string }} affair
+ * @returns {Array<{ type: 'number'|'entity', sentence: string, answer: string }>}
+ */
+export const extractFacts = (affair) => {
+  const sentences = [...new Set([
+    ...splitSentences(affair.title?.endsWith('.') ? affair.title : `${affair.title || ''}.`),
+    ...splitSentences(affair.description),
+    ...splitSentences(affair.content),
+  ])];
+
+  const facts = [];
+  for (const sentence of sentences) {
+    for (const match of sentence.matchAll(NUMBER_PATTERN)) {
+      const value = parseFloat(match[2].replace(/,/g, '') + (match[3] || ''));
+      // Bare single digits ("2 ministers") are rarely the point of the story
+      if (!match[1] && !match[4] && value < 10) continue;
+      facts.push({ type: 'number', sentence, answer: match[0].trim() });
+    }
+
+    for (const entity of extractEntities(sentence)) {
+      if (entity.includes(' ') || /^[A-Z]{2,}$/.test(entity)) {
+        facts.push({ type: 'entity', sentence, answer: entity });
+      }
+    }
+  }
+  return facts;
+};
+
+/**
+ * Plausible wrong answers for a numeric fact, keeping its currency and unit
+ * @param {string} answer - e.g. "₹2,000 crore"
+ * @param {number} count
+ * @returns {string[]}
+ */
+export const buildNumericDistractors = (answer, count = 3) => {
+  const match = new RegExp(`^${NUMBER_PATTERN.source}$`).exec(answer);
+  if (!match) return [];
+
+  const [, prefix = '', integerPart, fraction = '', suffix = ''] = match;
+  const value = parseFloat(integerPart.replace(/,/g, '') + fraction);
+  const decimals = fraction ? fraction.length - 1 : 0;
+  const grouped = integerPart.includes(',');
+  const isYear = !prefix && !suffix && !fraction && value >= 1900 && value <= 2100;
+  const isRate = /%|per ?cent/.test(suffix);
+
+  // Years and rates move by small steps, other amounts are scaled
+  let candidates;
+  if (isYear) {
+    candidates = [value - 1, value + 1, value - 2, value + 2, value - 5];
+  } else if (isRate) {
+    const step = decimals > 0 ? 0.5 : 2;
+    candidates = [-1, 1, 2, -2, 3].map(offset => value + offset * step);
+  } else {
+    candidates = [0.5, 1.5, 0.75, 1.25, 2].map(factor => value * factor);
+  }
+
+  const format = (number) => {
+    const rounded = decimals > 0 ? number.toFixed(decimals) : String(Math.round(number));
+    const body = grouped
+      ? Number(rounded).toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+      : rounded;
+    return `${prefix}${body}${suffix}`;
+  };
+
+  const distractors = [];
+  for (const candidate of candidates) {
+    if (candidate <= 0) continue;
+    const formatted = format(candidate);
+    if (formatted !== answer && !distractors.includes(formatted)) {
+      distractors.push(formatted);
+    }
+    if (distractors.length === count) break;
+  }
+  return distractors;
+};
+
+/**
+ * Build a fill-in-the-blank MCQ from a fact
+ * @param {{ sentence: string, answer: string }} fact
+ * @param {string[]} distractors - Wrong options (at least 3 are needed)
+ * @returns {{ text: string, options: string[], correctIndex: number }|null}
+ */
+export const buildClozeQuestion = (fact, distractors) => {
+  const pattern = new RegExp(escapeRegExp(fact.answer));
+  if (!pattern.test(fact.sentence)) return null;
+
+  const wrong = [...new Set(distractors)]
+    .filter(option => option.toLowerCase() !== fact.answer.toLowerCase() && !fact.sentence.includes(option))
+    .slice(0, 3);
+  if (wrong.length < 3) return null;
+
+  const options = [...wrong];
+  const correctIndex = Math.floor(Math.random() * (options.length + 1));
+  options.splice(correctIndex, 0, fact.answer);
+
+  return {
+    text: `Fill in the blank: ${fact.sentence.replace(pattern, BLANK)}`,
+    options,
+    correctIndex,
+  };
+};
@@ -0,0 +1,202 @@
+// Minimal RSS 2.0 / Atom parser for news feeds (no XML dependency)
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™',
+  deg: '°', rupee: '₹', euro: '€', pound: '£', laquo: '«', raquo: '»',
+};
+
+// Timezone abbreviations Date.parse does not understand
+const TIMEZONE_OFFSETS = { IST: '+0530' };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Decode XML/HTML character references (&amp; &#8217; &#x20B9; &rsquo; ...)
+ * Unknown named entities are left as they are
+ * @param {string} text
+ * @returns {string}
+ */
+export const decodeEntities = (text) => (text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const codePoint = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    try {
+      return String.fromCodePoint(codePoint);
+    } catch {
+      return match;
+    }
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const stripCdata = (text) => text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+
+// Raw inner markup of the first matching element ("dc:creator" style names include the prefix)
+const getElement = (xml, names) => {
+  for (const name of names) {
+    const pattern = new RegExp(`<${escapeRegExp(name)}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${escapeRegExp(name)}>)`, 'i');
+    const match = pattern.exec(xml);
+    if (match) {
+      return { attributes: match[1] || '', inner: match[2] || '' };
+    }
+  }
+  return null;
+};
+
+const getAllElements = (xml, name) => {
+  const pattern = new RegExp(`<${escapeRegExp(name)}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${escapeRegExp(name)}>)`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => ({ attributes: match[1] || '', inner: match[2] || '' }));
+};
+
+const getAttribute = (attributes, name) => {
+  const match = new RegExp(`\\b${escapeRegExp(name)}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(attributes || '');
+  return match ? decodeEntities(match[1] ?? match[2]) : '';
+};
+
+// Element content as markup: CDATA is literal, everything else is entity-encoded
+const toMarkup = (inner) => {
+  if (!inner) return '';
+  const trimmed = inner.trim();
+  return /^<!\[CDATA\[/.test(trimmed) ? stripCdata(trimmed) : decodeEntities(stripCdata(trimmed));
+};
+
+/**
+ * Plain text from (possibly HTML) markup
+ * @param {string} markup
+ * @returns {string}
+ */
+export const htmlToText = (markup) => decodeEntities((markup || '')
+  .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<br\s*\/?>|<\/p>/gi, ' ')
+  .replace(/<[^>]*>/g, ' '))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const getText = (xml, names) => {
+  const element = getElement(xml, names);
+  return element ? htmlToText(toMarkup(element.inner)) : '';
+};
+
+/**
+ * Parse a feed date (RFC 822 for RSS, ISO 8601 for Atom)
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export const parseFeedDate = (value) => {
+  if (!value) return null;
+  const normalized = value.trim().replace(/\b([A-Z]{2,4})$/, (abbreviation) => TIMEZONE_OFFSETS[abbreviation] || abbreviation);
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// First image of an item: enclosure, media:content/thumbnail, then an <img> in the HTML
+const getImage = (xml, html) => {
+  for (const enclosure of getAllElements(xml, 'enclosure')) {
+    const type = getAttribute(enclosure.attributes, 'type');
+    const url = getAttribute(enclosure.attributes, 'url');
+    if (url && (!type || type.startsWith('image/'))) return url;
+  }
+  for (const media of getAllElements(xml, 'media:content')) {
+    const medium = getAttribute(media.attributes, 'medium');
+    const type = getAttribute(media.attributes, 'type');
+    const url = getAttribute(media.attributes, 'url');
+    if (url && (medium === 'image' || type.startsWith('image/') || (!medium && !type))) return url;
+  }
+  const thumbnail = getElement(xml, ['media:thumbnail']);
+  if (thumbnail && getAttribute(thumbnail.attributes, 'url')) {
+    return getAttribute(thumbnail.attributes, 'url');
+  }
+  const img = /<img\s[^>]*src\s*=\s*["']([^"']+)["']/i.exec(html || '');
+  return img ? decodeEntities(img[1]) : '';
+};
+
+const parseRssItem = (xml) => {
+  const descriptionHtml = toMarkup(getElement(xml, ['description'])?.inner);
+  const contentHtml = toMarkup(getElement(xml, ['content:encoded'])?.inner);
+
+  return {
+    title: getText(xml, ['title']),
+    link: getText(xml, ['link']) || getText(xml, ['guid']),
+    guid: getText(xml, ['guid']),
+    description: htmlToText(descriptionHtml),
+    content: htmlToText(contentHtml) || htmlToText(descriptionHtml),
+    publishedAt: parseFeedDate(getText(xml, ['pubDate', 'dc:date', 'published', 'updated'])),
+    author: getText(xml, ['dc:creator', 'author']),
+    categories: getAllElements(xml, 'category')
+      .map(category => htmlToText(toMarkup(category.inner)))
+      .filter(Boolean),
+    image: getImage(xml, contentHtml || descriptionHtml),
+  };
+};
+
+const parseAtomEntry = (xml) => {
+  const links = getAllElements(xml, 'link');
+  const link = links.find(l => ['', 'alternate'].includes(getAttribute(l.attributes, 'rel'))) || links[0];
+  const summaryHtml = toMarkup(getElement(xml, ['summary'])?.inner);
+  const contentHtml = toMarkup(getElement(xml, ['content'])?.inner);
+  const author = getElement(xml, ['author']);
+
+  return {
+    title: getText(xml, ['title']),
+    link: link ? getAttribute(link.attributes, 'href') : '',
+    guid: getText(xml, ['id']),
+    description: htmlToText(summaryHtml) || htmlToText(contentHtml),
+    content: htmlToText(contentHtml) || htmlToText(summaryHtml),
+    publishedAt: parseFeedDate(getText(xml, ['published', 'updated'])),
+    author: author ? getText(author.inner, ['name']) : '',
+    categories: getAllElements(xml, 'category')
+      .map(category => getAttribute(category.attributes, 'term') || htmlToText(toMarkup(category.inner)))
+      .filter(Boolean),
+    image: getImage(xml, contentHtml || summaryHtml),
+  };
+};
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml
+ * @returns {{ format: 'rss'|'atom', title: string, items: object[] }}
+ *   items: { title, link, guid, description, content, publishedAt (Date|null), author, categories, image }
+ */
+export const parseFeed = (xml) => {
+  const source = String(xml || '');
+
+  if (/<feed[\s>]/i.test(source) && !/<rss[\s>]/i.test(source)) {
+    const header = source.split(/<entry[\s>]/i)[0];
+    return {
+      format: 'atom',
+      title: getText(header, ['title']),
+      items: getAllElements(source, 'entry').map(entry => parseAtomEntry(entry.inner)),
+    };
+  }
+
+  if (!/<(rss|rdf:RDF|channel)[\s>]/i.test(source)) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  const header = source.split(/<item[\s>]/i)[0];
+  return {
+    format: 'rss',
+    title: getText(header, ['title']),
+    items: getAllElements(source, 'item').map(item => parseRssItem(item.inner)),
+  };
+};
+
+/**
+ * Keep the items published on a calendar day
+ * @param {object[]} items - Parsed feed items
+ * @param {string|null} targetDate - YYYY-MM-DD (null keeps everything)
+ * @param {object} options
+ * @param {string} options.timezone - Timezone the day is measured in
+ * @param {boolean} options.includeUndated - Keep items without a date (some feeds omit them)
+ * @returns {object[]}
+ */
+export const filterItemsByDate = (items, targetDate, { timezone = 'Asia/Kolkata', includeUndated = true } = {}) => {
+  if (!targetDate) return items;
+  return items.filter(item => {
+    if (!item.publishedAt) return includeUndated;
+    return item.publishedAt.toLocaleDateString('en-CA', { timeZone: timezone }) === targetDate;
+  });
+};
@@ -0,0 +1,11 @@
+/**
+ * Errors that carry the HTTP status controllers answer with
+ * Services throw them for invalid input (400) or conflicts (409); anything without a status is a 500
+ */
+
+/**
+ * @param {number} status - HTTP status code
+ * @param {string} message
+ * @returns {Error} - Error with a `status` property
+ */
+export const createHttpError = (status, message) => Object.assign(new Error(message), { status });
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
 
+const ANONYMOUS_SESSION = 'anonymous_session';
+
 export const generateToken = (userId, role) => {
   return jwt.sign(
     { userId, role },
@@ -11,9 +13,34 @@ export const generateToken = (userId, role) => {
 
 export const verifyToken = (token) => {
   try {
-    return jwt.verify(token, config.jwtSecret);
+    const decoded = jwt.verify(token, config.jwtSecret);
+    // Anonymous session tokens never authenticate a user
+    return decoded.type === ANONYMOUS_SESSION ? null : decoded;
   } catch (error) {
     return null;
   }
 };
 
+// Proof of ownership of an anonymous test session - issued when an anonymous test is created
+export const generateSessionToken = (sessionId) => {
+  return jwt.sign(
+    { sessionId, type: ANONYMOUS_SESSION },
+    config.jwtSecret,
+    { expiresIn: '30d' }
+  );
+};
+
+// Credentials of a new anonymous test - only the signed token, so the session ID alone never proves ownership
+export const anonymousSessionPayload = (sessionId) => ({
+  sessionToken: generateSessionToken(sessionId),
+});
+
+// Returns the session ID of a valid anonymous session token, otherwise null
+export const verifySessionToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    return decoded.type === ANONYMOUS_SESSION && decoded.sessionId ? decoded.sessionId : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * Question type helpers
+ * Normalises and validates the type-specific answer keys of questions
+ *
+ * single           - one correct option (correctIndex)
+ * multiple         - one or more correct options (correctIndices)
+ * numeric          - numeric entry (numericAnswer.value +/- numericAnswer.tolerance)
+ * assertion_reason - assertion + reason statements with the standard options (correctIndex)
+ * match            - match the following (matchColumns.left[i] -> matchColumns.right[correctMatches[i]])
+ */
+
+export const QUESTION_TYPES = ['single', 'multiple', 'numeric', 'assertion_reason', 'match'];
+
+// Types answered by picking from `options`
+export const CHOICE_TYPES = ['single', 'multiple', 'assertion_reason'];
+
+// Answer key fields - never sent to students before submission
+export const ANSWER_KEY_FIELDS = ['correctIndex', 'correctIndices', 'numericAnswer', 'correctMatches'];
+
+/**
+ * A question snapshot without its answer key and explanation, for responses before submission
+ * @param {object} question - Lean question or attempt snapshot
+ * @returns {object}
+ */
+export const toStudentQuestion = (question) => {
+  const studentQuestion = { ...question };
+  for (const field of [...ANSWER_KEY_FIELDS, 'explanation']) delete studentQuestion[field];
+  return studentQuestion;
+};
+
+export const isChoiceType = (type) => CHOICE_TYPES.includes(type || 'single');
+
+// Types whose options may be shown in a per-attempt random order
+// (assertion-reason options follow a fixed convention and keep their order)
+export const SHUFFLABLE_TYPES = ['single', 'multiple'];
+
+/**
+ * Reorder a question snapshot's options for display
+ * optionOrder[displayIndex] = canonical option index
+ * The answer key is not touched - it stays canonical on the Question and is mapped
+ * through optionOrder (toDisplayAnswer) only in practice feedback and results
+ * @param {object} question - Lean question snapshot (options)
+ * @param {Array<number>} optionOrder - Permutation of the option indices
+ * @returns {object} - Question with options in display order
+ */
+export const applyOptionOrder = (question, optionOrder) => ({
+  ...question,
+  options: optionOrder.map(idx => question.options[idx]),
+});
+
+const mapOptionIndex = (answer, mapIndex) => {
+  if (answer === null || answer === undefined) return answer;
+  if (Array.isArray(answer)) return answer.map(value => (value === null ? null : mapIndex(value)));
+  return mapIndex(answer);
+};
+
+/**
+ * Map an answer given in display order to canonical option indices (unknown indices are left as they are)
+ * @param {number|Array|null} answer - Normalised answer
+ * @param {Array<number>} optionOrder - Permutation stored on the attempt question
+ * @returns {number|Array|null}
+ */
+export const toCanonicalAnswer = (answer, optionOrder) => mapOptionIndex(answer, (value) => (
+  Number.isInteger(value) && value >= 0 && value < optionOrder.length ? optionOrder[value] : value
+));
+
+/**
+ * Map canonical option indices back to the order the student saw
+ * @param {number|Array|null} answer - Answer or answer key in canonical indices
+ * @param {Array<number>} optionOrder - Permutation stored on the attempt question
+ * @returns {number|Array|null}
+ */
+export const toDisplayAnswer = (answer, optionOrder) => mapOptionIndex(answer, (value) => {
+  const idx = optionOrder.indexOf(value);
+  return idx === -1 ? value : idx;
+});
+
+// Non-integers ("1.7", 1.7, "1abc") become NaN so validateAnswerKey rejects them instead of truncating
+const toInt = (value) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(parsed) ? parsed : NaN;
+};
+
+// Accept arrays or comma separated strings ("0,2") from bulk uploads
+const toIntArray = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => toInt(typeof item === 'string' ? item.trim() : item));
+};
+
+const toStringArray = (value) => (Array.isArray(value)
+  ? value.map(item => (typeof item === 'string' ? item.trim() : item?.text?.trim() || ''))
+  : []);
+
+/**
+ * Coerce loosely typed input (forms, spreadsheets) into the stored answer key shape
+ * Only the fields relevant to the question type are returned
+ * @param {object} q - Raw question input
+ * @returns {object} - { type, correctIndex?, correctIndices?, numericAnswer?, assertion?, reason?, matchColumns?, correctMatches? }
+ */
+export const normalizeAnswerKey = (q) => {
+  const type = q.type ? String(q.type).toLowerCase().trim() : 'single';
+
+  switch (type) {
+    case 'multiple':
+      return { type, correctIndices: [...new Set(toIntArray(q.correctIndices))].sort((a, b) => a - b) };
+    case 'numeric':
+      return {
+        type,
+        numericAnswer: {
+          value: Number(q.numericAnswer?.value ?? q.numericAnswer),
+          tolerance: Number(q.numericAnswer?.tolerance ?? 0),
+        },
+      };
+    case 'assertion_reason':
+      return {
+        type,
+        correctIndex: toInt(q.correctIndex),
+        assertion: (q.assertion || '').trim(),
+        reason: (q.reason || '').trim(),
+      };
+    case 'match':
+      return {
+        type,
+        matchColumns: {
+          left: toStringArray(q.matchColumns?.left),
+          right: toStringArray(q.matchColumns?.right),
+        },
+        correctMatches: toIntArray(q.correctMatches),
+      };
+    default:
+      return { type, correctIndex: toInt(q.correctIndex) };
+  }
+};
+
+/**
+ * Check that a question's answer key is consistent with its type and options
+ * @param {object} q - Question data (normalised answer key + options)
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateAnswerKey = (q) => {
+  const type = q.type || 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    return `Invalid question type "${type}" (expected one of ${QUESTION_TYPES.join(', ')})`;
+  }
+
+  const optionsCount = Array.isArray(q.options) ? q.options.length : 0;
+  if (isChoiceType(type) && optionsCount < 2) {
+    return `At least 2 options are required (got ${optionsCount})`;
+  }
+
+  const isValidIndex = (idx, count) => Number.isInteger(idx) && idx >= 0 && idx < count;
+
+  switch (type) {
+    case 'single':
+    case 'assertion_reason':
+      if (!isValidIndex(q.correctIndex, optionsCount)) {
+        return `Invalid correct answer index (got ${q.correctIndex}, valid range: 0-${optionsCount - 1})`;
+      }
+      if (type === 'assertion_reason' && (!q.assertion?.trim() || !q.reason?.trim())) {
+        return 'Assertion and reason are required for assertion-reason questions';
+      }
+      return null;
+    case 'multiple':
+      if (!Array.isArray(q.correctIndices) || q.correctIndices.length === 0) {
+        return 'At least one correct option is required for multiple-select questions';
+      }
+      if (!q.correctIndices.every(idx => isValidIndex(idx, optionsCount))) {
+        return `Invalid correct option indices (got ${q.correctIndices}, valid range: 0-${optionsCount - 1})`;
+      }
+      return null;
+    case 'numeric':
+      if (!Number.isFinite(q.numericAnswer?.value)) {
+        return 'A numeric answer value is required for numeric questions';
+      }
+      if (!Number.isFinite(q.numericAnswer?.tolerance) || q.numericAnswer.tolerance < 0) {
+        return 'Numeric answer tolerance must be a non-negative number';
+      }
+      return null;
+    case 'match': {
+      const left = q.matchColumns?.left || [];
+      const right = q.matchColumns?.right || [];
+      if (left.length < 2 || right.length < 2 || left.some(item => !item) || right.some(item => !item)) {
+        return 'Match questions need at least 2 non-empty items in each column';
+      }
+      if (!Array.isArray(q.correctMatches) || q.correctMatches.length !== left.length) {
+        return `correctMatches must have one entry per left column item (expected ${left.length})`;
+      }
+      if (!q.correctMatches.every(idx => isValidIndex(idx, right.length))) {
+        return `Invalid correctMatches (valid range: 0-${right.length - 1})`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,311 @@
+/**
+ * Test scoring helpers
+ * Resolves per-paper marking schemes and grades test attempts against them
+ */
+
+import { toDisplayAnswer } from './questionTypes.js';
+
+// Used when neither the paper nor the exam define a scheme: 1 mark per correct, no penalty
+export const DEFAULT_MARKING_SCHEME = {
+  marksPerCorrect: 1,
+  negativeMarkingRatio: 0,
+  partialCredit: false,
+};
+
+// Pace used to judge time per question on untimed tests (UPSC prelims: 120 minutes for 100 questions)
+export const DEFAULT_SECONDS_PER_QUESTION = 72;
+
+const isSet = (value) => value !== null && value !== undefined && !Number.isNaN(Number(value));
+
+export const roundMarks = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve the marking scheme for a new test attempt
+ * Precedence: question paper scheme > exam scheme > explicit paper totalMarks spread over the paper's questions > default
+ * @param {object} params
+ * @param {object|null} params.questionPaper - Lean question paper (markingScheme, totalMarks, totalMarksExplicit)
+ * @param {object|null} params.exam - Lean exam (markingScheme)
+ * @param {number} params.paperQuestionCount - Published questions of the whole paper (not of the attempt)
+ * @returns {{ marksPerCorrect: number, negativeMarkingRatio: number, partialCredit: boolean }}
+ */
+export const resolveMarkingScheme = ({ questionPaper = null, exam = null, paperQuestionCount = 0 } = {}) => {
+  const paperScheme = questionPaper?.markingScheme || {};
+  const examScheme = exam?.markingScheme || {};
+
+  let marksPerCorrect = DEFAULT_MARKING_SCHEME.marksPerCorrect;
+  if (isSet(paperScheme.marksPerCorrect)) {
+    marksPerCorrect = Number(paperScheme.marksPerCorrect);
+  } else if (isSet(examScheme.marksPerCorrect)) {
+    marksPerCorrect = Number(examScheme.marksPerCorrect);
+  } else if (questionPaper?.totalMarksExplicit && questionPaper.totalMarks > 0 && paperQuestionCount > 0) {
+    // e.g. UPSC GS Paper I: 200 marks over 100 questions = 2 marks each
+    // Legacy papers only carry the schema default of 100 and use the default scheme instead
+    // Not rounded here, so the marks of all questions add up to totalMarks (100 over 30 questions)
+    marksPerCorrect = questionPaper.totalMarks / paperQuestionCount;
+  }
+
+  let negativeMarkingRatio = DEFAULT_MARKING_SCHEME.negativeMarkingRatio;
+  if (isSet(paperScheme.negativeMarkingRatio)) {
+    negativeMarkingRatio = Number(paperScheme.negativeMarkingRatio);
+  } else if (isSet(examScheme.negativeMarkingRatio)) {
+    negativeMarkingRatio = Number(examScheme.negativeMarkingRatio);
+  }
+
+  let partialCredit = DEFAULT_MARKING_SCHEME.partialCredit;
+  if (typeof paperScheme.partialCredit === 'boolean') {
+    partialCredit = paperScheme.partialCredit;
+  } else if (typeof examScheme.partialCredit === 'boolean') {
+    partialCredit = examScheme.partialCredit;
+  }
+
+  return { marksPerCorrect, negativeMarkingRatio, partialCredit };
+};
+
+const toAnswerNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Normalise an answer submitted by a student
+ * Arrays (multiple-select, match) keep their positions; everything else becomes a number
+ * @param {any} answer - Raw answer from the request
+ * @returns {number|Array|null}
+ */
+export const normalizeAnswer = (answer) => {
+  if (Array.isArray(answer)) {
+    const values = answer.map(toAnswerNumber);
+    return values.every(value => value === null) ? null : values;
+  }
+  return toAnswerNumber(answer);
+};
+
+/**
+ * Grade a single answer against the question's type-specific answer key
+ * Partial credit (multiple-select with no wrong picks, partly correct matches) only applies when allowed
+ * @param {object} question - Lean question with answer key (type, correctIndex, correctIndices, numericAnswer, correctMatches)
+ * @param {any} answer - Answer stored on the attempt
+ * @param {object} options
+ * @param {boolean} options.partialCredit - Whether the marking scheme awards partial credit
+ * @returns {{ attempted: boolean, isCorrect: boolean, fraction: number, userAnswer: any, correctAnswer: any }}
+ */
+export const gradeAnswer = (question, answer, { partialCredit = false } = {}) => {
+  const type = question?.type || 'single';
+  const userAnswer = normalizeAnswer(answer);
+  const attempted = userAnswer !== null;
+  const result = (fraction, correctAnswer) => ({
+    attempted,
+    isCorrect: attempted && fraction === 1,
+    fraction: attempted ? fraction : 0,
+    userAnswer,
+    correctAnswer,
+  });
+
+  if (!question) {
+    return result(0, null);
+  }
+
+  switch (type) {
+    case 'multiple': {
+      const correctAnswer = [...(question.correctIndices || [])].map(Number).sort((a, b) => a - b);
+      const selected = Array.isArray(userAnswer)
+        ? [...new Set(userAnswer.filter(value => value !== null))]
+        : (userAnswer !== null ? [userAnswer] : []);
+      const hits = selected.filter(value => correctAnswer.includes(value)).length;
+      const misses = selected.length - hits;
+      if (hits === correctAnswer.length && misses === 0) return result(1, correctAnswer);
+      if (partialCredit && misses === 0 && hits > 0) return result(hits / correctAnswer.length, correctAnswer);
+      return result(0, correctAnswer);
+    }
+    case 'numeric': {
+      const correctAnswer = {
+        value: Number(question.numericAnswer?.value),
+        tolerance: Number(question.numericAnswer?.tolerance || 0),
+      };
+      const value = Array.isArray(userAnswer) ? userAnswer[0] : userAnswer;
+      const withinTolerance = value !== null && value !== undefined &&
+        Math.abs(value - correctAnswer.value) <= correctAnswer.tolerance + 1e-9;
+      return result(withinTolerance ? 1 : 0, correctAnswer);
+    }
+    case 'match': {
+      const correctAnswer = (question.correctMatches || []).map(Number);
+      const given = Array.isArray(userAnswer) ? userAnswer : [];
+      const matched = correctAnswer.filter((value, idx) => given[idx] === value).length;
+      if (correctAnswer.length > 0 && matched === correctAnswer.length) return result(1, correctAnswer);
+      if (partialCredit && matched > 0) return result(matched / correctAnswer.length, correctAnswer);
+      return result(0, correctAnswer);
+    }
+    default: {
+      // single and assertion_reason
+      const correctAnswer = isSet(question.correctIndex) ? Number(question.correctIndex) : null;
+      return result(correctAnswer !== null && userAnswer === correctAnswer ? 1 : 0, correctAnswer);
+    }
+  }
+};
+
+/**
+ * Score every question of an attempt
+ * Correct answers earn the question's marks, partially correct ones a share of them,
+ * wrong answers lose negativeMarkingRatio of them and unattempted questions score 0
+ * Answers are stored in canonical option order; results report them in the order the student saw (optionOrder)
+ * @param {Array} attemptQuestions - TestAttempt.questions
+ * @param {Map} questionMap - questionId string -> lean Question (answer key, marks, explanation)
+ * @param {object} markingScheme - Scheme snapshot stored on the attempt
+ * @returns {object} - results plus correct/partial/incorrect/unattempted counts, marks and percentage
+ */
+export const scoreAttempt = (attemptQuestions, questionMap, markingScheme = DEFAULT_MARKING_SCHEME) => {
+  const scheme = { ...DEFAULT_MARKING_SCHEME };
+  if (isSet(markingScheme?.marksPerCorrect)) scheme.marksPerCorrect = Number(markingScheme.marksPerCorrect);
+  if (isSet(markingScheme?.negativeMarkingRatio)) scheme.negativeMarkingRatio = Number(markingScheme.negativeMarkingRatio);
+  if (typeof markingScheme?.partialCredit === 'boolean') scheme.partialCredit = markingScheme.partialCredit;
+
+  let correct = 0;
+  let partial = 0;
+  let incorrect = 0;
+  let unattempted = 0;
+  let marksObtained = 0;
+  let maxMarks = 0;
+
+  const results = attemptQuestions.map(q => {
+    const question = questionMap.get(q.questionId.toString());
+    // Per-question marks override the scheme so papers can weight questions differently
+    const questionMarks = isSet(question?.marks) ? Number(question.marks) : scheme.marksPerCorrect;
+    const graded = gradeAnswer(question, q.answer, { partialCredit: scheme.partialCredit });
+
+    let status;
+    let marksAwarded = 0;
+    if (!graded.attempted) {
+      status = 'unattempted';
+      unattempted++;
+    } else if (graded.isCorrect) {
+      status = 'correct';
+      marksAwarded = questionMarks;
+      correct++;
+    } else if (graded.fraction > 0) {
+      status = 'partial';
+      marksAwarded = questionMarks * graded.fraction;
+      partial++;
+    } else {
+      status = 'incorrect';
+      marksAwarded = -questionMarks * scheme.negativeMarkingRatio;
+      incorrect++;
+    }
+
+    marksObtained += marksAwarded;
+    maxMarks += questionMarks;
+
+    const optionOrder = q.optionOrder?.length > 0 ? q.optionOrder : null;
+
+    return {
+      questionId: q.questionId,
+      question: q.question,
+      type: question?.type || 'single',
+      userAnswer: optionOrder ? toDisplayAnswer(graded.userAnswer, optionOrder) : graded.userAnswer,
+      correctAnswer: optionOrder ? toDisplayAnswer(graded.correctAnswer, optionOrder) : graded.correctAnswer,
+      isCorrect: graded.isCorrect,
+      status,
+      marksAwarded: roundMarks(marksAwarded),
+      maxMarks: roundMarks(questionMarks),
+      explanation: question ? question.explanation : '',
+      flagged: q.flagged,
+      section: q.section ?? null,
+      timeSpentSeconds: q.timeSpentSeconds || 0,
+      visits: q.visits || 0,
+    };
+  });
+
+  const percentage = maxMarks > 0 ? (marksObtained / maxMarks) * 100 : 0;
+
+  return {
+    results,
+    correct,
+    partial,
+    incorrect,
+    unattempted,
+    total: attemptQuestions.length,
+    marksObtained: roundMarks(marksObtained),
+    maxMarks: roundMarks(maxMarks),
+    percentage: roundMarks(percentage),
+  };
+};
+
+/**
+ * Sectional scores for blueprint tests - totals of scoreAttempt results grouped by their section index
+ * @param {Array} results - scoreAttempt results (each with section)
+ * @param {Array} sections - Blueprint sections ({ name, subjectId, tag }) in index order
+ * @returns {Array} - One entry per section with counts, marks and percentage
+ */
+export const summarizeSections = (results, sections = []) => sections.map((section, index) => {
+  const sectionResults = results.filter(result => result.section === index);
+  const count = (status) => sectionResults.filter(result => result.status === status).length;
+  const marksObtained = sectionResults.reduce((sum, result) => sum + (result.marksAwarded || 0), 0);
+  const maxMarks = sectionResults.reduce((sum, result) => sum + (result.maxMarks || 0), 0);
+
+  return {
+    index,
+    name: section.name || null,
+    subjectId: section.subjectId || null,
+    tag: section.tag || null,
+    total: sectionResults.length,
+    correct: count('correct'),
+    partial: count('partial'),
+    incorrect: count('incorrect'),
+    unattempted: count('unattempted'),
+    marksObtained: roundMarks(marksObtained),
+    maxMarks: roundMarks(maxMarks),
+    percentage: maxMarks > 0 ? roundMarks((marksObtained / maxMarks) * 100) : 0,
+  };
+});
+
+/**
+ * Flag questions answered suspiciously quickly (likely guessed) or far slower than the test's pace
+ * Questions without tracked time are never flagged
+ * @param {object} result - scoreAttempt result (status, timeSpentSeconds)
+ * @param {number} expectedSeconds - Expected seconds per question
+ * @returns {'too_fast'|'too_slow'|null}
+ */
+export const getTimeFlag = (result, expectedSeconds) => {
+  const seconds = result.timeSpentSeconds || 0;
+  if (seconds <= 0) return null;
+  if (seconds > expectedSeconds * 2) return 'too_slow';
+  if (result.status !== 'unattempted' && seconds < Math.max(5, expectedSeconds * 0.2)) return 'too_fast';
+  return null;
+};
+
+/**
+ * Time spent overall and per subject, with too fast / too slow counts
+ * @param {Array} results - scoreAttempt results with timeFlag
+ * @param {number} expectedSeconds - Expected seconds per question
+ * @returns {object}
+ */
+export const summarizeTiming = (results, expectedSeconds) => {
+  const tracked = results.filter(result => result.timeSpentSeconds > 0);
+  const totalSeconds = tracked.reduce((sum, result) => sum + result.timeSpentSeconds, 0);
+
+  const subjects = new Map();
+  tracked.forEach(result => {
+    const subject = result.question?.subject;
+    const key = subject?._id ? subject._id.toString() : 'unknown';
+    if (!subjects.has(key)) {
+      subjects.set(key, { subjectId: subject?._id || null, name: subject?.name || 'Unknown', questions: 0, timeSpentSeconds: 0 });
+    }
+    const entry = subjects.get(key);
+    entry.questions++;
+    entry.timeSpentSeconds += result.timeSpentSeconds;
+  });
+
+  return {
+    expectedSecondsPerQuestion: roundMarks(expectedSeconds),
+    trackedQuestions: tracked.length,
+    timeSpentSeconds: roundMarks(totalSeconds),
+    averageSecondsPerQuestion: tracked.length > 0 ? roundMarks(totalSeconds / tracked.length) : null,
+    tooFast: results.filter(result => result.timeFlag === 'too_fast').length,
+    tooSlow: results.filter(result => result.timeFlag === 'too_slow').length,
+    subjects: [...subjects.values()].map(entry => ({
+      ...entry,
+      timeSpentSeconds: roundMarks(entry.timeSpentSeconds),
+      averageSecondsPerQuestion: roundMarks(entry.timeSpentSeconds / entry.questions),
+    })),
+  };
+};
@@ -0,0 +1,92 @@
+// MinHash near-duplicate detection for short news texts (title + description)
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'from', 'by', 'with',
+  'as', 'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'it', 'its', 'this', 'that',
+  'these', 'those', 'will', 'would', 'can', 'could', 'says', 'said', 'after', 'over', 'into', 'amid',
+  'new', 'his', 'her', 'their', 'he', 'she', 'they', 'we', 'not', 'no', 'also', 'about', 'up',
+]);
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// 32-bit FNV-1a hash of a string, seeded so each seed acts as a different hash function
+const hash = (text, seed) => {
+  let h = (FNV_OFFSET ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, FNV_PRIME) >>> 0;
+  }
+  return h;
+};
+
+/**
+ * Normalised content words of a text (lowercase, no punctuation/stopwords, plural "s" trimmed)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/&[a-z]+;/g, ' ')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !STOPWORDS.has(word) && (word.length > 2 || /^\d+$/.test(word)))
+  .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+/**
+ * Shingles of a text - its distinct content words
+ * Single words rather than word pairs: reworded headlines of one story share words far more often than phrases
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+export const shingle = (text) => new Set(tokenize(text));
+
+/**
+ * Exact Jaccard similarity of two sets
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number}
+ */
+export const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 0;
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+};
+
+/**
+ * MinHash signature of a text - estimates Jaccard similarity without keeping the shingles
+ * @param {string} text
+ * @param {number} numHashes - Signature length (more = better estimate)
+ * @returns {number[]} - Empty when the text has no content words
+ */
+export const minHashSignature = (text, numHashes = 128) => {
+  const shingles = shingle(text);
+  if (shingles.size === 0) return [];
+
+  const signature = new Array(numHashes).fill(0xffffffff);
+  for (const item of shingles) {
+    for (let i = 0; i < numHashes; i++) {
+      const value = hash(item, i);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+};
+
+/**
+ * Estimated Jaccard similarity of two MinHash signatures (same length)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export const estimateSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+};
@@ -0,0 +1,33 @@
+import { classifyAffair } from '../src/utils/affairClassifier.js';
+import { DEFAULT_AFFAIR_CATEGORIES } from '../src/config/currentAffairsTaxonomy.js';
+
+describe('Affair classifier', () => {
+  it('should assign the best matching category and secondary categories', () => {
+    const result = classifyAffair({
+      title: 'India and Japan sign MoU at bilateral summit',
+      description: 'The external affairs minister attended; a joint defence exercise was also announced.',
+    }, DEFAULT_AFFAIR_CATEGORIES);
+
+    expect(result.category).toBe('international-relations');
+    expect(result.secondaryCategories).toEqual(['defence']);
+    expect(result.relevanceScore).toBeGreaterThan(70);
+  });
+
+  it('should score gossip and unmatched stories as not relevant', () => {
+    const gossip = classifyAffair({
+      title: 'Bollywood actor announces wedding date',
+      description: 'The celebrity couple shared a viral video.',
+    }, DEFAULT_AFFAIR_CATEGORIES);
+    const unmatched = classifyAffair({ title: 'Local shop opens in Pune', description: 'A new store opened.' }, DEFAULT_AFFAIR_CATEGORIES);
+
+    expect(gossip).toMatchObject({ category: 'general', relevanceScore: 0 });
+    expect(unmatched).toMatchObject({ category: 'general', relevanceScore: 0 });
+  });
+
+  it('should match keywords as whole words only', () => {
+    const categories = [{ key: 'science-technology', keywords: ['ai'] }];
+
+    expect(classifyAffair({ title: 'Government plans AI mission', description: 'AI compute for startups' }, categories).category).toBe('science-technology');
+    expect(classifyAffair({ title: 'Rail line to Mumbai gets aid', description: 'Said officials' }, categories).category).toBe('general');
+  });
+});
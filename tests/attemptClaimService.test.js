@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { mockQuery } from './helpers/mongoose.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+process.env.PORT = process.env.PORT || '4000';
+
+const TestAttempt = { find: jest.fn(), updateMany: jest.fn(), updateOne: jest.fn(), countDocuments: jest.fn() };
+
+jest.unstable_mockModule('../src/models/TestAttempt.js', () => ({ default: TestAttempt }));
+
+const { default: attemptClaimService } = await import('../src/services/attemptClaimService.js');
+const { anonymousSessionPayload, generateToken } = await import('../src/utils/jwt.js');
+
+describe('Attempt claim service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveSessionIds', () => {
+    it('should accept session IDs only through signed session tokens', () => {
+      const sessionId = attemptClaimService.generateSessionId();
+      const { sessionToken } = anonymousSessionPayload(sessionId);
+
+      const sessionIds = attemptClaimService.resolveSessionIds({
+        sessionTokens: [sessionToken, 'not-a-token', generateToken('user1', 'student')],
+        sessionIds: [attemptClaimService.generateSessionId()],
+      });
+
+      expect(sessionIds).toEqual([sessionId]);
+    });
+
+    it('should not hand out the raw session ID with the token', () => {
+      expect(Object.keys(anonymousSessionPayload(attemptClaimService.generateSessionId()))).toEqual(['sessionToken']);
+    });
+  });
+
+  describe('claimSessions', () => {
+    it('should move unowned recent attempts of the sessions to the user, unranked', async () => {
+      const sessionId = attemptClaimService.generateSessionId();
+      TestAttempt.find.mockReturnValue(mockQuery([{ _id: 'attempt1' }, { _id: 'attempt2' }]));
+      TestAttempt.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const sessionIds = attemptClaimService.resolveSessionIds({
+        sessionTokens: [anonymousSessionPayload(sessionId).sessionToken],
+      });
+      const result = await attemptClaimService.claimSessions('user1', sessionIds);
+
+      expect(result).toEqual({ claimed: 2, ignoredSessions: 0 });
+      const [filter] = TestAttempt.find.mock.calls[0];
+      expect(filter).toMatchObject({ userId: null, sessionId: { $in: [sessionId] }, testType: { $ne: 'daily' } });
+      expect(TestAttempt.updateMany).toHaveBeenCalledWith(
+        { ...filter, _id: { $in: ['attempt1', 'attempt2'] } },
+        { $set: { userId: 'user1', claimedAt: expect.any(Date), rankEligible: false } }
+      );
+    });
+
+    it('should skip attempts a unique index rejects for the user and claim the rest', async () => {
+      const sessionId = attemptClaimService.generateSessionId();
+      const duplicateKey = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      TestAttempt.find.mockReturnValue(mockQuery([{ _id: 'attempt1' }, { _id: 'attempt2' }]));
+      TestAttempt.updateMany.mockRejectedValue(duplicateKey);
+      TestAttempt.updateOne.mockImplementation(async ({ _id }) => {
+        if (_id === 'attempt1') throw duplicateKey;
+        return { modifiedCount: 1 };
+      });
+      TestAttempt.countDocuments.mockResolvedValue(1);
+
+      const result = await attemptClaimService.claimSessions('user1', [sessionId]);
+
+      expect(result).toEqual({ claimed: 1, ignoredSessions: 0 });
+      expect(TestAttempt.updateOne).toHaveBeenCalledTimes(2);
+      expect(TestAttempt.countDocuments).toHaveBeenCalledWith({
+        _id: { $in: ['attempt1', 'attempt2'] },
+        userId: 'user1',
+        claimedAt: expect.any(Date),
+      });
+    });
+
+    it('should pass on errors other than duplicate keys', async () => {
+      TestAttempt.find.mockReturnValue(mockQuery([{ _id: 'attempt1' }]));
+      TestAttempt.updateMany.mockRejectedValue(new Error('connection lost'));
+
+      await expect(attemptClaimService.claimSessions('user1', [attemptClaimService.generateSessionId()]))
+        .rejects.toThrow('connection lost');
+      expect(TestAttempt.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should ignore session IDs that were not issued by generateSessionId', async () => {
+      const result = await attemptClaimService.claimSessions('user1', ['session_1700000000000_abc']);
+
+      expect(result).toEqual({ claimed: 0, ignoredSessions: 1 });
+      expect(TestAttempt.find).not.toHaveBeenCalled();
+    });
+  });
+});
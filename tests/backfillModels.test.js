@@ -0,0 +1,47 @@
+import BackfillJob from '../src/models/BackfillJob.js';
+import ScrapeRun from '../src/models/ScrapeRun.js';
+
+describe('Backfill models', () => {
+  describe('BackfillJob', () => {
+    it('should queue a new job with pending dates and no daily progress', () => {
+      const job = new BackfillJob({
+        from: '2026-10-17',
+        to: '2026-10-18',
+        dates: [{ date: '2026-10-18' }, { date: '2026-10-17', status: 'skipped', existingCount: 25 }],
+      });
+
+      expect(job.validateSync()).toBeUndefined();
+      expect(job.status).toBe('queued');
+      expect(job.resumeAfter).toBeNull();
+      expect(job.dailyProgress.toObject()).toEqual({ day: '', count: 0 });
+      expect(job.dates.map(entry => entry.toObject())).toEqual([
+        expect.objectContaining({ date: '2026-10-18', status: 'pending', attempts: 0, savedCount: 0 }),
+        expect.objectContaining({ date: '2026-10-17', status: 'skipped', existingCount: 25 }),
+      ]);
+      expect(job.dates[0]).not.toHaveProperty('_id');
+    });
+
+    it('should reject unknown job and date statuses', () => {
+      const { errors } = new BackfillJob({
+        from: '2026-10-17',
+        to: '2026-10-18',
+        status: 'sleeping',
+        dates: [{ date: '2026-10-18', status: 'later' }],
+      }).validateSync();
+
+      expect(Object.keys(errors).sort()).toEqual(['dates.0.status', 'status']);
+    });
+  });
+
+  describe('ScrapeRun', () => {
+    it('should record backfill runs and sources skipped for the date range', () => {
+      const run = new ScrapeRun({
+        date: '2026-09-01',
+        trigger: 'backfill',
+        sources: [{ key: 'gnews', status: 'skipped', skipReason: 'date-range' }],
+      });
+
+      expect(run.validateSync()).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { jest } from '@jest/globals';
+import { mockQuery } from './helpers/mongoose.js';
+
+const BackfillJob = {
+  exists: jest.fn(),
+  create: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+};
+const CurrentAffair = { aggregate: jest.fn() };
+const currentAffairsService = { scrapeAffairsForDate: jest.fn() };
+const nextQuotaDay = new Date('2026-10-20T00:00:00Z');
+const providerUsageService = {
+  getDay: () => '2026-10-19',
+  getNextQuotaDayStart: () => nextQuotaDay,
+};
+const newsSourceService = { getAdapters: jest.fn() };
+
+jest.unstable_mockModule('../src/models/BackfillJob.js', () => ({ default: BackfillJob }));
+jest.unstable_mockModule('../src/models/CurrentAffair.js', () => ({ default: CurrentAffair }));
+jest.unstable_mockModule('../src/services/currentAffairsService.js', () => ({ default: currentAffairsService }));
+jest.unstable_mockModule('../src/services/providerUsageService.js', () => ({ default: providerUsageService }));
+jest.unstable_mockModule('../src/services/newsSourceService.js', () => ({ default: newsSourceService }));
+
+const { default: backfillService } = await import('../src/services/backfillService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS)
+  .toLocaleDateString('en-CA', { timeZone: backfillService.timezone });
+
+// A stored job with pending dates; updateOne applies its $set so later reads see the pause
+const buildJob = (dates, overrides = {}) => {
+  const job = {
+    _id: 'job1',
+    status: 'queued',
+    createdBy: 'admin1',
+    dailyProgress: { day: '', count: 0 },
+    dates: dates.map(date => ({ date, status: 'pending', attempts: 0, savedCount: 0, error: '' })),
+    save: jest.fn(async () => job),
+    ...overrides,
+  };
+  return job;
+};
+
+const adapter = (historyDays) => ({ adapter: { getHistoryDays: () => historyDays } });
+
+describe('Backfill service', () => {
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    backfillService.delayMs = 0;
+    backfillService.maxDatesPerDay = 20;
+    backfillService.runningJobId = null;
+
+    newsSourceService.getAdapters.mockResolvedValue([adapter(30), adapter(null)]);
+    BackfillJob.findById.mockImplementation(async () => job);
+    BackfillJob.updateOne.mockImplementation(async (filter, { $set }) => {
+      if (job && (!filter.status || filter.status === job.status)) Object.assign(job, $set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createJob', () => {
+    beforeEach(() => {
+      jest.spyOn(backfillService, 'startJob').mockImplementation(() => {});
+      BackfillJob.exists.mockResolvedValue(null);
+      CurrentAffair.aggregate.mockResolvedValue([{ _id: daysAgo(2), count: 25 }]);
+      BackfillJob.create.mockImplementation(async (data) => ({ ...data, _id: 'job1', toObject: () => data }));
+    });
+
+    it('should create a job, skip filled dates and start it', async () => {
+      const result = await backfillService.createJob({ from: daysAgo(3), to: daysAgo(1), createdBy: 'admin1' });
+
+      expect(result.dates.map(entry => entry.status)).toEqual(['pending', 'skipped', 'pending']);
+      expect(result.progress).toMatchObject({ total: 3, pending: 2, skipped: 1 });
+      expect(backfillService.startJob).toHaveBeenCalledWith('job1');
+    });
+
+    it('should reject dates older than the sources can serve', async () => {
+      await expect(backfillService.createJob({ from: daysAgo(31), to: daysAgo(25) }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/only serve articles from/) });
+
+      newsSourceService.getAdapters.mockResolvedValue([adapter(null)]);
+      await expect(backfillService.createJob({ from: daysAgo(1), to: daysAgo(1) }))
+        .rejects.toMatchObject({ status: 400 });
+      expect(BackfillJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject ranges longer than maxRangeDays', async () => {
+      await expect(backfillService.createJob({ from: daysAgo(40), to: daysAgo(1) }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/range cannot exceed/) });
+    });
+
+    it('should refuse a second active job with a conflict', async () => {
+      BackfillJob.exists.mockResolvedValue({ _id: 'job0' });
+
+      await expect(backfillService.createJob({ from: daysAgo(3), to: daysAgo(1) }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('processJob', () => {
+    it('should scrape pending dates newest first and complete', async () => {
+      job = buildJob(['2026-10-18', '2026-10-17']);
+      currentAffairsService.scrapeAffairsForDate.mockResolvedValue({ success: true, count: 12, sources: [] });
+
+      await backfillService.processJob('job1');
+
+      expect(currentAffairsService.scrapeAffairsForDate.mock.calls.map(([date]) => date)).toEqual(['2026-10-18', '2026-10-17']);
+      expect(currentAffairsService.scrapeAffairsForDate).toHaveBeenCalledWith('2026-10-18', false, expect.objectContaining({ trigger: 'backfill', topUp: true }));
+      expect(job.status).toBe('completed');
+      expect(job.dates.map(entry => [entry.status, entry.savedCount])).toEqual([['done', 12], ['done', 12]]);
+    });
+
+    it('should pause until the next quota day when providers run out, keeping the date pending', async () => {
+      job = buildJob(['2026-10-18', '2026-10-17']);
+      currentAffairsService.scrapeAffairsForDate.mockResolvedValue({
+        success: false,
+        message: 'No content found from any source',
+        sources: [{ key: 'newsapi', status: 'skipped', skipReason: 'quota' }],
+      });
+
+      await backfillService.processJob('job1');
+
+      expect(currentAffairsService.scrapeAffairsForDate).toHaveBeenCalledTimes(1);
+      expect(job.status).toBe('paused');
+      expect(job.resumeAfter).toBe(nextQuotaDay);
+      expect(job.pauseReason).toBe('Provider quota exhausted');
+      expect(job.dates[0]).toMatchObject({ status: 'pending', attempts: 0 });
+    });
+
+    it('should pause once the daily limit of backfilled dates is reached', async () => {
+      backfillService.maxDatesPerDay = 1;
+      job = buildJob(['2026-10-18', '2026-10-17']);
+      currentAffairsService.scrapeAffairsForDate.mockResolvedValue({ success: true, count: 5, sources: [] });
+
+      await backfillService.processJob('job1');
+
+      expect(currentAffairsService.scrapeAffairsForDate).toHaveBeenCalledTimes(1);
+      expect(job.status).toBe('paused');
+      expect(job.pauseReason).toMatch(/Daily limit/);
+      expect(job.dailyProgress).toEqual({ day: '2026-10-19', count: 1 });
+      expect(job.dates.map(entry => entry.status)).toEqual(['done', 'pending']);
+    });
+
+    it('should continue a paused job from its pending dates', async () => {
+      job = buildJob(['2026-10-18', '2026-10-17'], { status: 'paused', resumeAfter: nextQuotaDay, pauseReason: 'Provider quota exhausted' });
+      job.dates[0].status = 'done';
+      currentAffairsService.scrapeAffairsForDate.mockResolvedValue({ success: true, count: 3, sources: [] });
+
+      await backfillService.processJob('job1');
+
+      expect(currentAffairsService.scrapeAffairsForDate.mock.calls.map(([date]) => date)).toEqual(['2026-10-17']);
+      expect(job.status).toBe('completed');
+      expect(job.resumeAfter).toBeNull();
+    });
+
+    it('should stop when the job is cancelled between dates', async () => {
+      job = buildJob(['2026-10-18', '2026-10-17']);
+      currentAffairsService.scrapeAffairsForDate.mockImplementation(async () => {
+        job.status = 'cancelled';
+        return { success: true, count: 1, sources: [] };
+      });
+
+      await backfillService.processJob('job1');
+
+      expect(currentAffairsService.scrapeAffairsForDate).toHaveBeenCalledTimes(1);
+      expect(job.status).toBe('cancelled');
+    });
+  });
+
+  describe('resuming', () => {
+    beforeEach(() => {
+      jest.spyOn(backfillService, 'startJob').mockImplementation(() => {});
+    });
+
+    it('should start interrupted jobs and paused jobs whose pause is over', async () => {
+      BackfillJob.findOne.mockReturnValue(mockQuery({ _id: 'job1' }));
+
+      const jobId = await backfillService.resumeJobs();
+
+      expect(jobId).toBe('job1');
+      const [filter] = BackfillJob.findOne.mock.calls[0];
+      expect(filter.$or).toContainEqual({ status: 'paused', resumeAfter: { $lte: expect.any(Date) } });
+      expect(backfillService.startJob).toHaveBeenCalledWith('job1');
+    });
+
+    it('should not start another job while one is running', async () => {
+      backfillService.runningJobId = 'job0';
+
+      expect(await backfillService.resumeJobs()).toBeNull();
+      expect(BackfillJob.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should resume a paused job on request', async () => {
+      BackfillJob.findOneAndUpdate.mockResolvedValue({ _id: 'job1' });
+      jest.spyOn(backfillService, 'getJob').mockResolvedValue({ _id: 'job1', status: 'paused' });
+
+      const resumed = await backfillService.resumeJob('job1');
+
+      expect(BackfillJob.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'job1', status: 'paused' },
+        { $set: { resumeAfter: expect.any(Date) } },
+        { new: true }
+      );
+      expect(backfillService.startJob).toHaveBeenCalledWith('job1');
+      expect(resumed).toEqual({ _id: 'job1', status: 'paused' });
+    });
+  });
+});
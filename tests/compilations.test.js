@@ -0,0 +1,91 @@
+import {
+  getPeriodKey,
+  renderCompilationHtml,
+  renderCompilationMarkdown,
+  resolvePeriod,
+  selectCompilationSections,
+} from '../src/utils/compilations.js';
+
+describe('Current affairs compilations', () => {
+  it('should resolve month and ISO week keys to date ranges', () => {
+    expect(resolvePeriod('month', '2024-02')).toMatchObject({ from: '2024-02-01', to: '2024-02-29', slug: 'monthly-2024-02' });
+    expect(resolvePeriod('week', '2026-W01')).toMatchObject({ from: '2025-12-29', to: '2026-01-04', slug: 'weekly-2026-w01' });
+    expect(resolvePeriod('week', '2020-W53').to).toBe('2021-01-03');
+
+    expect(() => resolvePeriod('week', '2021-W53')).toThrow('Invalid week key');
+    expect(() => resolvePeriod('month', '2024-13')).toThrow('Invalid month key');
+    expect(() => resolvePeriod('year', '2024')).toThrow('Invalid period');
+    expect(() => resolvePeriod('year', '2024')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should find the period containing a date', () => {
+    expect(getPeriodKey('month', '2026-10-19')).toBe('2026-10');
+    expect(getPeriodKey('week', '2026-10-19')).toBe('2026-W43');
+    expect(getPeriodKey('week', '2027-01-01')).toBe('2026-W53');
+  });
+
+  it('should pick the top affairs per category by relevance and coverage', () => {
+    const categories = [
+      { key: 'polity', name: 'Polity' },
+      { key: 'economy', name: 'Economy' },
+      { key: 'not-relevant', name: 'Not relevant', exclude: true },
+    ];
+    const affairs = [
+      { _id: 'a', category: 'economy', relevanceScore: 60, sources: [], date: '2026-10-01' },
+      { _id: 'b', category: 'economy', relevanceScore: 50, sources: [{}, {}], date: '2026-10-02' },
+      { _id: 'c', category: 'economy', relevanceScore: 20, sources: [], date: '2026-10-03' },
+      { _id: 'd', category: 'not-relevant', relevanceScore: 90, sources: [], date: '2026-10-03' },
+      { _id: 'e', category: 'general', relevanceScore: null, date: '2026-10-04' },
+    ];
+
+    const sections = selectCompilationSections(affairs, categories, {
+      itemsPerCategory: 2,
+      fallback: { key: 'general', name: 'General Awareness' },
+    });
+
+    expect(sections).toEqual([
+      { category: 'economy', name: 'Economy', items: [{ affair: 'b' }, { affair: 'a' }] },
+      { category: 'general', name: 'General Awareness', items: [{ affair: 'e' }] },
+    ]);
+  });
+
+  it('should export curated sections as Markdown and escaped HTML', () => {
+    const compilation = {
+      title: 'Current Affairs - October 2026',
+      from: '2026-10-01',
+      to: '2026-10-31',
+      intro: '',
+      sections: [
+        {
+          category: 'economy',
+          name: 'Economy',
+          items: [
+            {
+              affair: {
+                title: 'RBI keeps repo rate at 6.5% <unchanged>',
+                description: 'Policy review',
+                date: '2026-10-09',
+                source: 'PIB',
+                url: 'https://example.com/rbi',
+                sources: [{ source: 'The Hindu' }],
+              },
+              note: 'Ninth pause in a row',
+            },
+            { affair: null, note: '' },
+          ],
+        },
+      ],
+    };
+
+    const markdown = renderCompilationMarkdown(compilation);
+    expect(markdown).toContain('## Economy');
+    expect(markdown).toContain('1. **[RBI keeps repo rate at 6.5% \\<unchanged\\>](https://example.com/rbi)** (9 October 2026; PIB, The Hindu)');
+    expect(markdown).toContain('   > Ninth pause in a row');
+
+    const html = renderCompilationHtml(compilation);
+    expect(html).toContain('<h2>Economy</h2>');
+    expect(html).toContain('RBI keeps repo rate at 6.5% &lt;unchanged&gt;');
+    expect(html).not.toContain('<unchanged>');
+    expect(html.match(/<li>/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,10 @@
+import CurrentAffair from '../src/models/CurrentAffair.js';
+
+describe('CurrentAffair model', () => {
+  it('should search titles ahead of descriptions and article text', () => {
+    const [, options] = CurrentAffair.schema.indexes()
+      .find(([fields]) => Object.values(fields).includes('text'));
+
+    expect(options).toMatchObject({ name: 'affair_text_search', weights: { title: 10, description: 5, content: 1 } });
+  });
+});
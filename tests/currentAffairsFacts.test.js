@@ -0,0 +1,43 @@
+import { buildClozeQuestion, buildNumericDistractors, extractEntities, extractFacts } from '../src/utils/currentAffairsFacts.js';
+
+describe('Current affairs fact extraction', () => {
+  const affair = {
+    title: 'RBI keeps repo rate unchanged at 6.5% in policy review',
+    description: 'The Reserve Bank of India kept the repo rate unchanged on Friday. The government allocated ₹2,000 crore for the new scheme.',
+  };
+
+  it('should extract amounts and multi-word names', () => {
+    const facts = extractFacts(affair);
+
+    expect(facts).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'number', answer: '6.5%' }),
+      expect.objectContaining({ type: 'number', answer: '₹2,000 crore' }),
+      expect.objectContaining({ type: 'entity', answer: 'Reserve Bank of India' }),
+    ]));
+  });
+
+  it('should skip capitalised stopwords and single words at the start of a sentence', () => {
+    expect(extractEntities('Officials met Prime Minister Narendra Modi in New Delhi on Monday.')).toEqual([
+      'Prime Minister Narendra Modi',
+      'New Delhi',
+    ]);
+  });
+
+  it('should keep the unit and format of numeric distractors', () => {
+    expect(buildNumericDistractors('₹2,000 crore')).toEqual(['₹1,000 crore', '₹3,000 crore', '₹1,500 crore']);
+    expect(buildNumericDistractors('6.5%')).toEqual(['6.0%', '7.0%', '7.5%']);
+    expect(buildNumericDistractors('2024')).toEqual(['2023', '2025', '2022']);
+  });
+
+  it('should blank the answer and place it among the options', () => {
+    const question = buildClozeQuestion(
+      { sentence: 'RBI keeps repo rate unchanged at 6.5% in policy review.', answer: '6.5%' },
+      ['6.0%', '7.0%', '7.5%']
+    );
+
+    expect(question.text).toBe('Fill in the blank: RBI keeps repo rate unchanged at _____ in policy review.');
+    expect(question.options).toHaveLength(4);
+    expect(question.options[question.correctIndex]).toBe('6.5%');
+    expect(buildClozeQuestion({ sentence: 'No numbers here at all in this sentence.', answer: '6.5%' }, [])).toBeNull();
+  });
+});
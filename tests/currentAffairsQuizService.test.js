@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Board from '../src/models/Board.js';
+import Exam from '../src/models/Exam.js';
+import QuestionPaper from '../src/models/QuestionPaper.js';
+import Subject from '../src/models/Subject.js';
+import currentAffairsQuizService from '../src/services/currentAffairsQuizService.js';
+
+// Stub the driver collections so the real models build (and cast) the updates they would send
+const stubCollection = (Model) => {
+  jest.spyOn(Model.collection, 'findOneAndUpdate').mockImplementation(async () => ({ _id: new mongoose.Types.ObjectId() }));
+  jest.spyOn(Model.collection, 'updateOne').mockResolvedValue({ acknowledged: true, modifiedCount: 1 });
+};
+
+describe('Current affairs quiz service', () => {
+  describe('getContainer', () => {
+    beforeEach(() => {
+      [Board, Exam, Subject, QuestionPaper].forEach(stubCollection);
+      currentAffairsQuizService.paperPeriod = 'month';
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should insert the monthly paper with the period it is looked up by', async () => {
+      await currentAffairsQuizService.getContainer('2026-10-19');
+
+      const [filter, update, options] = QuestionPaper.collection.findOneAndUpdate.mock.calls[0];
+      expect(filter['meta.currentAffairsPeriod']).toBe('2026-10');
+      expect(options).toMatchObject({ upsert: true });
+      expect(update.$setOnInsert).toMatchObject({
+        'meta.currentAffairsPeriod': '2026-10',
+        name: 'Current Affairs - October 2026',
+      });
+      // A default `meta: {}` alongside would overwrite the period on insert
+      expect(update.$setOnInsert).not.toHaveProperty('meta');
+    });
+
+    it('should key daily papers by the date', async () => {
+      currentAffairsQuizService.paperPeriod = 'day';
+
+      await currentAffairsQuizService.getContainer('2026-10-19');
+
+      const [filter, update] = QuestionPaper.collection.findOneAndUpdate.mock.calls[0];
+      expect(filter['meta.currentAffairsPeriod']).toBe('2026-10-19');
+      expect(update.$setOnInsert['meta.currentAffairsPeriod']).toBe('2026-10-19');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+
+const CurrentAffair = { aggregate: jest.fn() };
+
+jest.unstable_mockModule('../src/models/CurrentAffair.js', () => ({ default: CurrentAffair }));
+jest.unstable_mockModule('../src/services/affairClassifierService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/affairDedupService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/newsSourceService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/scrapeRunService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/providerUsageService.js', () => ({ default: {} }));
+
+const { default: currentAffairsService } = await import('../src/services/currentAffairsService.js');
+
+const stageOf = (pipeline, operator) => pipeline.filter(stage => operator in stage).map(stage => stage[operator]);
+
+describe('Current affairs service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    CurrentAffair.aggregate.mockResolvedValue([{ affairs: [{ title: 'Budget 2026' }], total: [{ count: 31 }] }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('searchAffairs', () => {
+    it('should rank text matches by text score boosted by exam relevance', async () => {
+      const result = await currentAffairsService.searchAffairs({ q: 'budget' }, { skip: 10, limit: 10 });
+
+      expect(result).toEqual({ affairs: [{ title: 'Budget 2026' }], total: 31 });
+      const [pipeline] = CurrentAffair.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { $and: [{ $text: { $search: 'budget' } }] } });
+      expect(stageOf(pipeline, '$addFields')[1].searchScore.$multiply).toEqual([
+        '$searchScore',
+        { $add: [1, { $divide: [{ $ifNull: ['$relevanceScore', 0] }, 100] }] },
+      ]);
+      expect(stageOf(pipeline, '$sort')).toEqual([{ searchScore: -1, date: -1, order: 1 }]);
+      expect(stageOf(pipeline, '$project')).toEqual([{ signature: 0 }]);
+      expect(stageOf(pipeline, '$facet')[0].affairs).toEqual([{ $skip: 10 }, { $limit: 10 }]);
+    });
+
+    it('should sort by date when asked to, or when there is no query', async () => {
+      await currentAffairsService.searchAffairs({ q: 'budget', sort: 'date' });
+      await currentAffairsService.searchAffairs({});
+
+      for (const [pipeline] of CurrentAffair.aggregate.mock.calls) {
+        expect(stageOf(pipeline, '$addFields')).toEqual([]);
+        expect(stageOf(pipeline, '$sort')).toEqual([{ date: -1, order: 1 }]);
+      }
+      expect(CurrentAffair.aggregate.mock.calls[1][0][0]).toEqual({ $match: {} });
+    });
+
+    it('should filter by date range, category, relevance and every outlet of merged stories', async () => {
+      await currentAffairsService.searchAffairs({
+        from: '2026-10-01',
+        to: '2026-10-19',
+        source: 'The Hindu (Web)',
+        category: 'economy',
+        minRelevance: 0,
+      });
+
+      const [[{ $match }]] = CurrentAffair.aggregate.mock.calls[0];
+      const [date, source, category, relevance] = $match.$and;
+      expect(date).toEqual({ date: { $gte: '2026-10-01', $lte: '2026-10-19' } });
+      // Matched case-insensitively and literally (no regex injection from the query string)
+      const [{ source: pattern }] = source.$or;
+      expect(source.$or[1]).toEqual({ 'sources.source': pattern });
+      expect(pattern.test('the hindu (web)')).toBe(true);
+      expect(pattern.test('The Hindu Web')).toBe(false);
+      expect(category).toEqual({ $or: [{ category: 'economy' }, { secondaryCategories: 'economy' }] });
+      expect(relevance).toEqual({ relevanceScore: { $gte: 0 } });
+    });
+
+    it('should report no total for an empty result', async () => {
+      CurrentAffair.aggregate.mockResolvedValue([{ affairs: [], total: [] }]);
+
+      expect(await currentAffairsService.searchAffairs({ q: 'nothing' })).toEqual({ affairs: [], total: 0 });
+    });
+  });
+
+  describe('getAvailableDates', () => {
+    it('should page through the dates with their counts, latest first', async () => {
+      CurrentAffair.aggregate.mockResolvedValue([{ dates: [{ date: '2026-10-19', count: 24 }], total: [{ count: 40 }] }]);
+
+      const result = await currentAffairsService.getAvailableDates({ from: '2026-09-01', skip: 20, limit: 20 });
+
+      expect(result).toEqual({ dates: [{ date: '2026-10-19', count: 24 }], total: 40 });
+      const [pipeline] = CurrentAffair.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({ $match: { date: { $gte: '2026-09-01' } } });
+      expect(stageOf(pipeline, '$sort')).toEqual([{ _id: -1 }]);
+      expect(stageOf(pipeline, '$facet')[0].dates.slice(0, 2)).toEqual([{ $skip: 20 }, { $limit: 20 }]);
+    });
+  });
+});
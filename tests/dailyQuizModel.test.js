@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import DailyQuiz from '../src/models/DailyQuiz.js';
+import User from '../src/models/User.js';
+
+describe('DailyQuiz model', () => {
+  it('should require the exam and the date', () => {
+    const { errors } = new DailyQuiz({}).validateSync();
+
+    expect(Object.keys(errors).sort()).toEqual(['date', 'exam']);
+  });
+
+  it('should keep one quiz per exam and date', () => {
+    const index = DailyQuiz.schema.indexes()
+      .find(([fields]) => JSON.stringify(fields) === JSON.stringify({ exam: 1, date: 1 }));
+
+    expect(index[1].unique).toBe(true);
+  });
+
+  it('should cast question IDs', () => {
+    const questionId = new mongoose.Types.ObjectId();
+    const quiz = new DailyQuiz({ exam: new mongoose.Types.ObjectId(), date: '2026-10-19', questions: [String(questionId)] });
+
+    expect(quiz.validateSync()).toBeUndefined();
+    expect(quiz.questions[0]).toEqual(questionId);
+  });
+});
+
+describe('User daily quiz streak', () => {
+  it('should start new users without a streak', () => {
+    const user = new User({ name: 'Asha', email: 'asha@example.com', password: 'secret123' });
+
+    expect(user.dailyQuizStreak.toObject()).toEqual({ current: 0, longest: 0, lastDate: null });
+  });
+});
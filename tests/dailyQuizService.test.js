@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import { buildAttempt, mockQuery } from './helpers/mongoose.js';
+
+// In-memory evaluation of the query operators the leaderboard uses
+const evaluate = (doc, expr) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+  if (expr instanceof Date || typeof expr !== 'object' || expr === null) return expr;
+  if (expr.$subtract) return evaluate(doc, expr.$subtract[0]) - evaluate(doc, expr.$subtract[1]);
+  if (expr.$lt) return evaluate(doc, expr.$lt[0]) < evaluate(doc, expr.$lt[1]);
+  if (expr.$eq) return evaluate(doc, expr.$eq[0]) === evaluate(doc, expr.$eq[1]);
+  throw new Error(`Unsupported expression ${JSON.stringify(expr)}`);
+};
+
+const compare = (value, condition) => {
+  if (condition instanceof Date) return +value === +condition;
+  if (typeof condition !== 'object' || condition === null) return value === condition;
+  return Object.entries(condition).every(([op, operand]) => {
+    if (op === '$gt') return value > operand;
+    if (op === '$lt') return value < operand;
+    if (op === '$ne') return value !== operand;
+    throw new Error(`Unsupported operator ${op}`);
+  });
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(clause => matches(doc, clause));
+  if (key === '$expr') return evaluate(doc, condition);
+  return compare(doc[key], condition);
+});
+
+let attempts = [];
+
+const TestAttempt = {
+  aggregate: jest.fn(async (pipeline) => {
+    let docs = attempts;
+    for (const stage of pipeline) {
+      if (stage.$match) docs = docs.filter(doc => matches(doc, stage.$match));
+      if (stage.$addFields) docs = docs.map(doc => ({ ...doc, timeTakenMs: evaluate(doc, stage.$addFields.timeTakenMs) }));
+      if (stage.$sort) {
+        const keys = Object.entries(stage.$sort);
+        docs = [...docs].sort((a, b) => {
+          for (const [key, direction] of keys) {
+            if (a[key] - b[key] !== 0) return (a[key] - b[key]) * direction;
+          }
+          return 0;
+        });
+      }
+      if (stage.$limit) docs = docs.slice(0, stage.$limit);
+    }
+    return docs;
+  }),
+  countDocuments: jest.fn(async (filter) => attempts.filter(doc => matches(doc, filter)).length),
+  findOne: jest.fn((filter) => mockQuery(attempts.find(doc => matches(doc, filter)) || null)),
+};
+const User = { find: jest.fn() };
+
+jest.unstable_mockModule('../src/models/TestAttempt.js', () => ({ default: TestAttempt }));
+jest.unstable_mockModule('../src/models/User.js', () => ({ default: User }));
+jest.unstable_mockModule('../src/models/DailyQuiz.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/models/Exam.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/models/Question.js', () => ({ default: {} }));
+
+const { default: dailyQuizService } = await import('../src/services/dailyQuizService.js');
+
+const quiz = { _id: 'quiz1', date: '2026-10-19' };
+const start = new Date('2026-10-19T08:00:00Z');
+const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+// A submitted attempt that started `startOffset` seconds after 08:00 and took `seconds`
+const attempt = (userId, score, seconds, startOffset = 0) => buildAttempt({
+  testId: `test_${userId}`,
+  testType: 'daily',
+  dailyQuiz: 'quiz1',
+  submitted: true,
+  userId,
+  score,
+  correct: score / 10,
+  total: 10,
+  startedAt: at(startOffset),
+  submittedAt: at(startOffset + seconds),
+});
+
+describe('Daily quiz service', () => {
+  describe('getLeaderboard', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      attempts = [
+        attempt('alice', 80, 300),
+        attempt('bola', 90, 400),
+        attempt('chen', 80, 200),
+        // Same score and time as alice, but submitted later
+        attempt('dara', 80, 300, 60),
+        { ...attempt(null, 100, 100), testId: 'test_anonymous', userId: null },
+        // Taken anonymously and claimed at login afterwards
+        { ...attempt('eve', 100, 100), claimedAt: at(600) },
+      ];
+      User.find.mockReturnValue(mockQuery(['alice', 'bola', 'chen', 'dara', 'eve'].map(name => ({ _id: name, name }))));
+    });
+
+    it('should rank by score, then time taken, then submission time, without anonymous or claimed attempts', async () => {
+      const leaderboard = await dailyQuizService.getLeaderboard(quiz);
+
+      expect(leaderboard.totalParticipants).toBe(4);
+      expect(leaderboard.top.map(entry => [entry.rank, entry.name])).toEqual([
+        [1, 'bola'],
+        [2, 'chen'],
+        [3, 'alice'],
+        [4, 'dara'],
+      ]);
+      expect(leaderboard.top[1].timeTakenSeconds).toBe(200);
+    });
+
+    it('should give the user the same rank as in the top list', async () => {
+      for (const [userId, rank] of [['bola', 1], ['chen', 2], ['alice', 3], ['dara', 4]]) {
+        const leaderboard = await dailyQuizService.getLeaderboard(quiz, { limit: 2, userId });
+
+        expect(leaderboard.me).toMatchObject({ testId: `test_${userId}`, rank });
+      }
+    });
+
+    it('should mark the user in the top list', async () => {
+      const leaderboard = await dailyQuizService.getLeaderboard(quiz, { userId: 'chen' });
+
+      expect(leaderboard.top.filter(entry => entry.isMe).map(entry => entry.name)).toEqual(['chen']);
+    });
+
+    it('should have no own entry for users without a submitted attempt', async () => {
+      const leaderboard = await dailyQuizService.getLeaderboard(quiz, { userId: 'fola' });
+
+      expect(leaderboard.me).toBeNull();
+    });
+
+    it('should not rank a claimed attempt as its owner', async () => {
+      const leaderboard = await dailyQuizService.getLeaderboard(quiz, { userId: 'eve' });
+
+      expect(leaderboard.me).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { decodeEntities, filterItemsByDate, parseFeed, parseFeedDate } from '../src/utils/feedParser.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const readFixture = (name) => readFileSync(join(fixturesDir, name), 'utf8');
+
+describe('Feed parser', () => {
+  describe('RSS 2.0', () => {
+    const feed = parseFeed(readFixture('pib-rss.xml'));
+
+    it('should parse CDATA and plain-text items alike', () => {
+      expect(feed.format).toBe('rss');
+      expect(feed.title).toBe('Press Information Bureau');
+      expect(feed.items).toHaveLength(4);
+      expect(feed.items[0].title).toBe('Cabinet approves ₹2,000 crore scheme for rural roads');
+      expect(feed.items[0].description).toBe('The Union Cabinet chaired by the Prime Minister approved the PM Gram Sadak scheme.');
+      expect(feed.items[3].title).toBe('Statement on National Statistics Day');
+      expect(feed.items[3].link).toBe('https://pib.gov.in/PressReleasePage.aspx?PRID=1004');
+    });
+
+    it('should decode entities, including escaped HTML', () => {
+      expect(feed.items[1].title).toBe('RBI & SEBI sign MoU on data sharing – Finance Ministry’s statement');
+      expect(feed.items[1].description).toBe('The agreement covers market data exchange & supervision.');
+    });
+
+    it('should extract dates, categories, authors and images', () => {
+      expect(feed.items[0].publishedAt.toISOString()).toBe('2024-10-14T13:00:00.000Z');
+      expect(feed.items[0].categories).toEqual(['Cabinet', 'Rural Development']);
+      expect(feed.items[0].author).toBe('Ministry of Rural Development');
+      expect(feed.items[0].image).toBe('https://pib.gov.in/images/roads.jpg');
+      expect(feed.items[1].image).toBe('https://pib.gov.in/images/mou.png');
+      expect(feed.items[2].image).toBe('https://pib.gov.in/images/satellite.jpg');
+      expect(feed.items[3].publishedAt).toBeNull();
+    });
+
+    it('should keep only items from the target day in IST', () => {
+      // 13 Oct 19:00 UTC is already 14 Oct in IST
+      const titles = filterItemsByDate(feed.items, '2024-10-14').map(item => item.title);
+      expect(titles).toHaveLength(4);
+
+      const dated = filterItemsByDate(feed.items, '2024-10-13', { includeUndated: false });
+      expect(dated).toHaveLength(0);
+      expect(filterItemsByDate(feed.items, null)).toHaveLength(4);
+    });
+  });
+
+  describe('Atom', () => {
+    const feed = parseFeed(readFixture('news-atom.xml'));
+
+    it('should parse entries with alternate links, authors and term categories', () => {
+      expect(feed.format).toBe('atom');
+      expect(feed.title).toBe('Example National News');
+      expect(feed.items).toHaveLength(2);
+
+      const [first, second] = feed.items;
+      expect(first.title).toBe('Supreme Court upholds electoral reforms');
+      expect(first.link).toBe('https://news.example.com/sc-reforms?a=1&b=2');
+      expect(first.author).toBe('Legal Correspondent');
+      expect(first.categories).toEqual(['Polity', 'Judiciary']);
+      expect(first.description).toBe('A five-judge bench delivered the verdict.');
+      expect(first.content).toBe('A five-judge bench delivered the verdict on Monday.');
+      expect(first.image).toBe('https://news.example.com/sc.jpg');
+      expect(first.publishedAt.toISOString()).toBe('2024-10-14T03:45:00.000Z');
+
+      expect(second.link).toBe('https://news.example.com/monsoon');
+      expect(second.description).toBe('The IMD said the monsoon has withdrawn.');
+      expect(second.publishedAt.toISOString()).toBe('2024-10-12T08:00:00.000Z');
+    });
+  });
+
+  it('should decode numeric and named references', () => {
+    expect(decodeEntities('&#x20B9;5 &#8211; &rsquo;&unknown;')).toBe('₹5 – ’&unknown;');
+  });
+
+  it('should return null for unparseable dates and reject non-feeds', () => {
+    expect(parseFeedDate('not a date')).toBeNull();
+    expect(() => parseFeed('<html><body>Not a feed</body></html>')).toThrow('Not an RSS or Atom feed');
+  });
+});
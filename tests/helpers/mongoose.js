@@ -0,0 +1,42 @@
+/**
+ * Stand-ins for mongoose queries and stored documents, shared by the service tests
+ * (the model modules themselves are replaced with jest.unstable_mockModule in each test file)
+ */
+
+// Chainable stand-in for a mongoose query resolving to `value` (awaited directly or through lean/exec)
+export const mockQuery = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    lean: () => Promise.resolve(value),
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Lean TestAttempt of a logged-in student's unsubmitted two-question test
+export const buildAttempt = (overrides = {}) => ({
+  _id: 'attempt1',
+  testId: 'test_1',
+  testType: 'standard',
+  mode: 'exam',
+  userId: 'user1',
+  sessionId: null,
+  claimedAt: null,
+  questionPaperId: 'paper1',
+  rankEligible: true,
+  ranked: false,
+  submitted: false,
+  __v: 0,
+  durationMinutes: null,
+  markingScheme: { marksPerCorrect: 2, negativeMarkingRatio: 0.5, partialCredit: false },
+  questions: [
+    { questionId: 'q1', answer: 0 },
+    { questionId: 'q2', answer: 1 },
+  ],
+  ...overrides,
+});
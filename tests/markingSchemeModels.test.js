@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import Exam from '../src/models/Exam.js';
+import QuestionPaper from '../src/models/QuestionPaper.js';
+import TestAttempt from '../src/models/TestAttempt.js';
+import { DEFAULT_MARKING_SCHEME, resolveMarkingScheme } from '../src/utils/scoring.js';
+
+const buildPaper = (fields = {}) => new QuestionPaper({
+  name: 'GS Paper I',
+  subject: new mongoose.Types.ObjectId(),
+  exam: new mongoose.Types.ObjectId(),
+  board: new mongoose.Types.ObjectId(),
+  ...fields,
+});
+
+describe('Marking scheme fields', () => {
+  describe('QuestionPaper', () => {
+    it('should leave the scheme unset and totalMarks implicit by default', () => {
+      const paper = buildPaper();
+
+      expect(paper.validateSync()).toBeUndefined();
+      expect(paper.toObject()).toMatchObject({
+        totalMarks: 100,
+        totalMarksExplicit: false,
+        markingScheme: { marksPerCorrect: null, negativeMarkingRatio: null, partialCredit: null },
+      });
+    });
+
+    it('should reject negative marks and deductions beyond the full marks of a question', () => {
+      const { errors } = buildPaper({ markingScheme: { marksPerCorrect: -1, negativeMarkingRatio: 1.5 } }).validateSync();
+
+      expect(Object.keys(errors).sort()).toEqual(['markingScheme.marksPerCorrect', 'markingScheme.negativeMarkingRatio']);
+    });
+
+    it('should resolve a stored legacy paper to the default scheme', () => {
+      const questionPaper = buildPaper().toObject();
+
+      expect(resolveMarkingScheme({ questionPaper, paperQuestionCount: 30 })).toEqual(DEFAULT_MARKING_SCHEME);
+    });
+
+    it('should spread explicit totalMarks of a stored paper over its questions', () => {
+      const questionPaper = buildPaper({ totalMarks: 200, totalMarksExplicit: true }).toObject();
+
+      expect(resolveMarkingScheme({ questionPaper, paperQuestionCount: 100 }).marksPerCorrect).toBe(2);
+    });
+  });
+
+  describe('Exam', () => {
+    it('should store a scheme that fills the gaps of the paper scheme', () => {
+      const exam = new Exam({
+        title: 'UPSC Civil Services',
+        slug: 'upsc-cse',
+        board: new mongoose.Types.ObjectId(),
+        markingScheme: { marksPerCorrect: 2, negativeMarkingRatio: 1 / 3 },
+      });
+      const questionPaper = buildPaper({ markingScheme: { partialCredit: true } }).toObject();
+
+      expect(exam.validateSync()).toBeUndefined();
+      expect(resolveMarkingScheme({ questionPaper, exam: exam.toObject() }))
+        .toEqual({ marksPerCorrect: 2, negativeMarkingRatio: 1 / 3, partialCredit: true });
+    });
+  });
+
+  describe('TestAttempt', () => {
+    it('should snapshot the default scheme when none is given', () => {
+      const attempt = new TestAttempt({ testId: 'test_1' });
+
+      expect(attempt.markingScheme.toObject()).toEqual(DEFAULT_MARKING_SCHEME);
+    });
+  });
+});
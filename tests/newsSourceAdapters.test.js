@@ -0,0 +1,43 @@
+import { jest } from '@jest/globals';
+import { createAdapter } from '../src/services/newsSources/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+describe('News source adapters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('supportsDate', () => {
+    it('should limit API sources to their provider history', () => {
+      for (const type of ['newsapi', 'gnews-top', 'gnews-search']) {
+        const adapter = createAdapter({ key: type, type, queries: ['india'] });
+
+        expect(adapter.supportsDate(null)).toBe(true);
+        expect(adapter.supportsDate(daysAgo(29))).toBe(true);
+        expect(adapter.supportsDate(daysAgo(31))).toBe(false);
+      }
+    });
+
+    it('should leave date filtering to RSS sources', () => {
+      const adapter = createAdapter({ key: 'pib', type: 'rss', url: 'https://example.com/rss' });
+
+      expect(adapter.getHistoryDays()).toBeNull();
+      expect(adapter.supportsDate('2020-01-01')).toBe(true);
+    });
+  });
+
+  describe('GNews', () => {
+    it('should restrict requests for a date to that IST day', async () => {
+      const adapter = createAdapter({ key: 'gnews-top', type: 'gnews-top' });
+      const get = jest.spyOn(adapter, 'get').mockResolvedValue({ data: { articles: [] } });
+
+      await adapter.fetchRaw('2026-10-01');
+      await adapter.fetchRaw(null);
+
+      expect(get.mock.calls[0][0]).toContain('&from=2026-09-30T18:30:00Z&to=2026-10-01T18:29:59Z');
+      expect(get.mock.calls[1][0]).not.toContain('&from=');
+    });
+  });
+});
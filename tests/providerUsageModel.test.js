@@ -0,0 +1,17 @@
+import ProviderUsage from '../src/models/ProviderUsage.js';
+
+describe('ProviderUsage model', () => {
+  it('should start a provider day without usage', () => {
+    const usage = new ProviderUsage({ provider: 'gnews', day: '2026-10-19' });
+
+    expect(usage.validateSync()).toBeUndefined();
+    expect(usage.toObject()).toMatchObject({ requests: 0, articles: 0, rateLimitedAt: null });
+  });
+
+  it('should keep one usage record per provider and day (the auto-fetch budget relies on it)', () => {
+    const [, options] = ProviderUsage.schema.indexes()
+      .find(([fields]) => JSON.stringify(fields) === JSON.stringify({ provider: 1, day: 1 }));
+
+    expect(options.unique).toBe(true);
+  });
+});
@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import { mockQuery } from './helpers/mongoose.js';
+
+const ProviderUsage = { findOne: jest.fn(), updateOne: jest.fn(), find: jest.fn() };
+const newsSourceService = { getSources: jest.fn() };
+const createAdapter = jest.fn();
+
+jest.unstable_mockModule('../src/models/ProviderUsage.js', () => ({ default: ProviderUsage }));
+jest.unstable_mockModule('../src/services/newsSourceService.js', () => ({ default: newsSourceService }));
+jest.unstable_mockModule('../src/services/newsSources/index.js', () => ({ createAdapter }));
+
+const { default: providerUsageService } = await import('../src/services/providerUsageService.js');
+
+// Adapter of a provider allowing requestsPerDay (null = unlimited), needing `estimate` requests per fetch
+const buildAdapter = (provider, requestsPerDay, estimate = 1) => ({
+  getProvider: () => provider,
+  getQuota: () => ({ requestsPerDay }),
+  estimateRequests: () => estimate,
+});
+
+describe('Provider usage service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2026-10-19T20:30:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    providerUsageService.autoFetchInFlight.clear();
+    ProviderUsage.updateOne.mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('quota days', () => {
+    it('should count usage by UTC day, not the IST date', () => {
+      // 02:00 IST on the 20th is still the 19th for the providers
+      expect(providerUsageService.getDay()).toBe('2026-10-19');
+      expect(providerUsageService.getDay(new Date('2026-10-20T00:00:00Z'))).toBe('2026-10-20');
+    });
+
+    it('should reset quotas at the next 00:00 UTC', () => {
+      expect(providerUsageService.getNextQuotaDayStart()).toEqual(new Date('2026-10-20T00:00:00Z'));
+      expect(providerUsageService.getNextQuotaDayStart(new Date('2026-10-20T00:00:00Z'))).toEqual(new Date('2026-10-21T00:00:00Z'));
+    });
+  });
+
+  describe('checkQuota', () => {
+    it('should allow a fetch that fits in the rest of today\'s quota', async () => {
+      ProviderUsage.findOne.mockReturnValue(mockQuery({ requests: 97 }));
+
+      const check = await providerUsageService.checkQuota(buildAdapter('newsapi', 100, 3), null);
+
+      expect(check).toEqual({ allowed: true, reason: '', used: 97, limit: 100, estimate: 3 });
+      expect(ProviderUsage.findOne).toHaveBeenCalledWith({ provider: 'newsapi', day: '2026-10-19' });
+    });
+
+    it('should refuse a fetch that would go over the quota', async () => {
+      ProviderUsage.findOne.mockReturnValue(mockQuery({ requests: 98 }));
+
+      const check = await providerUsageService.checkQuota(buildAdapter('newsapi', 100, 3), null);
+
+      expect(check.allowed).toBe(false);
+      expect(check.reason).toMatch(/quota would be exceeded \(98 \+ 3 of 100/);
+    });
+
+    it('should refuse providers that rate limited us today, even without a quota', async () => {
+      ProviderUsage.findOne.mockReturnValue(mockQuery({ requests: 4, rateLimitedAt: new Date() }));
+
+      const check = await providerUsageService.checkQuota(buildAdapter('pib', null), null);
+
+      expect(check).toMatchObject({ allowed: false, reason: 'pib rate limited today' });
+    });
+
+    it('should allow unlimited providers without usage', async () => {
+      ProviderUsage.findOne.mockReturnValue(mockQuery(null));
+
+      expect(await providerUsageService.checkQuota(buildAdapter('pib', null), null))
+        .toMatchObject({ allowed: true, used: 0, limit: null });
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should add the requests to today\'s usage and remember rate limits', async () => {
+      await providerUsageService.recordUsage(buildAdapter('gnews', 100), { requests: 2, articles: 15, rateLimited: true });
+
+      expect(ProviderUsage.updateOne).toHaveBeenCalledWith(
+        { provider: 'gnews', day: '2026-10-19' },
+        { $inc: { requests: 2, articles: 15 }, $set: { lastUsedAt: expect.any(Date), rateLimitedAt: expect.any(Date) } },
+        { upsert: true }
+      );
+    });
+
+    it('should not fail the scrape when usage cannot be recorded', async () => {
+      ProviderUsage.updateOne.mockRejectedValue(new Error('connection lost'));
+
+      await expect(providerUsageService.recordUsage(buildAdapter('gnews', 100), { requests: 1 })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('reserveAutoFetch', () => {
+    it('should take one scrape from today\'s budget', async () => {
+      expect(await providerUsageService.reserveAutoFetch('2026-10-19')).toEqual({ allowed: true, reason: '' });
+
+      const [filter, update, options] = ProviderUsage.updateOne.mock.calls[0];
+      expect(filter).toEqual({ provider: 'autoFetch', day: '2026-10-19', requests: { $lt: providerUsageService.autoFetchPerDay } });
+      expect(update.$inc).toEqual({ requests: 1 });
+      expect(options).toEqual({ upsert: true });
+    });
+
+    it('should refuse a second auto-fetch of a date that is still running', async () => {
+      await providerUsageService.reserveAutoFetch('2026-10-19');
+
+      expect(await providerUsageService.reserveAutoFetch('2026-10-19')).toMatchObject({ allowed: false });
+      providerUsageService.releaseAutoFetch('2026-10-19');
+      expect(await providerUsageService.reserveAutoFetch('2026-10-19')).toMatchObject({ allowed: true });
+    });
+
+    it('should refuse once the budget is used up (the upsert hits the unique index)', async () => {
+      ProviderUsage.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      expect(await providerUsageService.reserveAutoFetch('2026-10-19'))
+        .toEqual({ allowed: false, reason: 'Daily auto-fetch budget used up' });
+      expect(providerUsageService.autoFetchInFlight.has('2026-10-19')).toBe(false);
+    });
+
+    it('should pass on other errors', async () => {
+      ProviderUsage.updateOne.mockRejectedValue(new Error('connection lost'));
+
+      await expect(providerUsageService.reserveAutoFetch('2026-10-19')).rejects.toThrow('connection lost');
+      expect(providerUsageService.autoFetchInFlight.has('2026-10-19')).toBe(false);
+    });
+  });
+
+  describe('getUsageReport', () => {
+    it('should report today\'s usage per provider against the strictest quota of its sources', async () => {
+      newsSourceService.getSources.mockResolvedValue([
+        { key: 'newsapi-india', enabled: true },
+        { key: 'newsapi-world', enabled: false },
+        { key: 'broken', enabled: true },
+      ]);
+      createAdapter.mockImplementation(({ key }) => {
+        if (key === 'broken') throw new Error('Unknown source type');
+        return buildAdapter('newsapi', key === 'newsapi-india' ? 100 : 50, 2);
+      });
+      ProviderUsage.find.mockReturnValue(mockQuery([
+        { provider: 'newsapi', day: '2026-10-19', requests: 44, articles: 300, rateLimitedAt: null },
+        { provider: 'newsapi', day: '2026-10-18', requests: 60, articles: 400, rateLimitedAt: new Date() },
+        { provider: 'autoFetch', day: '2026-10-19', requests: 2 },
+      ]));
+
+      const report = await providerUsageService.getUsageReport({ days: 2 });
+
+      expect(ProviderUsage.find).toHaveBeenCalledWith({ day: { $gte: '2026-10-18' } });
+      expect(report.day).toBe('2026-10-19');
+      expect(report.providers).toEqual([expect.objectContaining({
+        provider: 'newsapi',
+        limit: 50,
+        today: expect.objectContaining({ requests: 44, remaining: 6, rateLimited: false }),
+        history: [
+          { day: '2026-10-19', requests: 44, articles: 300, rateLimited: false },
+          { day: '2026-10-18', requests: 60, articles: 400, rateLimited: true },
+        ],
+      })]);
+      expect(report.providers[0].sources.map(source => source.key)).toEqual(['newsapi-india', 'newsapi-world']);
+      expect(report.autoFetch).toMatchObject({ used: 2, remaining: providerUsageService.autoFetchPerDay - 2 });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { applyOptionOrder, normalizeAnswerKey, toDisplayAnswer, toStudentQuestion, validateAnswerKey } from '../src/utils/questionTypes.js';
+
+const options = ['A', 'B', 'C', 'D'];
+
+describe('Question types', () => {
+  describe('normalizeAnswerKey', () => {
+    it('should parse integer indices from numbers and strings', () => {
+      expect(normalizeAnswerKey({ correctIndex: '2' }).correctIndex).toBe(2);
+      expect(normalizeAnswerKey({ type: 'multiple', correctIndices: '2, 0' }).correctIndices).toEqual([0, 2]);
+      expect(normalizeAnswerKey({ type: 'match', correctMatches: [1, '0'] }).correctMatches).toEqual([1, 0]);
+    });
+
+    it('should reject non-integer indices instead of truncating them', () => {
+      const single = normalizeAnswerKey({ correctIndex: 1.7 });
+      const multiple = normalizeAnswerKey({ type: 'multiple', correctIndices: '0,1.5' });
+      const text = normalizeAnswerKey({ correctIndex: '1abc' });
+
+      expect(validateAnswerKey({ ...single, options })).toMatch(/Invalid correct answer index/);
+      expect(validateAnswerKey({ ...multiple, options })).toMatch(/Invalid correct option indices/);
+      expect(validateAnswerKey({ ...text, options })).toMatch(/Invalid correct answer index/);
+    });
+  });
+
+  describe('shuffled options', () => {
+    it('should reorder options without carrying an answer key', () => {
+      const question = { _id: 'q1', options: ['A', 'B', 'C'], correctIndex: 2, explanation: 'C is right' };
+      const optionOrder = [2, 0, 1];
+
+      const shown = toStudentQuestion(applyOptionOrder(question, optionOrder));
+
+      expect(shown.options).toEqual(['C', 'A', 'B']);
+      expect(shown).not.toHaveProperty('correctIndex');
+      expect(shown).not.toHaveProperty('explanation');
+      expect(toDisplayAnswer(question.correctIndex, optionOrder)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import ScoreDistribution from '../src/models/ScoreDistribution.js';
+
+describe('ScoreDistribution model', () => {
+  it('should count scores per bucket key', () => {
+    const distribution = new ScoreDistribution({
+      questionPaper: new mongoose.Types.ObjectId(),
+      counts: { 250: '2', 1000: 1 },
+      total: 3,
+    });
+
+    expect(distribution.validateSync()).toBeUndefined();
+    expect(distribution.counts.get('250')).toBe(2);
+    expect(distribution.counts.get('1000')).toBe(1);
+  });
+
+  it('should reject counts that are not numbers', () => {
+    const distribution = new ScoreDistribution({ questionPaper: new mongoose.Types.ObjectId(), counts: { 250: 'many' } });
+
+    expect(distribution.validateSync().errors).toHaveProperty(['counts.250']);
+  });
+
+  it('should require the question paper', () => {
+    expect(new ScoreDistribution({}).validateSync().errors).toHaveProperty('questionPaper');
+  });
+});
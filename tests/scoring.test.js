@@ -0,0 +1,196 @@
+import { getTimeFlag, gradeAnswer, resolveMarkingScheme, scoreAttempt, summarizeSections, summarizeTiming } from '../src/utils/scoring.js';
+
+const buildQuestionMap = (questions) => new Map(questions.map(q => [q._id, q]));
+
+describe('Scoring', () => {
+  describe('resolveMarkingScheme', () => {
+    it('should default to 1 mark per correct answer without penalty', () => {
+      expect(resolveMarkingScheme()).toEqual({ marksPerCorrect: 1, negativeMarkingRatio: 0, partialCredit: false });
+    });
+
+    it('should prefer the question paper scheme over the exam scheme', () => {
+      const scheme = resolveMarkingScheme({
+        questionPaper: { totalMarks: 100, markingScheme: { marksPerCorrect: 2, negativeMarkingRatio: null } },
+        exam: { markingScheme: { marksPerCorrect: 4, negativeMarkingRatio: 0.25 } },
+        paperQuestionCount: 50,
+      });
+
+      expect(scheme).toEqual({ marksPerCorrect: 2, negativeMarkingRatio: 0.25, partialCredit: false });
+    });
+
+    it('should spread paper totalMarks across questions when no scheme is set', () => {
+      const scheme = resolveMarkingScheme({
+        questionPaper: { totalMarks: 200, totalMarksExplicit: true, markingScheme: {} },
+        paperQuestionCount: 100,
+      });
+
+      expect(scheme.marksPerCorrect).toBe(2);
+    });
+
+    it('should spread totalMarks over the whole paper when the attempt is a subset', () => {
+      const scheme = resolveMarkingScheme({
+        questionPaper: { totalMarks: 200, totalMarksExplicit: true, markingScheme: {} },
+        paperQuestionCount: 100,
+      });
+      const questions = Array.from({ length: 10 }, (_, idx) => ({ _id: `q${idx}`, type: 'single', correctIndex: 0 }));
+      const attemptQuestions = questions.map(q => ({ questionId: q._id, question: q, answer: 0 }));
+
+      const scored = scoreAttempt(attemptQuestions, buildQuestionMap(questions), scheme);
+
+      expect(scored.marksObtained).toBe(20);
+      expect(scored.maxMarks).toBe(20);
+    });
+
+    it('should keep totalMarks exact when it does not divide evenly', () => {
+      const scheme = resolveMarkingScheme({
+        questionPaper: { totalMarks: 100, totalMarksExplicit: true, markingScheme: {} },
+        paperQuestionCount: 30,
+      });
+      const questions = Array.from({ length: 30 }, (_, idx) => ({ _id: `q${idx}`, type: 'single', correctIndex: 0 }));
+      const attemptQuestions = questions.map(q => ({ questionId: q._id, question: q, answer: 0 }));
+
+      const scored = scoreAttempt(attemptQuestions, buildQuestionMap(questions), scheme);
+
+      expect(scored.maxMarks).toBe(100);
+      expect(scored.marksObtained).toBe(100);
+      expect(scored.results[0].maxMarks).toBe(3.33);
+    });
+
+    it('should use the default scheme for legacy papers with the default totalMarks', () => {
+      const scheme = resolveMarkingScheme({
+        questionPaper: { totalMarks: 100, markingScheme: {} },
+        paperQuestionCount: 30,
+      });
+
+      expect(scheme).toEqual({ marksPerCorrect: 1, negativeMarkingRatio: 0, partialCredit: false });
+    });
+  });
+
+  describe('scoreAttempt', () => {
+    const questions = [
+      { _id: 'q1', correctIndex: 0, explanation: 'A' },
+      { _id: 'q2', correctIndex: 1, explanation: 'B' },
+      { _id: 'q3', correctIndex: 2, explanation: 'C', marks: 3 },
+    ];
+
+    it('should apply negative marking to wrong answers only', () => {
+      const attemptQuestions = [
+        { questionId: 'q1', answer: 0, flagged: false },
+        { questionId: 'q2', answer: 3, flagged: false },
+        { questionId: 'q3', answer: null, flagged: true },
+      ];
+
+      const scored = scoreAttempt(attemptQuestions, buildQuestionMap(questions), {
+        marksPerCorrect: 2,
+        negativeMarkingRatio: 1 / 3,
+      });
+
+      expect(scored.correct).toBe(1);
+      expect(scored.incorrect).toBe(1);
+      expect(scored.unattempted).toBe(1);
+      expect(scored.maxMarks).toBe(7);
+      expect(scored.marksObtained).toBeCloseTo(2 - 2 / 3, 2);
+      expect(scored.results[2].status).toBe('unattempted');
+      expect(scored.results[2].marksAwarded).toBe(0);
+    });
+
+    it('should report shuffled options in the order the student saw', () => {
+      // Displayed options: [C, A, B] - the student picked "A" (display 1, canonical 0)
+      const attemptQuestions = [
+        { questionId: 'q1', answer: 0, optionOrder: [2, 0, 1] },
+      ];
+
+      const scored = scoreAttempt(attemptQuestions, buildQuestionMap(questions.slice(0, 1)));
+
+      expect(scored.results[0].isCorrect).toBe(true);
+      expect(scored.results[0].userAnswer).toBe(1);
+      expect(scored.results[0].correctAnswer).toBe(1);
+    });
+
+    it('should match the plain percentage without a scheme', () => {
+      const attemptQuestions = [
+        { questionId: 'q1', answer: '0' },
+        { questionId: 'q2', answer: 0 },
+      ];
+
+      const scored = scoreAttempt(attemptQuestions, buildQuestionMap(questions.slice(0, 2)));
+
+      expect(scored.percentage).toBe(50);
+    });
+  });
+
+  describe('gradeAnswer', () => {
+    it('should require every correct option on multiple-select questions', () => {
+      const question = { type: 'multiple', correctIndices: [0, 2] };
+
+      expect(gradeAnswer(question, [2, 0]).isCorrect).toBe(true);
+      expect(gradeAnswer(question, [0]).fraction).toBe(0);
+      expect(gradeAnswer(question, [0], { partialCredit: true }).fraction).toBe(0.5);
+      expect(gradeAnswer(question, [0, 1], { partialCredit: true }).fraction).toBe(0);
+    });
+
+    it('should accept numeric answers within tolerance', () => {
+      const question = { type: 'numeric', numericAnswer: { value: 3.14, tolerance: 0.01 } };
+
+      expect(gradeAnswer(question, '3.15').isCorrect).toBe(true);
+      expect(gradeAnswer(question, 3.2).isCorrect).toBe(false);
+      expect(gradeAnswer(question, '').attempted).toBe(false);
+    });
+
+    it('should grade match-the-following pairs', () => {
+      const question = { type: 'match', correctMatches: [2, 0, 1] };
+
+      expect(gradeAnswer(question, [2, 0, 1]).isCorrect).toBe(true);
+      expect(gradeAnswer(question, [2, 1, 0], { partialCredit: true }).fraction).toBeCloseTo(1 / 3);
+    });
+  });
+
+  describe('summarizeSections', () => {
+    it('should total marks per blueprint section', () => {
+      const questions = [
+        { _id: 'q1', correctIndex: 0 },
+        { _id: 'q2', correctIndex: 1 },
+        { _id: 'q3', correctIndex: 2 },
+      ];
+      const attemptQuestions = [
+        { questionId: 'q1', answer: 0, section: 0 },
+        { questionId: 'q2', answer: 0, section: 0 },
+        { questionId: 'q3', answer: 2, section: 1 },
+      ];
+
+      const { results } = scoreAttempt(attemptQuestions, buildQuestionMap(questions), {
+        marksPerCorrect: 2,
+        negativeMarkingRatio: 0.5,
+      });
+      const sections = summarizeSections(results, [{ name: 'History' }, { name: 'Polity' }]);
+
+      expect(sections[0]).toMatchObject({ name: 'History', total: 2, correct: 1, incorrect: 1, marksObtained: 1, maxMarks: 4, percentage: 25 });
+      expect(sections[1]).toMatchObject({ name: 'Polity', total: 1, correct: 1, marksObtained: 2, percentage: 100 });
+    });
+  });
+
+  describe('timing', () => {
+    it('should flag guesses and questions that took too long', () => {
+      expect(getTimeFlag({ status: 'correct', timeSpentSeconds: 3 }, 72)).toBe('too_fast');
+      expect(getTimeFlag({ status: 'unattempted', timeSpentSeconds: 3 }, 72)).toBeNull();
+      expect(getTimeFlag({ status: 'incorrect', timeSpentSeconds: 200 }, 72)).toBe('too_slow');
+      expect(getTimeFlag({ status: 'correct', timeSpentSeconds: 0 }, 72)).toBeNull();
+    });
+
+    it('should total time per subject over tracked questions only', () => {
+      const history = { _id: 's1', name: 'History' };
+      const timing = summarizeTiming([
+        { question: { subject: history }, timeSpentSeconds: 60, timeFlag: null },
+        { question: { subject: history }, timeSpentSeconds: 180, timeFlag: 'too_slow' },
+        { question: { subject: history }, timeSpentSeconds: 0, timeFlag: null },
+      ], 72);
+
+      expect(timing.trackedQuestions).toBe(2);
+      expect(timing.averageSecondsPerQuestion).toBe(120);
+      expect(timing.tooSlow).toBe(1);
+      expect(timing.subjects).toEqual([
+        { subjectId: 's1', name: 'History', questions: 2, timeSpentSeconds: 240, averageSecondsPerQuestion: 120 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+import ScrapeRun from '../src/models/ScrapeRun.js';
+
+describe('ScrapeRun model', () => {
+  it('should start a run as running with zero counts', () => {
+    const run = new ScrapeRun({ date: '2026-10-19', trigger: 'cron' });
+
+    expect(run.validateSync()).toBeUndefined();
+    expect(run.status).toBe('running');
+    expect(run.counts.toObject()).toMatchObject({ fetched: 0, saved: 0, totalInDb: 0 });
+  });
+
+  it('should require known triggers and a status for every source', () => {
+    const { errors } = new ScrapeRun({
+      date: '2026-10-19',
+      trigger: 'visitor',
+      sources: [{ key: 'pib' }],
+    }).validateSync();
+
+    expect(Object.keys(errors).sort()).toEqual(['sources.0.status', 'trigger']);
+  });
+
+  it('should list run history of a date newest first', () => {
+    const fields = ScrapeRun.schema.indexes().map(([indexFields]) => indexFields);
+
+    expect(fields).toContainEqual({ date: 1, startedAt: -1 });
+  });
+});
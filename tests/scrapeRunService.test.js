@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { mockQuery } from './helpers/mongoose.js';
+
+const ScrapeRun = {
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  aggregate: jest.fn(),
+};
+
+jest.unstable_mockModule('../src/models/ScrapeRun.js', () => ({ default: ScrapeRun }));
+
+const { default: scrapeRunService } = await import('../src/services/scrapeRunService.js');
+
+const options = { trigger: 'admin', triggeredBy: 'admin1', force: false };
+
+// The $set of the update that closed the run
+const finishedWith = () => ScrapeRun.updateOne.mock.calls[0][1].$set;
+
+describe('Scrape run service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ScrapeRun.create.mockImplementation(async (data) => ({ _id: 'run1', ...data }));
+    ScrapeRun.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('track', () => {
+    it('should record a successful scrape with its counts and sources', async () => {
+      const sources = [{ key: 'pib', status: 'ok', articles: 12 }];
+      const result = await scrapeRunService.track('2026-10-19', options, async () => ({
+        success: true,
+        count: 12,
+        fetched: 30,
+        unique: 14,
+        duplicates: 16,
+        merged: 2,
+        totalInDb: 40,
+        sources,
+      }));
+
+      expect(result).toMatchObject({ success: true, count: 12, runId: 'run1' });
+      expect(ScrapeRun.create).toHaveBeenCalledWith(expect.objectContaining({ date: '2026-10-19', trigger: 'admin', triggeredBy: 'admin1' }));
+      expect(finishedWith()).toMatchObject({
+        status: 'success',
+        sources,
+        quotaExhausted: false,
+        counts: { fetched: 30, unique: 14, saved: 12, duplicates: 16, merged: 2, errors: 0, totalInDb: 40 },
+        durationMs: expect.any(Number),
+      });
+    });
+
+    it('should record dates that were already scraped as skipped', async () => {
+      await scrapeRunService.track('2026-10-19', options, async () => ({ success: true, message: 'Already exists', count: 25 }));
+
+      expect(finishedWith()).toMatchObject({ status: 'skipped', counts: { saved: 0, totalInDb: 25 } });
+    });
+
+    it('should save nothing for a failed scrape', async () => {
+      await scrapeRunService.track('2026-10-19', options, async () => ({ success: false, message: 'No content found from any source', count: 3 }));
+
+      expect(finishedWith()).toMatchObject({ status: 'failed', message: 'No content found from any source', counts: { saved: 0 } });
+    });
+
+    it('should flag runs where a provider rate limited the scrape', async () => {
+      await scrapeRunService.track('2026-10-19', options, async () => ({
+        success: true,
+        count: 5,
+        sources: [{ key: 'newsapi', status: 'error', rateLimited: true }, { key: 'pib', status: 'ok' }],
+      }));
+
+      expect(finishedWith().quotaExhausted).toBe(true);
+    });
+
+    it('should flag runs where a source was skipped to stay within its quota', async () => {
+      await scrapeRunService.track('2026-10-19', options, async () => ({
+        success: false,
+        message: 'No content found from any source',
+        sources: [{ key: 'gnews', status: 'skipped', skipReason: 'quota' }],
+      }));
+
+      expect(finishedWith().quotaExhausted).toBe(true);
+    });
+
+    it('should not flag sources skipped for other reasons', async () => {
+      await scrapeRunService.track('2026-10-19', options, async () => ({
+        success: true,
+        count: 25,
+        sources: [{ key: 'pib', status: 'ok' }, { key: 'gnews', status: 'skipped', skipReason: 'enough-articles' }],
+      }));
+
+      expect(finishedWith().quotaExhausted).toBe(false);
+    });
+
+    it('should record a scrape that throws as failed and pass the error on', async () => {
+      await expect(scrapeRunService.track('2026-10-19', options, async () => {
+        throw new Error('network down');
+      })).rejects.toThrow('network down');
+
+      expect(finishedWith()).toMatchObject({ status: 'failed', error: 'network down' });
+    });
+
+    it('should still scrape when the run cannot be recorded', async () => {
+      ScrapeRun.create.mockRejectedValue(new Error('connection lost'));
+
+      const result = await scrapeRunService.track('2026-10-19', options, async () => ({ success: true, count: 1 }));
+
+      expect(result).toEqual({ success: true, count: 1 });
+      expect(ScrapeRun.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRuns', () => {
+    it('should filter runs and report the total', async () => {
+      ScrapeRun.find.mockReturnValue(mockQuery([{ _id: 'run1' }]));
+      ScrapeRun.countDocuments.mockResolvedValue(21);
+
+      const result = await scrapeRunService.getRuns({ date: '2026-10-19', status: 'failed', skip: 10, limit: 10 });
+
+      expect(result).toEqual({ runs: [{ _id: 'run1' }], total: 21 });
+      expect(ScrapeRun.find).toHaveBeenCalledWith({ date: '2026-10-19', status: 'failed' });
+      expect(ScrapeRun.countDocuments).toHaveBeenCalledWith({ date: '2026-10-19', status: 'failed' });
+    });
+  });
+
+  describe('getSourceHealth', () => {
+    it('should turn per-source totals into success and error rates', async () => {
+      ScrapeRun.aggregate.mockResolvedValue([{
+        _id: 'pib',
+        name: 'PIB',
+        attempts: 8,
+        successes: 6,
+        empty: 1,
+        errors: 1,
+        rateLimited: 0,
+        articles: 100,
+        requests: 8,
+        lastError: null,
+        daily: [{ day: '2026-10-19', attempts: 3, successes: 1, errors: 1, rateLimited: 0, articles: 20 }],
+      }]);
+
+      const health = await scrapeRunService.getSourceHealth({ days: 7 });
+
+      expect(health.days).toBe(7);
+      expect(health.sources).toEqual([expect.objectContaining({
+        key: 'pib',
+        successRate: 75,
+        errorRate: 12.5,
+        avgArticles: 13,
+        daily: [expect.objectContaining({ day: '2026-10-19', successRate: 33.3 })],
+      })]);
+    });
+
+    it('should keep the window between one day and maxHealthDays', async () => {
+      ScrapeRun.aggregate.mockResolvedValue([]);
+
+      expect((await scrapeRunService.getSourceHealth({ days: 0 })).days).toBe(1);
+      expect((await scrapeRunService.getSourceHealth({ days: 1000 })).days).toBe(scrapeRunService.maxHealthDays);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const TestAttempt = { aggregate: jest.fn() };
+
+jest.unstable_mockModule('../src/models/TestAttempt.js', () => ({ default: TestAttempt }));
+
+const { default: studentAnalyticsService } = await import('../src/services/studentAnalyticsService.js');
+
+const { ObjectId } = mongoose.Types;
+const userId = new ObjectId();
+const subjectId = new ObjectId();
+
+// getProgressSummary runs its aggregations in this order: attempt totals, question totals, trend, subjects, papers
+const mockSummaryAggregations = ({ attemptTotals = [], questionTotals = [], trend = [], subjects = [], papers = [] } = {}) => {
+  [attemptTotals, questionTotals, trend, subjects, papers]
+    .forEach(result => TestAttempt.aggregate.mockResolvedValueOnce(result));
+};
+
+describe('Student analytics service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildAttemptFilter', () => {
+    it('should default to the submitted attempts of the user', () => {
+      expect(studentAnalyticsService.buildAttemptFilter(String(userId))).toEqual({ userId, submitted: true });
+    });
+
+    it('should cast ID filters so the filter also works in aggregations', () => {
+      const filter = studentAnalyticsService.buildAttemptFilter(userId, { subjectId: String(subjectId), submitted: null });
+
+      expect(filter.subjectId).toBeInstanceOf(ObjectId);
+      expect(filter.subjectId.equals(subjectId)).toBe(true);
+      expect(filter).not.toHaveProperty('submitted');
+      expect(filter).not.toHaveProperty('examId');
+    });
+
+    it('should include the whole day of a date-only upper bound', () => {
+      const filter = studentAnalyticsService.buildAttemptFilter(userId, { from: '2026-10-01', to: '2026-10-19' });
+
+      expect(filter.createdAt).toEqual({
+        $gte: new Date('2026-10-01T00:00:00.000Z'),
+        $lte: new Date('2026-10-19T23:59:59.999Z'),
+      });
+    });
+
+    it('should keep the time of a full timestamp upper bound', () => {
+      const filter = studentAnalyticsService.buildAttemptFilter(userId, { to: '2026-10-19T06:30:00Z' });
+
+      expect(filter.createdAt).toEqual({ $lte: new Date('2026-10-19T06:30:00Z') });
+    });
+  });
+
+  describe('getProgressSummary', () => {
+    it('should report empty statistics for a student without submitted attempts', async () => {
+      mockSummaryAggregations();
+
+      const summary = await studentAnalyticsService.getProgressSummary(userId);
+
+      expect(summary.interval).toBe('week');
+      expect(summary.overview).toMatchObject({
+        attempts: 0,
+        questions: 0,
+        attempted: 0,
+        accuracy: null,
+        averageScore: null,
+        averageTimeSeconds: null,
+        averageTimePerQuestionSeconds: null,
+      });
+      expect(summary.trend).toEqual([]);
+      expect(summary.subjects).toEqual([]);
+      expect(summary.papers).toEqual([]);
+    });
+
+    it('should roll up attempts, accuracy per period and per subject', async () => {
+      mockSummaryAggregations({
+        attemptTotals: [{ attempts: 2, averageScore: 66.666, bestScore: 80, questions: 30, averageTimeMs: 600000, totalTimeMs: 1200000 }],
+        questionTotals: [{ attempted: 24, correct: 16 }],
+        trend: [{ _id: '2026-10', attempts: ['a1', 'a2'], attempted: 24, correct: 16 }],
+        subjects: [
+          { _id: null, name: null, attempts: ['a2'], questions: 10, attempted: 0, correct: 0 },
+          { _id: subjectId, name: 'Polity', attempts: ['a1', 'a2'], questions: 20, attempted: 24, correct: 16 },
+        ],
+      });
+
+      const summary = await studentAnalyticsService.getProgressSummary(userId, {}, { interval: 'month' });
+
+      expect(summary.interval).toBe('month');
+      expect(summary.overview).toMatchObject({
+        attempts: 2,
+        accuracy: 66.67,
+        averageScore: 66.67,
+        bestScore: 80,
+        averageTimeSeconds: 600,
+        averageTimePerQuestionSeconds: 40,
+      });
+      expect(summary.trend).toEqual([{ period: '2026-10', attempts: 2, attempted: 24, correct: 16, accuracy: 66.67 }]);
+      // Subjects with the most questions first; questions without a subject are reported as Unknown
+      expect(summary.subjects.map(subject => [subject.name, subject.attempts, subject.accuracy])).toEqual([
+        ['Polity', 2, 66.67],
+        ['Unknown', 1, null],
+      ]);
+    });
+
+    it('should report pacing from the tracked time of each question', async () => {
+      mockSummaryAggregations({
+        attemptTotals: [{ attempts: 1, averageScore: 50, bestScore: 50, questions: 10, averageTimeMs: 300000, totalTimeMs: 300000 }],
+        questionTotals: [{ attempted: 10, correct: 5, averageTrackedSeconds: 27.456, tooFast: 3, tooSlow: 1 }],
+        subjects: [{ _id: subjectId, name: 'Polity', attempts: ['a1'], questions: 10, attempted: 10, correct: 5, averageTrackedSeconds: null, tooFast: 0, tooSlow: 0 }],
+      });
+
+      const summary = await studentAnalyticsService.getProgressSummary(userId);
+
+      expect(summary.overview).toMatchObject({
+        averageTimePerQuestionSeconds: 30,
+        averageTrackedSecondsPerQuestion: 27.46,
+        tooFast: 3,
+        tooSlow: 1,
+      });
+      // Attempts from before time tracking have no tracked average
+      expect(summary.subjects[0].averageTrackedSecondsPerQuestion).toBeNull();
+
+      // Untracked questions (0 seconds) are left out of the averages rather than pulling them down
+      const [, , { $project }] = TestAttempt.aggregate.mock.calls[1][0];
+      expect($project.timeSpentSeconds).toEqual({ $cond: [{ $gt: ['$results.timeSpentSeconds', 0] }, '$results.timeSpentSeconds', null] });
+    });
+
+    it('should bucket the trend by the requested interval in IST and fall back to weeks', async () => {
+      mockSummaryAggregations();
+      await studentAnalyticsService.getProgressSummary(userId, {}, { interval: 'day' });
+      const trendPipeline = TestAttempt.aggregate.mock.calls[2][0];
+      const { $group } = trendPipeline.find(stage => stage.$group);
+
+      expect($group._id.$dateToString).toMatchObject({ format: '%Y-%m-%d', timezone: 'Asia/Kolkata' });
+
+      mockSummaryAggregations();
+      expect((await studentAnalyticsService.getProgressSummary(userId, {}, { interval: 'year' })).interval).toBe('week');
+    });
+
+    it('should list only paper attempts, filtered to the selected paper', async () => {
+      const questionPaperId = new ObjectId();
+      mockSummaryAggregations({
+        papers: [{ _id: questionPaperId, name: 'GS Paper I', attempts: 2, bestScore: 80, latestScore: 60, latestTestId: 'test_2', latestAt: new Date('2026-10-18') }],
+      });
+
+      const summary = await studentAnalyticsService.getProgressSummary(userId, { questionPaperId });
+
+      const [{ $match }] = TestAttempt.aggregate.mock.calls[4][0];
+      expect($match.questionPaperId.equals(questionPaperId)).toBe(true);
+      expect(summary.papers).toEqual([expect.objectContaining({ name: 'GS Paper I', bestScore: 80, latestScore: 60 })]);
+    });
+  });
+
+  describe('getWeakTopics', () => {
+    const historyId = new ObjectId();
+    const facets = {
+      subject: [
+        { _id: subjectId, name: 'Polity', questions: 22, attempted: 20, correct: 6 },
+        { _id: historyId, name: 'History', questions: 10, attempted: 10, correct: 9 },
+      ],
+      tag: [
+        { _id: { subjectId, tag: 'budget' }, name: 'Budget', subjectName: 'Polity', questions: 8, attempted: 8, correct: 4 },
+        { _id: { subjectId, tag: 'parliament' }, name: 'Parliament', subjectName: 'Polity', questions: 5, attempted: 5, correct: 4 },
+        { _id: { subjectId: historyId, tag: 'rivers' }, name: 'Rivers', subjectName: 'History', questions: 3, attempted: 3, correct: 0 },
+      ],
+      difficulty: [
+        { _id: 'hard', name: 'hard', questions: 12, attempted: 12, correct: 2 },
+      ],
+    };
+
+    it('should classify topics by the confidence interval of their accuracy', async () => {
+      TestAttempt.aggregate.mockResolvedValue([facets]);
+
+      const result = await studentAnalyticsService.getWeakTopics(userId);
+
+      const statuses = [...result.subjects, ...result.tags, ...result.difficulties].map(topic => [topic.name, topic.status]);
+      expect(statuses).toEqual([
+        ['Polity', 'weak'],
+        ['History', 'strong'],
+        // Below target, but 8 answers cannot rule out reaching it
+        ['Budget', 'needs_review'],
+        // Above target without being certain
+        ['Parliament', 'on_track'],
+        // Fewer answers than minAttempted
+        ['Rivers', 'insufficient_data'],
+        ['hard', 'weak'],
+      ]);
+      expect(result.subjects[0]).toMatchObject({ accuracy: 30, subjectId });
+      expect(result.subjects[0].confidenceInterval.upper).toBeLessThan(60);
+      expect(result.tags[0]).toMatchObject({ tag: 'Budget', subjectId, subjectName: 'Polity' });
+    });
+
+    it('should list the most certain weaknesses first and recommend tags and subjects to practise', async () => {
+      TestAttempt.aggregate.mockResolvedValue([facets]);
+
+      const { weakTopics, recommendations } = await studentAnalyticsService.getWeakTopics(userId);
+
+      expect(weakTopics.map(topic => topic.name)).toEqual(['hard', 'Polity', 'Budget']);
+      expect(recommendations).toEqual([
+        { dimension: 'subject', name: 'Polity', status: 'weak', accuracy: 30, practice: { subjectId, tag: null } },
+        { dimension: 'tag', name: 'Budget', status: 'needs_review', accuracy: 50, practice: { subjectId, tag: 'Budget' } },
+      ]);
+    });
+
+    it('should apply the requested target accuracy and sample size', async () => {
+      TestAttempt.aggregate.mockResolvedValue([facets]);
+
+      const result = await studentAnalyticsService.getWeakTopics(userId, {}, { targetAccuracy: 40, minAttempted: 10 });
+
+      expect(result.settings).toEqual({ targetAccuracy: 40, minAttempted: 10, confidence: 0.9 });
+      expect(result.tags.map(topic => topic.status)).toEqual(['insufficient_data', 'insufficient_data', 'insufficient_data']);
+      expect(result.subjects[0].status).toBe('needs_review');
+    });
+
+    it('should have no topics without answers', async () => {
+      TestAttempt.aggregate.mockResolvedValue([]);
+
+      const result = await studentAnalyticsService.getWeakTopics(userId);
+
+      expect(result).toMatchObject({ weakTopics: [], recommendations: [], subjects: [], tags: [], difficulties: [] });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import TestAttempt from '../src/models/TestAttempt.js';
+
+const questionId = new mongoose.Types.ObjectId();
+
+describe('TestAttempt model', () => {
+  describe('results', () => {
+    const results = [{
+      questionId,
+      question: { text: 'Pick all primes', options: ['2', '4', '5'] },
+      userAnswer: [0, 2],
+      correctAnswer: [0, 2],
+      type: 'multiple',
+      isCorrect: true,
+      status: 'correct',
+      marksAwarded: 2,
+      maxMarks: 2,
+    }];
+
+    it('should store scored results as subdocuments with their question type', () => {
+      const attempt = new TestAttempt({ testId: 'test_1', results });
+
+      expect(attempt.validateSync()).toBeUndefined();
+      expect(attempt.results[0]).toMatchObject({ type: 'multiple', status: 'correct', marksAwarded: 2 });
+      expect(attempt.results[0].userAnswer).toEqual([0, 2]);
+    });
+
+    it('should cast results the way a submission $set does', () => {
+      const { results: [cast] } = TestAttempt.castObject({ results });
+
+      expect(cast.questionId).toEqual(questionId);
+      expect(cast.type).toBe('multiple');
+    });
+  });
+
+  describe('time tracking', () => {
+    it('should start every question untracked and store the timing summary', () => {
+      const attempt = new TestAttempt({
+        testId: 'test_1',
+        questions: [{ questionId, question: { text: 'Q1' } }],
+        timing: { trackedQuestions: 1, tooFast: 0, tooSlow: 1, subjects: [{ name: 'Polity', questions: 1, timeSpentSeconds: 95 }] },
+      });
+
+      expect(attempt.validateSync()).toBeUndefined();
+      expect(attempt.questions[0]).toMatchObject({ timeSpentSeconds: 0, visits: 0, lastVisitedAt: null });
+      expect(attempt.timing.subjects[0].toObject()).toEqual({ name: 'Polity', questions: 1, timeSpentSeconds: 95 });
+    });
+  });
+
+  describe('ranking', () => {
+    it('should rank one attempt per user and paper', () => {
+      const [, options] = TestAttempt.schema.indexes()
+        .find(([fields]) => JSON.stringify(fields) === JSON.stringify({ userId: 1, questionPaperId: 1 }));
+
+      expect(options).toMatchObject({ unique: true, partialFilterExpression: { ranked: true } });
+    });
+
+    it('should not rank new attempts', () => {
+      const attempt = new TestAttempt({ testId: 'test_1' });
+
+      expect(attempt.rankEligible).toBe(false);
+      expect(attempt.ranked).toBe(false);
+    });
+  });
+
+  describe('daily quiz attempts', () => {
+    it('should allow one daily quiz attempt per logged-in user only', () => {
+      const [, options] = TestAttempt.schema.indexes()
+        .find(([fields]) => JSON.stringify(fields) === JSON.stringify({ dailyQuiz: 1, userId: 1 }));
+
+      expect(options.unique).toBe(true);
+      // Anonymous attempts (userId null) and non-daily attempts are not constrained
+      expect(options.partialFilterExpression).toEqual({
+        dailyQuiz: { $type: 'objectId' },
+        userId: { $type: 'objectId' },
+      });
+    });
+
+    it('should leave new attempts unclaimed', () => {
+      const attempt = new TestAttempt({ testId: 'test_1', testType: 'daily', dailyQuiz: new mongoose.Types.ObjectId() });
+
+      expect(attempt.validateSync()).toBeUndefined();
+      expect(attempt.claimedAt).toBeNull();
+    });
+  });
+});
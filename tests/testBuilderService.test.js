@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+
+const TestAttempt = { create: jest.fn() };
+const Question = { countDocuments: jest.fn() };
+const Passage = { find: jest.fn() };
+
+jest.unstable_mockModule('../src/models/TestAttempt.js', () => ({ default: TestAttempt }));
+jest.unstable_mockModule('../src/models/Question.js', () => ({ default: Question }));
+jest.unstable_mockModule('../src/models/Passage.js', () => ({ default: Passage }));
+jest.unstable_mockModule('../src/services/attemptClaimService.js', () => ({
+  default: { generateSessionId: () => 'session_00000000000000000000000000000000' },
+}));
+jest.unstable_mockModule('../src/services/testSubmissionService.js', () => ({
+  default: { computeExpiresAt: () => null },
+}));
+
+const { default: testBuilderService } = await import('../src/services/testBuilderService.js');
+
+const questions = Array.from({ length: 10 }, (_, idx) => ({
+  _id: `q${idx}`,
+  text: `Question ${idx}`,
+  type: 'single',
+  options: ['A', 'B', 'C', 'D'],
+}));
+
+const createAttempt = (params) => testBuilderService.createAttempt({ userId: 'user1', questions, ...params });
+
+describe('Test builder service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    TestAttempt.create.mockImplementation(data => Promise.resolve(data));
+    Question.countDocuments.mockResolvedValue(100);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('marking scheme of a new attempt', () => {
+    it('should prefer the paper scheme and fill gaps from the exam scheme', async () => {
+      const { testAttempt } = await createAttempt({
+        questionPaper: { _id: 'paper1', name: 'Paper', markingScheme: { marksPerCorrect: 2, negativeMarkingRatio: null } },
+        exam: { _id: 'exam1', title: 'Exam', markingScheme: { marksPerCorrect: 4, negativeMarkingRatio: 0.25 } },
+      });
+
+      expect(testAttempt.markingScheme).toEqual({ marksPerCorrect: 2, negativeMarkingRatio: 0.25, partialCredit: false });
+    });
+
+    it('should use the exam scheme for tests without a paper', async () => {
+      const { testAttempt } = await createAttempt({
+        exam: { _id: 'exam1', title: 'Exam', markingScheme: { marksPerCorrect: 4, negativeMarkingRatio: 0.25, partialCredit: true } },
+      });
+
+      expect(testAttempt.markingScheme).toEqual({ marksPerCorrect: 4, negativeMarkingRatio: 0.25, partialCredit: true });
+      expect(Question.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should spread explicit totalMarks over the published questions of the whole paper', async () => {
+      const { testAttempt } = await createAttempt({
+        questionPaper: { _id: 'paper1', name: 'Paper', totalMarks: 200, totalMarksExplicit: true, markingScheme: {} },
+      });
+
+      expect(Question.countDocuments).toHaveBeenCalledWith({ questionPaper: 'paper1', status: 'published' });
+      // 10 of the paper's 100 questions are in the attempt - each is still worth 2 marks
+      expect(testAttempt.markingScheme.marksPerCorrect).toBe(2);
+    });
+
+    it('should ignore the default totalMarks of legacy papers', async () => {
+      const { testAttempt } = await createAttempt({
+        questionPaper: { _id: 'paper1', name: 'Paper', totalMarks: 100, markingScheme: {} },
+      });
+
+      expect(testAttempt.markingScheme.marksPerCorrect).toBe(1);
+    });
+  });
+});
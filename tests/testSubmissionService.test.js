@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { buildAttempt, mockQuery } from './helpers/mongoose.js';
+
+const TestAttempt = {
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+};
+const Question = { find: jest.fn() };
+const ScoreDistribution = { updateOne: jest.fn() };
+const dailyQuizService = { recordSubmission: jest.fn() };
+
+jest.unstable_mockModule('../src/models/TestAttempt.js', () => ({ default: TestAttempt }));
+jest.unstable_mockModule('../src/models/Question.js', () => ({ default: Question }));
+jest.unstable_mockModule('../src/models/ScoreDistribution.js', () => ({ default: ScoreDistribution }));
+jest.unstable_mockModule('../src/services/dailyQuizService.js', () => ({ default: dailyQuizService }));
+
+const { default: testSubmissionService } = await import('../src/services/testSubmissionService.js');
+
+const answerKeys = [
+  { _id: 'q1', type: 'single', correctIndex: 0 },
+  { _id: 'q2', type: 'single', correctIndex: 0 },
+];
+
+describe('Test submission service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    Question.find.mockReturnValue(mockQuery(answerKeys));
+    // Echo the submitted fields back like findOneAndUpdate({ new: true })
+    TestAttempt.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+      ...buildAttempt(),
+      ...update.$set,
+    }));
+    TestAttempt.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    ScoreDistribution.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('submitAttempt', () => {
+    it('should score with the attempt marking scheme and rank a first attempt', async () => {
+      TestAttempt.findOne.mockReturnValue(mockQuery(buildAttempt()));
+
+      const { attempt, alreadySubmitted } = await testSubmissionService.submitAttempt('test_1');
+
+      expect(alreadySubmitted).toBe(false);
+      // 2 marks for the correct answer, -1 (half of 2) for the wrong one
+      expect(attempt.marksObtained).toBe(1);
+      expect(attempt.maxMarks).toBe(4);
+      expect(attempt.score).toBe(25);
+      expect(attempt.ranked).toBe(true);
+      expect(TestAttempt.updateOne).toHaveBeenCalledWith(
+        { _id: 'attempt1', ranked: { $ne: true } },
+        { $set: { ranked: true } }
+      );
+      expect(ScoreDistribution.updateOne).toHaveBeenCalledWith(
+        { questionPaper: 'paper1' },
+        expect.objectContaining({ $inc: { 'counts.250': 1, total: 1 } }),
+        { upsert: true }
+      );
+    });
+
+    it('should not rank a retake rejected by the unique ranked index', async () => {
+      TestAttempt.findOne.mockReturnValue(mockQuery(buildAttempt()));
+      TestAttempt.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const { attempt } = await testSubmissionService.submitAttempt('test_1');
+
+      expect(attempt.ranked).toBe(false);
+      expect(ScoreDistribution.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should not rank attempts that are not eligible', async () => {
+      TestAttempt.findOne.mockReturnValue(mockQuery(buildAttempt()));
+      TestAttempt.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+        ...buildAttempt({ rankEligible: false }),
+        ...update.$set,
+      }));
+
+      const { attempt } = await testSubmissionService.submitAttempt('test_1');
+
+      expect(attempt.ranked).toBe(false);
+      expect(TestAttempt.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should return the stored result of an attempt that is already submitted', async () => {
+      TestAttempt.findOne.mockReturnValue(mockQuery(buildAttempt({ submitted: true, score: 50 })));
+
+      const { attempt, alreadySubmitted } = await testSubmissionService.submitAttempt('test_1');
+
+      expect(alreadySubmitted).toBe(true);
+      expect(attempt.score).toBe(50);
+      expect(TestAttempt.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('autoSubmitExpired', () => {
+    it('should auto-submit attempts past their deadline and grace period', async () => {
+      TestAttempt.find.mockReturnValue(mockQuery([{ testId: 'test_1' }, { testId: 'test_2' }]));
+      TestAttempt.findOne.mockImplementation(({ testId }) => mockQuery(
+        buildAttempt({ testId, submitted: testId === 'test_2' })
+      ));
+
+      const result = await testSubmissionService.autoSubmitExpired();
+
+      expect(result).toEqual({ found: 2, submitted: 1, failed: 0 });
+      const [filter] = TestAttempt.find.mock.calls[0];
+      expect(filter.submitted).toBe(false);
+      expect(filter.expiresAt.$lt.getTime()).toBeLessThanOrEqual(Date.now() - testSubmissionService.deadlineGraceMs);
+      expect(TestAttempt.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(TestAttempt.findOneAndUpdate.mock.calls[0][1].$set.autoSubmitted).toBe(true);
+    });
+
+    it('should count attempts that fail to submit', async () => {
+      TestAttempt.find.mockReturnValue(mockQuery([{ testId: 'test_1' }]));
+      TestAttempt.findOne.mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      const result = await testSubmissionService.autoSubmitExpired();
+
+      expect(result).toEqual({ found: 1, submitted: 0, failed: 1 });
+    });
+  });
+});
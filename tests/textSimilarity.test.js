@@ -0,0 +1,25 @@
+import { estimateSimilarity, jaccard, minHashSignature, shingle } from '../src/utils/textSimilarity.js';
+
+describe('Text similarity', () => {
+  const sameStoryA = 'RBI keeps repo rate unchanged at 6.5% The Reserve Bank of India kept the repo rate unchanged at 6.5 per cent for the ninth straight time, Governor Shaktikanta Das said.';
+  const sameStoryB = 'RBI holds repo rate steady at 6.5 per cent Reserve Bank of India Governor Shaktikanta Das announced the repo rate remains unchanged at 6.5 per cent for ninth time.';
+  const otherStory = 'RBI imposes penalty on three cooperative banks The Reserve Bank of India imposed monetary penalties on banks for non-compliance.';
+
+  it('should ignore case, punctuation and stopwords when shingling', () => {
+    expect([...shingle('The Supreme Court, on Monday, upheld the LAW!')]).toEqual(['supreme', 'court', 'monday', 'upheld', 'law']);
+  });
+
+  it('should rate reworded reports of one story above different stories', () => {
+    expect(jaccard(shingle(sameStoryA), shingle(sameStoryB))).toBeGreaterThan(0.5);
+    expect(jaccard(shingle(sameStoryA), shingle(otherStory))).toBeLessThan(0.3);
+  });
+
+  it('should estimate Jaccard similarity from MinHash signatures', () => {
+    const exact = jaccard(shingle(sameStoryA), shingle(sameStoryB));
+    const estimate = estimateSimilarity(minHashSignature(sameStoryA), minHashSignature(sameStoryB));
+
+    expect(Math.abs(estimate - exact)).toBeLessThan(0.15);
+    expect(estimateSimilarity(minHashSignature(sameStoryA), minHashSignature(sameStoryA))).toBe(1);
+    expect(minHashSignature('the of and')).toEqual([]);
+  });
+});